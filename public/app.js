@@ -2,9 +2,9 @@
  * Game Auto-Stop Manager - Web UI
  *
  * Pure JavaScript (ES2015+), no frameworks
- * - REST API client with Bearer token authentication
+ * - Login (session cookie + CSRF token) or Bearer API token authentication
  * - Real-time logs via Server-Sent Events (SSE)
- * - Dynamic form field management based on game type
+ * - Game type fields generated from the provider schemas (GET /api/providers)
  */
 
 (() => {
@@ -17,15 +17,15 @@
   const CONFIG = {
     STORAGE_KEY: 'autostop.adminToken',
     API_BASE: '/api',
-    GAME_TYPE_SATISFACTORY: 'satisfactory',
-    SSE_RETRY_MS: 3000
+    SSE_RETRY_MS: 3000,
+    HISTORY_WINDOW_MS: 24 * 3600 * 1000,
+    HISTORY_STEP_SEC: 600
   };
 
   const DEFAULT_VALUES = {
     inactivityMinutes: 10,
     checkIntervalSec: 60,
-    stopTimeoutSec: 60,
-    port: 7777
+    stopTimeoutSec: 60
   };
 
   // ============================================================================
@@ -37,28 +37,84 @@
 
   const state = {
     token: '',
+    csrf: null,
     sseAbort: null,
     watchers: [],
+    containers: [],
+    hosts: [],
+    providers: [],
+    principal: null,
     editingId: null
   };
 
   // ============================================================================
-  // TOKEN MANAGEMENT
+  // AUTHENTICATION
   // ============================================================================
 
+  // API token (scripts, or users who prefer it to a login): stored in this browser
   function loadToken() {
     state.token = localStorage.getItem(CONFIG.STORAGE_KEY) || '';
     $('#adminToken').value = state.token;
   }
 
-  function saveToken() {
-    state.token = $('#adminToken').value.trim();
-    if (state.token) {
-      localStorage.setItem(CONFIG.STORAGE_KEY, state.token);
+  function setToken(token) {
+    state.token = token;
+    if (token) {
+      localStorage.setItem(CONFIG.STORAGE_KEY, token);
     } else {
       localStorage.removeItem(CONFIG.STORAGE_KEY);
     }
-    restartEvents();
+  }
+
+  // Current user or token (viewer, operator or admin), shown in the header
+  async function refreshPrincipal() {
+    const badge = $('#tokenRole');
+    try {
+      state.principal = await API.me();
+    } catch (err) {
+      state.principal = null;
+      state.csrf = null;
+      badge.hidden = true;
+      $('#logoutBtn').hidden = true;
+      throw err;
+    }
+    const { name, role, watchers, authEnabled, kind, csrf } = state.principal;
+    state.csrf = csrf;
+    badge.hidden = !authEnabled;
+    badge.textContent = `${name} · ${role}${watchers ? ` (${watchers.length} watcher${watchers.length > 1 ? 's' : ''})` : ''}`;
+    // Reverse-proxy users log out at the proxy
+    $('#logoutBtn').hidden = !authEnabled || kind === 'proxy';
+    $('#logoutBtn').textContent = kind === 'token' ? 'Forget token' : 'Logout';
+  }
+
+  // Login, first-run setup or API token form
+  async function showAuth(view) {
+    if (!view) {
+      const status = await API.authStatus().catch(() => ({}));
+      $('#setupTokenRow').hidden = !status.authEnabled;
+      $('#oidcLoginBtn').hidden = !status.oidc;
+      view = status.setupRequired ? 'setup' : 'login';
+    }
+    $$('[data-auth-view]').forEach((form) => {
+      form.hidden = form.dataset.authView !== view;
+    });
+    $('#authTitle').textContent = { login: '🔐 Sign in', setup: '🚀 Setup', token: '🔑 API token' }[view];
+    $('#authModal').setAttribute('aria-hidden', 'false');
+  }
+
+  function hideAuth() {
+    $('#authModal').setAttribute('aria-hidden', 'true');
+  }
+
+  // After login/setup/token change: identify, then load everything
+  async function signedIn() {
+    await refreshPrincipal();
+    hideAuth();
+    await loadAll();
+  }
+
+  function isAdmin() {
+    return state.principal?.role === 'admin';
   }
 
   function buildHeaders(extra = {}) {
@@ -76,13 +132,16 @@
   async function apiCall(method, url, body = null) {
     const options = {
       method,
-      headers: buildHeaders()
+      headers: buildHeaders(method !== 'GET' && state.csrf ? { 'X-CSRF-Token': state.csrf } : {})
     };
     if (body) {
       options.body = JSON.stringify(body);
     }
 
     const response = await fetch(url, options);
+    if (response.status === 401 && !url.startsWith(`${CONFIG.API_BASE}/auth/`)) {
+      showAuth().catch(() => {});
+    }
     if (!response.ok) {
       const errorText = await response.text().catch(() => '');
       throw new Error(errorText || `${response.status} ${response.statusText}`);
@@ -100,7 +159,24 @@
     update: (id, payload) => apiCall('PUT', `${CONFIG.API_BASE}/watchers/${encodeURIComponent(id)}`, payload),
     remove: (id) => apiCall('DELETE', `${CONFIG.API_BASE}/watchers/${encodeURIComponent(id)}`),
     start: (id) => apiCall('POST', `${CONFIG.API_BASE}/watchers/${encodeURIComponent(id)}/start`),
-    stop: (id) => apiCall('POST', `${CONFIG.API_BASE}/watchers/${encodeURIComponent(id)}/stop`)
+    stop: (id) => apiCall('POST', `${CONFIG.API_BASE}/watchers/${encodeURIComponent(id)}/stop`),
+    history: (id, params) => apiCall('GET', `${CONFIG.API_BASE}/watchers/${encodeURIComponent(id)}/history?${new URLSearchParams(params)}`),
+    webhooks: () => apiCall('GET', `${CONFIG.API_BASE}/webhooks`),
+    createWebhook: (payload) => apiCall('POST', `${CONFIG.API_BASE}/webhooks`, payload),
+    updateWebhook: (id, payload) => apiCall('PUT', `${CONFIG.API_BASE}/webhooks/${encodeURIComponent(id)}`, payload),
+    removeWebhook: (id) => apiCall('DELETE', `${CONFIG.API_BASE}/webhooks/${encodeURIComponent(id)}`),
+    testWebhook: (id) => apiCall('POST', `${CONFIG.API_BASE}/webhooks/${encodeURIComponent(id)}/test`),
+    deliveries: () => apiCall('GET', `${CONFIG.API_BASE}/webhooks/deliveries`),
+    audit: (params) => apiCall('GET', `${CONFIG.API_BASE}/audit?${new URLSearchParams(params)}`),
+    providers: () => apiCall('GET', `${CONFIG.API_BASE}/providers`),
+    me: () => apiCall('GET', `${CONFIG.API_BASE}/auth/me`),
+    authStatus: () => apiCall('GET', `${CONFIG.API_BASE}/auth/status`),
+    login: (payload) => apiCall('POST', `${CONFIG.API_BASE}/auth/login`, payload),
+    setup: (payload) => apiCall('POST', `${CONFIG.API_BASE}/auth/setup`, payload),
+    logout: () => apiCall('POST', `${CONFIG.API_BASE}/auth/logout`),
+    hosts: () => apiCall('GET', `${CONFIG.API_BASE}/hosts`),
+    containers: () => apiCall('GET', `${CONFIG.API_BASE}/containers`),
+    containerAction: (id, action, host) => apiCall('POST', `${CONFIG.API_BASE}/containers/${encodeURIComponent(id)}/${action}${host ? `?host=${encodeURIComponent(host)}` : ''}`)
   };
 
   // ============================================================================
@@ -122,51 +198,96 @@
     return state.watchers.find((w) => w.id === id);
   }
 
-  function isSatisfactoryType(gamedigType) {
-    return gamedigType === CONFIG.GAME_TYPE_SATISFACTORY;
+  // Provider handling a game type (GameDig accepts any other type)
+  function providerFor(gamedigType) {
+    return state.providers.find((p) => p.types.some((t) => t.value === gamedigType))
+      || state.providers.find((p) => p.id === 'gamedig')
+      || { id: 'gamedig', types: [], fields: [] };
   }
 
   // ============================================================================
   // FORM FIELD MANAGEMENT
   // ============================================================================
 
+  function renderGameTypeOptions(select, selected = select.value) {
+    const placeholder = select.id === 'gamedigType'
+      ? '<option value="">Select a game type…</option>'
+      : '';
+    select.innerHTML = placeholder + state.providers.map((p) => `
+      <optgroup label="${escapeHtml(p.label)}">
+        ${p.types.map((t) => `<option value="${escapeHtml(t.value)}">${escapeHtml(t.label)}</option>`).join('')}
+      </optgroup>`).join('');
+
+    // Keep a type that is not offered in the list (any GameDig type is valid)
+    if (selected && !$$('option', select).some((o) => o.value === selected)) {
+      const opt = document.createElement('option');
+      opt.value = selected;
+      opt.textContent = selected;
+      select.appendChild(opt);
+    }
+    select.value = selected;
+  }
+
+  function renderProviderField(prefix, field, value) {
+    const id = `${prefix}${field.key}`;
+    const required = field.required ? 'required' : '';
+    const current = value ?? field.default ?? '';
+
+    let input;
+    if (field.type === 'select') {
+      input = `<select id="${id}" ${required}>
+        ${field.options.map((o) => `<option value="${escapeHtml(o.value)}" ${o.value === current ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+      </select>`;
+    } else {
+      const limits = [
+        field.min !== undefined ? `min="${field.min}"` : '',
+        field.max !== undefined ? `max="${field.max}"` : ''
+      ].join(' ');
+      input = `<input id="${id}" type="${field.type}" ${limits} ${required}
+        placeholder="${escapeHtml(field.placeholder ?? '')}" value="${escapeHtml(current)}" />`;
+    }
+
+    return `<div>
+      <label for="${id}">${escapeHtml(field.label)}</label>
+      ${input}
+    </div>`;
+  }
+
+  // Render the selected provider's fields, keeping values already typed in
+  function renderProviderFields(prefix, values = null) {
+    const container = $(`#${prefix}providerFields`);
+    const provider = providerFor($(`#${prefix}gamedigType`).value);
+    const current = values ?? Object.fromEntries(
+      $$('input, select', container).map((el) => [el.id.slice(prefix.length), el.value])
+    );
+
+    const rows = [];
+    for (let i = 0; i < provider.fields.length; i += 3) {
+      rows.push(provider.fields.slice(i, i + 3));
+    }
+    container.innerHTML = rows.map((row) => `
+      <div class="form-row ${row.length === 3 ? 'three' : row.length === 2 ? 'two' : ''}">
+        ${row.map((f) => renderProviderField(prefix, f, current[f.key])).join('')}
+      </div>`).join('');
+  }
+
+  async function refreshProviders() {
+    state.providers = await API.providers();
+    renderGameTypeOptions($('#gamedigType'));
+    renderProviderFields('');
+  }
+
   function updateFormFields(isEditMode = false) {
     const prefix = isEditMode ? 'edit_' : '';
-    const typeField = $(`#${prefix}gamedigType`);
-    const gamedigFields = $(`#${prefix}gamedigFields`);
-    const satisfactoryFields = $(`#${prefix}satisfactoryFields`);
-    const satisfactoryToken = $(`#${prefix}satisfactoryToken`);
-    const gamedigType = typeField.value;
-
-    const isSatisfactory = isSatisfactoryType(gamedigType);
-
-    // Toggle visibility
-    gamedigFields.style.display = isSatisfactory ? 'none' : '';
-    satisfactoryFields.style.display = isSatisfactory ? '' : 'none';
-    satisfactoryToken.style.display = isSatisfactory ? '' : 'none';
-
-    // Update required attributes
-    const setRequired = (selector, required) => {
-      const elem = $(`#${selector}`);
-      if (elem) {
-        if (required) {
-          elem.setAttribute('required', '');
-        } else {
-          elem.removeAttribute('required');
-        }
-      }
-    };
 
-    if (isSatisfactory) {
-      setRequired(`${prefix}queryHost`, false);
-      setRequired(`${prefix}queryPort`, false);
-      setRequired(`${prefix}host`, true);
-      setRequired(`${prefix}port`, true);
+    // Wake-on-connect fields
+    const wakeEnabled = $(`#${prefix}wakeOnConnect`).checked;
+    $(`#${prefix}wakeFields`).style.display = wakeEnabled ? '' : 'none';
+    const wakePort = $(`#${prefix}wakePort`);
+    if (wakeEnabled) {
+      wakePort.setAttribute('required', '');
     } else {
-      setRequired(`${prefix}queryHost`, true);
-      setRequired(`${prefix}queryPort`, true);
-      setRequired(`${prefix}host`, false);
-      setRequired(`${prefix}port`, false);
+      wakePort.removeAttribute('required');
     }
   }
 
@@ -185,32 +306,172 @@
     const payload = {
       name: get(`#${prefix}name`).value.trim(),
       targetContainer: get(`#${prefix}targetContainer`).value.trim(),
+      dockerHost: get(`#${prefix}dockerHost`).value,
       gamedigType,
       inactivityMinutes: Number(get(`#${prefix}inactivityMinutes`).value),
       checkIntervalSec: Number(get(`#${prefix}checkIntervalSec`).value),
       stopTimeoutSec: Number(get(`#${prefix}stopTimeoutSec`).value),
+      warningMinutes: Number(get(`#${prefix}warningMinutes`).value) || 0,
+      warningExec: get(`#${prefix}warningExec`).value.trim(),
       autostart: get(`#${prefix}autostart`).checked
     };
 
-    // Add type-specific fields
-    if (isSatisfactoryType(gamedigType)) {
-      payload.host = get(`#${prefix}host`).value.trim();
-      const portVal = get(`#${prefix}port`).value.trim();
-      if (portVal) payload.port = Number(portVal);
-      const tokenVal = get(`#${prefix}apiToken`).value.trim();
-      if (tokenVal) payload.apiToken = tokenVal;
-    } else {
-      payload.queryHost = get(`#${prefix}queryHost`).value.trim();
-      payload.queryPort = Number(get(`#${prefix}queryPort`).value);
+    // Add type-specific fields (provider schema)
+    for (const field of providerFor(gamedigType).fields) {
+      const raw = get(`#${prefix}${field.key}`).value.trim();
+      if (field.type === 'password') {
+        if (raw) payload[field.key] = raw;  // Empty keeps the stored secret
+      } else if (field.type === 'number') {
+        if (raw) payload[field.key] = Number(raw);
+      } else {
+        payload[field.key] = raw;
+      }
+    }
+
+    const preStopCmd = get(`#${prefix}preStopCmd`).value.trim();
+    payload.preStopExec = preStopCmd
+      ? {
+        cmd: preStopCmd,
+        timeoutSec: Number(get(`#${prefix}preStopTimeoutSec`).value) || 60,
+        expectedExitCode: Number(get(`#${prefix}preStopExitCode`).value) || 0,
+        onFailure: get(`#${prefix}preStopOnFailure`).value
+      }
+      : null;
+
+    payload.trafficFallbackAfter = Number(get(`#${prefix}trafficFallbackAfter`).value) || 0;
+    const thresholdVal = get(`#${prefix}trafficThresholdBps`).value.trim();
+    if (thresholdVal) payload.trafficThresholdBps = Number(thresholdVal);
+
+    payload.queryFailurePolicy = {
+      emptyAfter: Number(get(`#${prefix}queryEmptyAfter`).value) || 0,
+      restartAfter: Number(get(`#${prefix}queryRestartAfter`).value) || 0,
+      alertAfter: Number(get(`#${prefix}queryAlertAfter`).value) || 0
+    };
+
+    payload.timezone = get(`#${prefix}timezone`).value.trim();
+    const schedulesText = get(`#${prefix}schedules`).value.trim();
+    try {
+      payload.schedules = schedulesText ? JSON.parse(schedulesText) : [];
+    } catch {
+      throw new Error('Schedules: invalid JSON');
+    }
+
+    // Group members as "name[:stopTimeoutSec], ..." (parsed server-side)
+    payload.groupMembers = get(`#${prefix}groupMembers`).value.trim();
+    payload.groupComposeProject = get(`#${prefix}groupComposeProject`).value.trim();
+
+    payload.wakeOnConnect = get(`#${prefix}wakeOnConnect`).checked;
+    if (payload.wakeOnConnect) {
+      payload.wakePort = Number(get(`#${prefix}wakePort`).value);
+      payload.wakeProtocol = get(`#${prefix}wakeProtocol`).value;
+      payload.wakeMode = get(`#${prefix}wakeMode`).value;
+      // Empty = defaults (public port, 300 s)
+      const targetPort = get(`#${prefix}wakeTargetPort`).value;
+      payload.wakeTargetPort = targetPort ? Number(targetPort) : null;
+      const timeout = get(`#${prefix}wakeTimeoutSec`).value;
+      payload.wakeTimeoutSec = timeout ? Number(timeout) : null;
     }
 
     return payload;
   }
 
+  // ============================================================================
+  // CONTAINER PICKER
+  // ============================================================================
+
+  function renderContainerOptions(select, selected = select.value, host = '') {
+    select.innerHTML = '';
+    const defaultHost = state.hosts.find((h) => h.default)?.id;
+    const containers = state.containers.filter((c) => !c.host || c.host === (host || defaultHost));
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = containers.length ? 'Select a container…' : 'No containers found';
+    select.appendChild(placeholder);
+
+    const names = containers.map((c) => c.name);
+    // Keep a value that is no longer listed (e.g., removed container)
+    if (selected && !names.includes(selected)) {
+      const missing = document.createElement('option');
+      missing.value = selected;
+      missing.textContent = `${selected} (not found)`;
+      select.appendChild(missing);
+    }
+
+    for (const c of containers) {
+      const opt = document.createElement('option');
+      const tags = [c.state];
+      if (c.watcherIds.length) tags.push('watched');
+      if (c.labeled) tags.push('labels');
+      opt.value = c.name;
+      opt.textContent = `${c.name} — ${c.image} (${tags.join(', ')})`;
+      select.appendChild(opt);
+    }
+
+    select.value = selected || '';
+  }
+
+  // ============================================================================
+  // DOCKER HOSTS
+  // ============================================================================
+
+  /**
+   * Fill the host selects (shown only with several hosts) and health summary.
+   */
+  function renderHosts() {
+    const multiple = state.hosts.length > 1;
+    for (const prefix of ['', 'edit_']) {
+      const select = $(`#${prefix}dockerHost`);
+      const selected = select.value;
+      select.innerHTML = state.hosts
+        .map((h) => `<option value="${escapeHtml(h.id)}">${escapeHtml(h.label)}${h.healthy === false ? ' (unreachable)' : ''}</option>`)
+        .join('');
+      select.value = selected || state.hosts.find((h) => h.default)?.id || '';
+      $(`#${prefix}dockerHostRow`).style.display = multiple ? '' : 'none';
+    }
+
+    $('#hostStatus').innerHTML = state.hosts.map((h) => {
+      const status = h.healthy ? 'up' : 'down';
+      const detail = h.healthy ? `Docker ${h.version ?? '?'}` : (h.lastError || 'unreachable');
+      return `<span class="host-badge ${status}" title="${escapeHtml(`${h.endpoint} — ${detail}`)}">${escapeHtml(h.label)}</span>`;
+    }).join(' ');
+  }
+
+  async function refreshHosts() {
+    state.hosts = await API.hosts();
+    renderHosts();
+  }
+
+  async function refreshContainers() {
+    state.containers = await API.containers();
+    renderContainerOptions($('#targetContainer'), undefined, $('#dockerHost').value);
+    renderContainerOptions($('#edit_targetContainer'), undefined, $('#edit_dockerHost').value);
+  }
+
   // ============================================================================
   // WATCHER RENDERING & DISPLAY
   // ============================================================================
 
+  // "host:port" from the first text and number fields of the provider schema
+  function formatEndpoint(watcher) {
+    const fields = providerFor(watcher.gamedigType).fields;
+    const hostField = fields.find((f) => f.type === 'text');
+    const portField = fields.find((f) => f.type === 'number');
+    const host = (hostField && watcher[hostField.key]) || 'container';
+    const port = portField ? `:${Number(watcher[portField.key])}` : '';
+    return `${escapeHtml(host)}${port}`;
+  }
+
+  function formatNextAction(action) {
+    if (!action) return '';
+    const when = new Date(action.at).toLocaleString([], {
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    return `<div class="next-action">${escapeHtml(action.type)} · ${escapeHtml(when)}</div>`;
+  }
+
   function renderWatchers(list) {
     state.watchers = list;
     const tbody = $('#watchersTable tbody');
@@ -221,19 +482,24 @@
       const statusClass = isRunning ? 'ok' : 'stop';
       const statusText = isRunning ? 'Running' : 'Stopped';
 
-      const hostPort = isSatisfactoryType(watcher.gamedigType)
-        ? `${escapeHtml(watcher.host)}:${Number(watcher.port)}`
-        : `${escapeHtml(watcher.queryHost)}:${Number(watcher.queryPort)}`;
+      const hostPort = formatEndpoint(watcher);
 
       const tr = document.createElement('tr');
       tr.innerHTML = `
         <td><strong>${escapeHtml(watcher.name)}</strong></td>
-        <td><code style="font-size:11px;opacity:0.8">${escapeHtml(watcher.targetContainer)}</code></td>
+        <td><code style="font-size:11px;opacity:0.8">${state.hosts.length > 1 ? `${escapeHtml(watcher.dockerHost || state.hosts.find((h) => h.default)?.id)}/` : ''}${escapeHtml(watcher.targetContainer)}</code></td>
         <td><code style="font-size:11px;opacity:0.8">${hostPort}</code></td>
         <td><span style="font-size:11px;opacity:0.8">${escapeHtml(watcher.gamedigType)}</span></td>
         <td>${Number(watcher.checkIntervalSec)}s</td>
         <td>${Number(watcher.inactivityMinutes)}m</td>
-        <td><span class="status ${statusClass}">${statusText}</span></td>
+        <td class="activity" data-history-id="${escapeHtml(watcher.id)}"></td>
+        <td>
+          <span class="status ${statusClass}">${statusText}</span>
+          ${watcher.queryFailures > 0
+            ? `<div class="query-failures">⚠ ${Number(watcher.queryFailures)} failed quer${watcher.queryFailures > 1 ? 'ies' : 'y'}</div>`
+            : ''}
+          ${formatNextAction(watcher.nextScheduledAction)}
+        </td>
         <td>
           <div class="inline-actions">
             <button class="icon-btn" data-action="edit" data-id="${watcher.id}" title="Edit watcher">✏️</button>
@@ -250,6 +516,181 @@
   async function refreshWatchers() {
     const list = await API.list();
     renderWatchers(list);
+    refreshActivity().catch(() => {});
+  }
+
+  // ============================================================================
+  // ACTIVITY SPARKLINES
+  // ============================================================================
+
+  async function refreshActivity() {
+    const to = Date.now();
+    const from = to - CONFIG.HISTORY_WINDOW_MS;
+
+    for (const cell of $$('#watchersTable td[data-history-id]')) {
+      const id = cell.getAttribute('data-history-id');
+      try {
+        const history = await API.history(id, { from, to, step: CONFIG.HISTORY_STEP_SEC });
+        cell.innerHTML = renderSparkline(history);
+      } catch {
+        cell.textContent = '—';
+      }
+    }
+  }
+
+  /**
+   * Render a 24h activity sparkline as inline SVG:
+   * player line, grey baseline while the container is down,
+   * red ticks for auto-stops and green ticks for wake-ups.
+   */
+  function renderSparkline({ from, to, samples, events }) {
+    const W = 120;
+    const H = 24;
+    const span = Math.max(1, to - from);
+    const x = (t) => ((t - from) / span * W).toFixed(1);
+    const maxSeen = Math.max(0, ...samples.map((s) => s.players ?? 0));
+    const peak = Math.max(1, maxSeen);
+    const y = (p) => (H - 2 - (p / peak) * (H - 4)).toFixed(1);
+
+    const parts = [];
+    let line = [];
+    const flush = () => {
+      if (line.length) {
+        parts.push(`<polyline points="${line.join(' ')}" fill="none" stroke="var(--primary)" stroke-width="1.5" />`);
+        line = [];
+      }
+    };
+    for (const s of samples) {
+      if (s.players === null) {
+        flush();
+        parts.push(`<rect x="${x(s.t)}" y="${H - 2}" width="2" height="2" fill="var(--text-muted)" />`);
+      } else {
+        line.push(`${x(s.t)},${y(s.players)}`);
+      }
+    }
+    flush();
+
+    for (const e of events) {
+      const color = e.kind === 'auto-stop' ? 'var(--danger)' : e.kind === 'wake' ? 'var(--success)' : '';
+      if (color) {
+        parts.push(`<line x1="${x(e.t)}" x2="${x(e.t)}" y1="0" y2="${H}" stroke="${color}" stroke-width="1" />`);
+      }
+    }
+
+    const stops = events.filter((e) => e.kind === 'auto-stop').length;
+    const title = `Peak ${maxSeen} players, ${stops} auto-stop(s)`;
+    return `<svg class="sparkline" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" role="img"><title>${escapeHtml(title)}</title>${parts.join('')}</svg>`;
+  }
+
+  // ============================================================================
+  // WEBHOOK NOTIFICATIONS
+  // ============================================================================
+
+  function renderWebhooks(list) {
+    const tbody = $('#webhooksTable tbody');
+    tbody.innerHTML = '';
+
+    for (const hook of list) {
+      const enabled = hook.enabled !== false;
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td><strong>${escapeHtml(hook.name)}</strong></td>
+        <td><span style="font-size:11px;opacity:0.8">${escapeHtml(hook.format)}</span></td>
+        <td><span style="font-size:11px;opacity:0.8">${escapeHtml((hook.events || []).join(', '))}</span></td>
+        <td>
+          <div class="inline-actions">
+            <button class="btn btn-secondary small" data-action="test" data-id="${escapeHtml(hook.id)}">Test</button>
+            <button class="btn btn-secondary small" data-action="toggle" data-id="${escapeHtml(hook.id)}" data-enabled="${enabled}">${enabled ? 'Disable' : 'Enable'}</button>
+            <button class="icon-btn" data-action="delete" data-id="${escapeHtml(hook.id)}" title="Delete webhook" style="color:var(--danger)">🗑️</button>
+          </div>
+        </td>`;
+      tbody.appendChild(tr);
+    }
+  }
+
+  function renderDeliveries(list) {
+    const pre = $('#deliveries');
+    pre.innerHTML = '';
+    for (const d of list.slice(0, 20)) {
+      const span = document.createElement('span');
+      span.className = d.ok ? 'info' : 'error';
+      const result = d.ok ? `HTTP ${d.status}` : (d.error || 'failed');
+      span.textContent = `${d.at} ${d.targetName} ${d.kind} → ${result} (${d.attempts} attempt(s))\n`;
+      pre.appendChild(span);
+    }
+  }
+
+  async function refreshWebhooks() {
+    // Webhook targets hold secrets: admin tokens only
+    if (!isAdmin()) {
+      renderWebhooks([]);
+      renderDeliveries([]);
+      return;
+    }
+    const [hooks, deliveries] = await Promise.all([API.webhooks(), API.deliveries()]);
+    renderWebhooks(hooks);
+    renderDeliveries(deliveries);
+  }
+
+  // ============================================================================
+  // AUDIT LOG
+  // ============================================================================
+
+  function formatAuditValue(value) {
+    if (value === undefined) return '∅';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+  }
+
+  function describeAuditChanges(entry) {
+    if (entry.action === 'config.rollback') {
+      // { watchers: { added, removed, changed }, webhooks: ..., archivedWatchers: ... }
+      const names = (list, sign) => (list || []).map((e) => `${sign}${e.name || e.id}`);
+      return Object.entries(entry.changes || {}).flatMap(([section, d]) => {
+        const parts = [...names(d.added, '+'), ...names(d.removed, '-'), ...names(d.changed, '~')];
+        return parts.length ? [`${section}: ${parts.join(', ')}`] : [];
+      });
+    }
+    return Object.entries(entry.changes || {})
+      .map(([field, c]) => `${field}: ${formatAuditValue(c.before)} → ${formatAuditValue(c.after)}`);
+  }
+
+  function renderAudit(list) {
+    const tbody = $('#auditTable tbody');
+    tbody.innerHTML = '';
+
+    for (const entry of list) {
+      const when = new Date(entry.t).toLocaleString();
+      const actor = entry.actor ? `${entry.actor.name} (${entry.actor.kind})` : '—';
+      const changes = describeAuditChanges(entry);
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td><span style="font-size:11px;opacity:0.8">${escapeHtml(when)}</span></td>
+        <td>${escapeHtml(actor)}<br><span style="font-size:11px;opacity:0.6">${escapeHtml(entry.ip || '')}</span></td>
+        <td><strong>${escapeHtml(entry.action)}</strong>${entry.result === 'error' ? `<br><span style="font-size:11px;color:var(--danger)">${escapeHtml(entry.error || 'failed')}</span>` : ''}</td>
+        <td><span style="font-size:11px;opacity:0.8">${escapeHtml(entry.target || '')}</span></td>
+        <td><span style="font-size:11px;opacity:0.8">${changes.map(escapeHtml).join('<br>')}</span></td>`;
+      tbody.appendChild(tr);
+    }
+  }
+
+  async function refreshAudit() {
+    // The audit log names every actor and source IP: admins only
+    $('#auditCard').style.display = isAdmin() ? '' : 'none';
+    if (!isAdmin()) {
+      renderAudit([]);
+      return;
+    }
+    const params = { limit: 100 };
+    const actor = $('#auditActor').value.trim();
+    const action = $('#auditAction').value;
+    const from = $('#auditFrom').value;
+    const to = $('#auditTo').value;
+    if (actor) params.actor = actor;
+    if (action) params.action = action;
+    if (from) params.from = new Date(from).getTime();
+    if (to) params.to = new Date(to).getTime();
+    renderAudit(await API.audit(params));
   }
 
   // ============================================================================
@@ -272,48 +713,167 @@
     // Fill common fields
     $('#edit_id').value = watcher.id;
     $('#edit_name').value = watcher.name;
-    $('#edit_targetContainer').value = watcher.targetContainer;
-    $('#edit_gamedigType').value = watcher.gamedigType;
-
-    // Update field visibility
+    $('#edit_dockerHost').value = watcher.dockerHost || state.hosts.find((h) => h.default)?.id || '';
+    renderContainerOptions($('#edit_targetContainer'), watcher.targetContainer, $('#edit_dockerHost').value);
+    renderGameTypeOptions($('#edit_gamedigType'), watcher.gamedigType);
+    $('#edit_wakeOnConnect').checked = !!watcher.wakeOnConnect;
+    $('#edit_wakePort').value = watcher.wakePort || '';
+    $('#edit_wakeProtocol').value = watcher.wakeProtocol || 'tcp';
+    $('#edit_wakeMode').value = watcher.wakeMode || 'release';
+    $('#edit_wakeTargetPort').value = watcher.wakeTargetPort || '';
+    $('#edit_wakeTimeoutSec').value = watcher.wakeTimeoutSec || '';
+
+    // Update field visibility and fill type-specific fields
     updateFormFields(true);
-
-    // Fill type-specific fields
-    if (isSatisfactoryType(watcher.gamedigType)) {
-      $('#edit_host').value = watcher.host || '';
-      $('#edit_port').value = watcher.port || DEFAULT_VALUES.port;
-      $('#edit_apiToken').value = watcher.apiToken || '';
-    } else {
-      $('#edit_queryHost').value = watcher.queryHost || '';
-      $('#edit_queryPort').value = Number(watcher.queryPort) || 0;
-    }
+    renderProviderFields('edit_', watcher);
 
     // Fill common numeric fields
     $('#edit_inactivityMinutes').value = Number(watcher.inactivityMinutes);
     $('#edit_checkIntervalSec').value = Number(watcher.checkIntervalSec);
     $('#edit_stopTimeoutSec').value = Number(watcher.stopTimeoutSec);
+    const preStop = watcher.preStopExec || {};
+    $('#edit_preStopCmd').value = Array.isArray(preStop.cmd) ? preStop.cmd.join(' ') : (preStop.cmd || '');
+    $('#edit_preStopTimeoutSec').value = Number(preStop.timeoutSec) || 60;
+    $('#edit_preStopExitCode').value = Number(preStop.expectedExitCode) || 0;
+    $('#edit_preStopOnFailure').value = preStop.onFailure || 'proceed';
+    $('#edit_warningMinutes').value = Number(watcher.warningMinutes) || 0;
+    $('#edit_warningExec').value = Array.isArray(watcher.warningExec)
+      ? watcher.warningExec.join(' ')
+      : (watcher.warningExec || '');
+    $('#edit_trafficFallbackAfter').value = Number(watcher.trafficFallbackAfter) || 0;
+    $('#edit_trafficThresholdBps').value = watcher.trafficThresholdBps ?? 1000;
+    const policy = watcher.queryFailurePolicy || {};
+    $('#edit_queryEmptyAfter').value = Number(policy.emptyAfter) || 0;
+    $('#edit_queryRestartAfter').value = Number(policy.restartAfter) || 0;
+    $('#edit_queryAlertAfter').value = Number(policy.alertAfter) || 0;
+    $('#edit_timezone').value = watcher.timezone || '';
+    $('#edit_schedules').value = Array.isArray(watcher.schedules) && watcher.schedules.length
+      ? JSON.stringify(watcher.schedules, null, 2)
+      : '';
+    $('#edit_groupMembers').value = (watcher.groupMembers || [])
+      .map((m) => (m.stopTimeoutSec !== undefined ? `${m.container}:${m.stopTimeoutSec}` : m.container))
+      .join(', ');
+    $('#edit_groupComposeProject').value = watcher.groupComposeProject || '';
     $('#edit_autostart').checked = !!watcher.autostart;
+    applyLabelControl(watcher);
 
     toggleModal(true);
   }
 
+  // Edit form inputs of watcher fields stored under another shape
+  const FIELD_INPUTS = {
+    queryFailurePolicy: ['queryEmptyAfter', 'queryRestartAfter', 'queryAlertAfter'],
+    preStopExec: ['preStopCmd', 'preStopTimeoutSec', 'preStopExitCode', 'preStopOnFailure']
+  };
+
+  /**
+   * Make the fields owned by Docker labels read-only in the edit form.
+   */
+  function applyLabelControl(watcher) {
+    $$('#editForm .label-controlled').forEach((el) => {
+      el.disabled = false;
+      el.classList.remove('label-controlled');
+      el.removeAttribute('title');
+    });
+    for (const key of watcher.labelControlled || []) {
+      for (const inputId of FIELD_INPUTS[key] || [key]) {
+        const el = $(`#edit_${inputId}`);
+        if (!el) continue;
+        el.disabled = true;
+        el.classList.add('label-controlled');
+        el.title = 'Set by Docker labels';
+      }
+    }
+  }
+
   // ============================================================================
   // EVENT HANDLERS
   // ============================================================================
 
-  // Token management
-  $('#saveTokenBtn').addEventListener('click', saveToken);
+  // Login / setup / API token
+  $$('[data-auth-switch]').forEach((link) => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      showAuth(link.dataset.authSwitch);
+    });
+  });
+
+  $('#loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      setToken('');
+      await API.login({ username: $('#loginUsername').value.trim(), password: $('#loginPassword').value });
+      $('#loginPassword').value = '';
+      await signedIn();
+      pushLog('info', `[ui] signed in as ${state.principal.name}`);
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  $('#setupForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if ($('#setupPassword').value !== $('#setupConfirm').value) {
+      alert('Passwords do not match');
+      return;
+    }
+    try {
+      // Setup needs ADMIN_TOKEN when it is configured
+      setToken($('#setupToken').value.trim());
+      await API.setup({ username: $('#setupUsername').value.trim(), password: $('#setupPassword').value });
+      setToken('');
+      e.target.reset();
+      await signedIn();
+      pushLog('info', `[ui] administrator ${state.principal.name} created`);
+    } catch (err) {
+      setToken('');
+      alert(err.message);
+    }
+  });
+
+  $('#tokenForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setToken($('#adminToken').value.trim());
+    try {
+      await signedIn();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  $('#logoutBtn').addEventListener('click', async () => {
+    try {
+      if (state.principal?.kind === 'user' || state.principal?.kind === 'oidc') {
+        await API.logout();
+      }
+    } catch {
+      // Session already gone
+    }
+    setToken('');
+    $('#adminToken').value = '';
+    state.principal = null;
+    state.csrf = null;
+    if (state.sseAbort) {
+      state.sseAbort.abort();
+    }
+    $('#tokenRole').hidden = true;
+    $('#logoutBtn').hidden = true;
+    $('#auditCard').style.display = 'none';
+    showAuth().catch(() => {});
+  });
 
   // Form submission - Create
   $('#createForm').addEventListener('submit', async (e) => {
     e.preventDefault();
-    const payload = readWatcherForm('#createForm');
     try {
+      const payload = readWatcherForm('#createForm');
       await API.create(payload);
       e.target.reset();
       $('#autostart').checked = true;
       updateFormFields(false);
+      renderProviderFields('', {});
       await refreshWatchers();
+      refreshContainers().catch(() => {});
       pushLog('info', `[ui] watcher created: ${payload.name}`);
     } catch (err) {
       pushLog('error', `[ui] ${err.message}`);
@@ -321,17 +881,47 @@
     }
   });
 
+  // Container picker
+  $$('[data-action="reload-containers"]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      refreshHosts()
+        .then(refreshContainers)
+        .catch((err) => pushLog('error', `[ui] ${err.message}`));
+    });
+  });
+
+  // Docker host: list its containers
+  $('#dockerHost').addEventListener('change', (e) => {
+    renderContainerOptions($('#targetContainer'), '', e.target.value);
+  });
+  $('#edit_dockerHost').addEventListener('change', (e) => {
+    renderContainerOptions($('#edit_targetContainer'), '', e.target.value);
+  });
+
+  // Prefill query host with the container name (reachable on the Docker network)
+  $('#targetContainer').addEventListener('change', (e) => {
+    const name = e.target.value;
+    if (name && !$('#queryHost').value) $('#queryHost').value = name;
+    if (name && !$('#host').value) $('#host').value = name;
+  });
+
   // Form field visibility - Create & Edit
-  $('#gamedigType').addEventListener('change', () => updateFormFields(false));
-  $('#edit_gamedigType').addEventListener('change', () => updateFormFields(true));
+  $('#gamedigType').addEventListener('change', () => renderProviderFields(''));
+  $('#edit_gamedigType').addEventListener('change', () => renderProviderFields('edit_'));
+  $('#wakeOnConnect').addEventListener('change', () => updateFormFields(false));
+  $('#edit_wakeOnConnect').addEventListener('change', () => updateFormFields(true));
 
   // Form submission - Edit
   $('#saveEditBtn').addEventListener('click', async () => {
     const id = $('#edit_id').value;
-    const payload = readWatcherForm('#editForm');
     try {
+      const payload = readWatcherForm('#editForm');
+      // Label-controlled fields are left to the labels
+      for (const key of findWatcher(id)?.labelControlled || []) {
+        delete payload[key];
+      }
       await API.update(id, payload);
-      pushLog('info', `[ui] watcher updated: ${payload.name}`);
+      pushLog('info', `[ui] watcher updated: ${findWatcher(id)?.name ?? id}`);
       await refreshWatchers();
       toggleModal(false);
     } catch (err) {
@@ -379,6 +969,65 @@
     }
   });
 
+  // Webhooks
+  $('#webhookForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: $('#webhookName').value.trim(),
+      format: $('#webhookFormat').value,
+      url: $('#webhookUrl').value.trim(),
+      events: $$('#webhookEvents input:checked').map((el) => el.value)
+    };
+    try {
+      await API.createWebhook(payload);
+      $('#webhookName').value = '';
+      $('#webhookUrl').value = '';
+      await refreshWebhooks();
+      pushLog('info', `[ui] webhook created: ${payload.name}`);
+    } catch (err) {
+      pushLog('error', `[ui] ${err.message}`);
+      alert(err.message);
+    }
+  });
+
+  $('#webhooksTable').addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const id = btn.getAttribute('data-id');
+    const action = btn.getAttribute('data-action');
+
+    try {
+      if (action === 'test') {
+        const result = await API.testWebhook(id);
+        pushLog(result.ok ? 'info' : 'error', `[webhooks] test: ${result.ok ? `HTTP ${result.status}` : result.error}`);
+      } else if (action === 'toggle') {
+        const enabled = btn.getAttribute('data-enabled') === 'true';
+        await API.updateWebhook(id, { enabled: !enabled });
+      } else if (action === 'delete') {
+        if (!confirm('Delete this webhook?')) return;
+        await API.removeWebhook(id);
+      }
+      await refreshWebhooks();
+    } catch (err) {
+      pushLog('error', `[ui] ${err.message}`);
+      alert(err.message);
+    }
+  });
+
+  $('#refreshWebhooksBtn').addEventListener('click', () => {
+    refreshWebhooks().catch(console.error);
+  });
+
+  // Audit log
+  $('#auditFilterForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    refreshAudit().catch((err) => pushLog('error', `[audit] ${err.message}`));
+  });
+  $('#refreshAuditBtn').addEventListener('click', () => {
+    refreshAudit().catch((err) => pushLog('error', `[audit] ${err.message}`));
+  });
+
   $('#refreshBtn').addEventListener('click', () => {
     refreshWatchers().catch(console.error);
   });
@@ -460,11 +1109,11 @@
     try {
       // Parse JSON payload
       const payload = JSON.parse(dataLines.join('\n'));
-      const { type = 'info', msg = '' } = payload || {};
+      const { type = 'info', msg = '', kind } = payload || {};
       pushLog(type, msg);
 
-      // Auto-refresh watchers on state changes
-      if (/démarré|arrêt|stopping/i.test(msg)) {
+      // Auto-refresh watchers on state changes (and failure streak changes)
+      if (/démarré|arrêt|stopping/i.test(msg) || /^query-/.test(kind ?? '')) {
         refreshWatchers().catch(() => {});
       }
     } catch {
@@ -515,8 +1164,25 @@
     // Initial form state
     updateFormFields(false);
 
-    // Load token from storage
+    // Stored API token or session cookie; otherwise sign in first
     loadToken();
+    try {
+      await refreshPrincipal();
+    } catch {
+      await showAuth();
+      return;
+    }
+    await loadAll();
+  }
+
+  // Load everything the signed-in user can see
+  async function loadAll() {
+    // Load provider schemas (game types and their fields)
+    try {
+      await refreshProviders();
+    } catch (err) {
+      pushLog('error', `[init] Failed to load providers: ${err.message}`);
+    }
 
     // Load and render watchers
     try {
@@ -525,6 +1191,32 @@
       pushLog('error', `[init] Failed to load watchers: ${err.message}`);
     }
 
+    // Load webhook targets and delivery log
+    try {
+      await refreshWebhooks();
+    } catch (err) {
+      pushLog('error', `[init] Failed to load webhooks: ${err.message}`);
+    }
+
+    // Load the audit log (admins)
+    try {
+      await refreshAudit();
+    } catch (err) {
+      pushLog('error', `[init] Failed to load audit log: ${err.message}`);
+    }
+
+    // Load Docker hosts and containers for the picker
+    try {
+      await refreshHosts();
+    } catch (err) {
+      pushLog('error', `[init] Failed to load Docker hosts: ${err.message}`);
+    }
+    try {
+      await refreshContainers();
+    } catch (err) {
+      pushLog('error', `[init] Failed to load containers: ${err.message}`);
+    }
+
     // Start SSE stream
     restartEvents();
   }
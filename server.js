@@ -9,6 +9,10 @@ import morgan from 'morgan';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { WatchManager } from './src/manager.js';
+import { TokenStore, ANONYMOUS, hasRole, canAccessWatcher } from './src/auth.js';
+import { UserStore, SESSION_COOKIE, readCookie } from './src/users.js';
+import { ProxyAuth, OidcClient, parseGroupRoles, isSameOrigin, OIDC_STATE_COOKIE, PENDING_LOGIN_TTL_MS } from './src/sso.js';
+import { AuditLog } from './src/audit.js';
 import fs from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -32,6 +36,9 @@ const CONFIG_PATH = process.env.CONFIG_PATH || path.join(DATA_DIR, 'config.json'
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 const LABEL_PREFIX = process.env.LABEL_PREFIX || 'autostop.';
 const RESCAN_INTERVAL_SEC = Number(process.env.RESCAN_INTERVAL_SEC || 0);
+const DOCKER_EVENTS = !/^(0|false|no)$/i.test(process.env.DOCKER_EVENTS || 'true');
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 168);
+const COOKIE_SECURE = /^(1|true|yes)$/i.test(process.env.COOKIE_SECURE || '');
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -45,17 +52,188 @@ if (!fs.existsSync(CONFIG_PATH)) {
 // AUTHENTICATION MIDDLEWARE
 // ============================================================================
 
-function authMiddleware(req, res, next) {
-  if (!ADMIN_TOKEN) {
-    return next();
+const auth = new TokenStore({
+  path: path.join(DATA_DIR, 'tokens.json'),
+  adminToken: ADMIN_TOKEN,
+  otherAdmins: () => users.hasAdmin()
+});
+const users = new UserStore({
+  path: path.join(DATA_DIR, 'users.json'),
+  sessionTtlHours: SESSION_TTL_HOURS,
+  otherAdmins: () => auth.hasAdmin()
+});
+try {
+  await auth.load();
+  await users.load();
+} catch (err) {
+  // Starting without the stored tokens/users would leave the API open
+  console.error(`[server] cannot load tokens or users, refusing to start: ${err.message}`);
+  process.exit(1);
+}
+
+// External identities (Authelia & co): groups mapped to roles
+const groupRoles = parseGroupRoles(process.env.AUTH_GROUP_ROLES);
+const proxyAuth = new ProxyAuth({
+  trustedIps: process.env.AUTH_PROXY_IPS,
+  userHeader: process.env.AUTH_PROXY_USER_HEADER,
+  groupsHeader: process.env.AUTH_PROXY_GROUPS_HEADER,
+  groupRoles
+});
+const oidc = new OidcClient({
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES,
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM,
+  groupRoles
+});
+
+const audit = new AuditLog({
+  path: path.join(DATA_DIR, 'audit.log'),
+  emitEvent: (e) => manager.emit(e)
+});
+
+/**
+ * Append an audit entry for a request (actor and source IP from the request).
+ *
+ * @param {Object} req - Express request (req.principal set by requireRole)
+ * @param {string} action - e.g. "watcher.update"
+ * @param {Object} [details] - { target, before, after, changes, error, actor }
+ */
+function recordAudit(req, action, details = {}) {
+  audit.record({ actor: req.principal, ip: req.ip, action, ...details });
+}
+
+/**
+ * Parse a from/to query parameter (epoch ms or ISO date).
+ *
+ * @param {string} [v] - Query value
+ * @returns {number|undefined} Epoch ms, NaN if invalid, undefined if absent
+ */
+function parseTime(v) {
+  if (v === undefined || v === '') return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : Date.parse(v);
+}
+
+/**
+ * Whether requests must be authenticated (ADMIN_TOKEN, tokens, users or SSO).
+ */
+function authEnabled() {
+  return auth.enabled || users.enabled || proxyAuth.enabled || oidc.enabled;
+}
+
+/**
+ * Whether first-run setup (public creation of the first admin user) is
+ * offered: never once users exist or SSO is configured, since SSO admins
+ * create users through the API.
+ */
+function setupRequired() {
+  return !users.enabled && !proxyAuth.enabled && !oidc.enabled;
+}
+
+/**
+ * Identify a request: bearer token (scripts), else session cookie (web UI,
+ * local or OIDC login), else trusted reverse-proxy headers.
+ * Everything is allowed as ANONYMOUS while no authentication is configured.
+ *
+ * @returns {Object|null} { principal, session? } or null if not authenticated
+ */
+function identify(req) {
+  if (!authEnabled()) {
+    return { principal: ANONYMOUS };
+  }
+  const header = req.headers['authorization'];
+  if (header) {
+    const principal = auth.authenticate(header);
+    return principal ? { principal } : null;
   }
-  const header = req.headers['authorization'] || '';
-  if (header === `Bearer ${ADMIN_TOKEN}`) {
+  const session = users.session(req.headers.cookie);
+  if (session) {
+    return { principal: session.principal, session };
+  }
+  const principal = proxyAuth.authenticate(req);
+  return principal ? { principal } : null;
+}
+
+function setSessionCookie(req, res, sid, maxAgeSec) {
+  const attrs = [`${SESSION_COOKIE}=${sid}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeSec}`];
+  if (COOKIE_SECURE || req.secure) {
+    attrs.push('Secure');
+  }
+  res.append('Set-Cookie', attrs.join('; '));
+}
+
+/**
+ * OIDC login state cookie: Lax, since the provider redirects back cross-site.
+ */
+function setOidcStateCookie(req, res, state, maxAgeSec) {
+  const attrs = [`${OIDC_STATE_COOKIE}=${state}`, 'Path=/api/auth/oidc', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSec}`];
+  if (COOKIE_SECURE || req.secure) {
+    attrs.push('Secure');
+  }
+  res.append('Set-Cookie', attrs.join('; '));
+}
+
+/**
+ * Require a token or session with at least `role` (viewer < operator < admin).
+ * Session requests other than GET must echo the session CSRF token in
+ * `X-CSRF-Token`. Sets `req.principal` / `req.session`; rejected write
+ * requests are audited.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const identity = identify(req);
+    const deny = (status, error) => {
+      if (req.method !== 'GET') {
+        audit.record({
+          actor: identity?.principal,
+          ip: req.ip,
+          action: 'access.denied',
+          target: `${req.method} ${req.originalUrl}`,
+          error
+        });
+      }
+      return res.status(status).json({ error });
+    };
+
+    if (!identity) {
+      return deny(401, 'Unauthorized');
+    }
+    const { principal, session } = identity;
+    if (session && req.method !== 'GET' && req.headers['x-csrf-token'] !== session.csrf) {
+      return deny(403, 'Invalid CSRF token');
+    }
+    if (principal.kind === 'proxy' && req.method !== 'GET' && !isSameOrigin(req)) {
+      return deny(403, 'Cross-site request rejected');
+    }
+    if (!principal.role) {
+      return deny(403, `Forbidden (no role for ${principal.name})`);
+    }
+    if (!hasRole(principal, role)) {
+      return deny(403, `Forbidden (${role} role required)`);
+    }
+    req.principal = principal;
+    req.session = session;
     return next();
+  };
+}
+
+/**
+ * Reject requests on a watcher outside the token scope.
+ */
+function watcherScope(req, res, next) {
+  if (!canAccessWatcher(req.principal, req.params.id)) {
+    return res.status(403).json({ error: 'Forbidden (watcher out of token scope)' });
   }
-  return res.status(401).json({ error: 'Unauthorized' });
+  return next();
 }
 
+const viewer = requireRole('viewer');
+const operator = requireRole('operator');
+const admin = requireRole('admin');
+
 // ============================================================================
 // MANAGER INITIALIZATION
 // ============================================================================
@@ -75,6 +253,9 @@ await manager.autostart();
 if (RESCAN_INTERVAL_SEC > 0) {
   manager.scheduleRescan(RESCAN_INTERVAL_SEC);
 }
+if (DOCKER_EVENTS) {
+  manager.watchDockerEvents();
+}
 
 // ============================================================================
 // REST API ENDPOINTS
@@ -82,21 +263,24 @@ if (RESCAN_INTERVAL_SEC > 0) {
 
 /**
  * GET /api/watchers
- * List all watchers with current status
+ * List all watchers with current status (provider secrets for admins only)
  */
-app.get('/api/watchers', authMiddleware, (req, res) => {
-  res.json(manager.list());
+app.get('/api/watchers', viewer, (req, res) => {
+  const watchers = manager.list({ secrets: hasRole(req.principal, 'admin') });
+  res.json(watchers.filter((w) => canAccessWatcher(req.principal, w.id)));
 });
 
 /**
  * POST /api/watchers
  * Create a new watcher
  */
-app.post('/api/watchers', authMiddleware, async (req, res) => {
+app.post('/api/watchers', admin, async (req, res) => {
   try {
     const w = await manager.create(req.body);
+    recordAudit(req, 'watcher.create', { target: w.id, after: w });
     res.status(201).json(w);
   } catch (err) {
+    recordAudit(req, 'watcher.create', { target: req.body?.name, error: err.message });
     res.status(400).json({ error: err.message });
   }
 });
@@ -105,11 +289,14 @@ app.post('/api/watchers', authMiddleware, async (req, res) => {
  * PUT /api/watchers/:id
  * Update a watcher
  */
-app.put('/api/watchers/:id', authMiddleware, async (req, res) => {
+app.put('/api/watchers/:id', admin, async (req, res) => {
+  const before = manager.getWatcher(req.params.id);
   try {
     const w = await manager.update(req.params.id, req.body);
+    recordAudit(req, 'watcher.update', { target: w.id, before, after: w });
     res.json(w);
   } catch (err) {
+    recordAudit(req, 'watcher.update', { target: req.params.id, error: err.message });
     res.status(400).json({ error: err.message });
   }
 });
@@ -118,11 +305,14 @@ app.put('/api/watchers/:id', authMiddleware, async (req, res) => {
  * DELETE /api/watchers/:id
  * Delete a watcher
  */
-app.delete('/api/watchers/:id', authMiddleware, async (req, res) => {
+app.delete('/api/watchers/:id', admin, async (req, res) => {
+  const before = manager.getWatcher(req.params.id);
   try {
     await manager.remove(req.params.id);
+    recordAudit(req, 'watcher.delete', { target: req.params.id, before, after: null });
     res.status(204).end();
   } catch (err) {
+    recordAudit(req, 'watcher.delete', { target: req.params.id, error: err.message });
     res.status(400).json({ error: err.message });
   }
 });
@@ -131,11 +321,13 @@ app.delete('/api/watchers/:id', authMiddleware, async (req, res) => {
  * POST /api/watchers/:id/start
  * Start a watcher
  */
-app.post('/api/watchers/:id/start', authMiddleware, async (req, res) => {
+app.post('/api/watchers/:id/start', operator, watcherScope, async (req, res) => {
   try {
     await manager.startWatcher(req.params.id);
+    recordAudit(req, 'watcher.start', { target: req.params.id });
     res.json({ ok: true });
   } catch (err) {
+    recordAudit(req, 'watcher.start', { target: req.params.id, error: err.message });
     res.status(400).json({ error: err.message });
   }
 });
@@ -144,15 +336,500 @@ app.post('/api/watchers/:id/start', authMiddleware, async (req, res) => {
  * POST /api/watchers/:id/stop
  * Stop a watcher
  */
-app.post('/api/watchers/:id/stop', authMiddleware, async (req, res) => {
+app.post('/api/watchers/:id/stop', operator, watcherScope, async (req, res) => {
   try {
     await manager.stopWatcher(req.params.id);
+    recordAudit(req, 'watcher.stop', { target: req.params.id });
+    res.json({ ok: true });
+  } catch (err) {
+    recordAudit(req, 'watcher.stop', { target: req.params.id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/watchers/:id/history?from&to&step
+ * Player count samples and lifecycle events of a watcher
+ * (from/to: epoch ms or ISO date, step: bucket size in seconds)
+ */
+app.get('/api/watchers/:id/history', viewer, watcherScope, (req, res) => {
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const step = Number(req.query.step ?? 0);
+
+  if (Number.isNaN(from) || Number.isNaN(to) || !Number.isFinite(step) || step < 0) {
+    return res.status(400).json({ error: 'Invalid from/to/step' });
+  }
+  try {
+    res.json(manager.getHistory(req.params.id, { from, to, step }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List webhook notification targets
+ */
+app.get('/api/webhooks', admin, (req, res) => {
+  res.json(manager.listWebhooks());
+});
+
+/**
+ * POST /api/webhooks
+ * Create a webhook target
+ */
+app.post('/api/webhooks', admin, async (req, res) => {
+  try {
+    const t = await manager.createWebhook(req.body);
+    recordAudit(req, 'webhook.create', { target: t.id, after: t });
+    res.status(201).json(t);
+  } catch (err) {
+    recordAudit(req, 'webhook.create', { target: req.body?.name, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Recent webhook deliveries (delivery log)
+ */
+app.get('/api/webhooks/deliveries', admin, (req, res) => {
+  res.json(manager.listWebhookDeliveries());
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook target
+ */
+app.put('/api/webhooks/:id', admin, async (req, res) => {
+  const before = manager.listWebhooks().find((t) => t.id === req.params.id);
+  try {
+    const t = await manager.updateWebhook(req.params.id, req.body);
+    recordAudit(req, 'webhook.update', { target: t.id, before, after: t });
+    res.json(t);
+  } catch (err) {
+    recordAudit(req, 'webhook.update', { target: req.params.id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook target
+ */
+app.delete('/api/webhooks/:id', admin, async (req, res) => {
+  const before = manager.listWebhooks().find((t) => t.id === req.params.id);
+  try {
+    await manager.removeWebhook(req.params.id);
+    recordAudit(req, 'webhook.delete', { target: req.params.id, before, after: null });
+    res.status(204).end();
+  } catch (err) {
+    recordAudit(req, 'webhook.delete', { target: req.params.id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a test notification
+ */
+app.post('/api/webhooks/:id/test', admin, async (req, res) => {
+  try {
+    res.json(await manager.testWebhook(req.params.id));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/providers
+ * Describe query providers (game types and config fields) for the UI
+ */
+app.get('/api/providers', viewer, (req, res) => {
+  res.json(manager.listProviders());
+});
+
+/**
+ * GET /api/hosts
+ * Docker hosts with a fresh health check (reachable, Docker version)
+ */
+app.get('/api/hosts', viewer, async (req, res) => {
+  try {
+    res.json(await manager.listHosts());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/containers
+ * List Docker containers of all hosts with state and the watchers targeting them
+ */
+app.get('/api/containers', viewer, async (req, res) => {
+  try {
+    const containers = await manager.listContainers();
+    res.json(req.principal.watchers
+      ? containers.filter((c) => c.watcherIds.some((id) => canAccessWatcher(req.principal, id)))
+      : containers);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/labels/sync-preview
+ * Dry run of the Docker label sync: watchers it would create, update or
+ * reconcile (labels removed), without changing anything
+ */
+app.get('/api/labels/sync-preview', admin, async (req, res) => {
+  try {
+    res.json(await manager.previewLabelSync());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/config/versions
+ * Stored config versions, most recent first, with their changes since the
+ * previous version (watchers/webhooks added, removed, changed fields)
+ */
+app.get('/api/config/versions', admin, async (req, res) => {
+  try {
+    res.json(await manager.listConfigVersions());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/config/versions/:version
+ * Full config snapshot of a version
+ */
+app.get('/api/config/versions/:version', admin, async (req, res) => {
+  try {
+    res.json(await manager.getConfigVersion(Number(req.params.version)));
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/config/rollback/:version
+ * Restore a config version (saved as a new version) and restart the
+ * watchers it affects
+ */
+app.post('/api/config/rollback/:version', admin, async (req, res) => {
+  const version = Number(req.params.version);
+  try {
+    const result = await manager.rollbackConfig(version);
+    recordAudit(req, 'config.rollback', { target: String(version), changes: result.changes });
+    res.json(result);
+  } catch (err) {
+    recordAudit(req, 'config.rollback', { target: String(version), error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/containers/:id/:action?host=<hostId>
+ * Start, stop or restart a container (default Docker host without `host`).
+ * Scoped tokens only reach containers targeted by their watchers.
+ */
+app.post('/api/containers/:id/:action', operator, async (req, res) => {
+  const { id, action } = req.params;
+  if (!['start', 'stop', 'restart'].includes(action)) {
+    return res.status(400).json({ error: 'Unsupported action' });
+  }
+  try {
+    if (req.principal.watchers && !await manager.containerInScope(id, req.query.host, req.principal.watchers)) {
+      return res.status(403).json({ error: 'Forbidden (container out of token scope)' });
+    }
+    await manager.containerAction(id, action, req.query.host);
+    manager.emit({ type: 'info', msg: `[containers] ${action}: ${id}` });
+    recordAudit(req, `container.${action}`, { target: req.query.host ? `${req.query.host}/${id}` : id });
     res.json({ ok: true });
+  } catch (err) {
+    recordAudit(req, `container.${action}`, { target: req.query.host ? `${req.query.host}/${id}` : id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ============================================================================
+// LOGIN & SESSIONS
+// ============================================================================
+
+/**
+ * GET /api/auth/status
+ * Whether authentication is configured and first-run setup is pending (public)
+ */
+app.get('/api/auth/status', (req, res) => {
+  res.json({
+    authEnabled: authEnabled(),
+    setupRequired: setupRequired(),
+    oidc: oidc.enabled
+  });
+});
+
+/**
+ * POST /api/auth/setup
+ * First-run setup: create the first (admin) user { username, password } and
+ * log in. Once tokens exist, an admin bearer token is required. Not
+ * available with SSO (reverse-proxy headers or OIDC).
+ */
+app.post('/api/auth/setup', async (req, res) => {
+  if (!setupRequired()) {
+    return res.status(409).json({ error: users.enabled ? 'Setup already done' : 'Setup is disabled when SSO is configured' });
+  }
+  if (auth.enabled) {
+    const identity = identify(req);
+    if (!identity || !hasRole(identity.principal, 'admin')) {
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+  }
+  try {
+    const user = await users.create({ ...req.body, role: 'admin', watchers: null });
+    const { sid, csrf, principal } = users.openSession(user);
+    setSessionCookie(req, res, sid, SESSION_TTL_HOURS * 3600);
+    recordAudit(req, 'auth.setup', { actor: principal, target: user.id, after: users.describe(user) });
+    res.status(201).json({ ...principal, csrf });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * POST /api/auth/login
+ * Log in with { username, password }: sets the session cookie, returns the
+ * user and its CSRF token
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { sid, csrf, principal } = await users.login(req.body?.username, req.body?.password, req.ip);
+    setSessionCookie(req, res, sid, SESSION_TTL_HOURS * 3600);
+    recordAudit(req, 'auth.login', { actor: principal, target: principal.name });
+    res.json({ ...principal, csrf });
+  } catch (err) {
+    recordAudit(req, 'auth.login', { target: String(req.body?.username ?? ''), error: err.message });
+    res.status(err.status ?? 400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/login
+ * Redirect to the OpenID Connect provider
+ */
+app.get('/api/auth/oidc/login', async (req, res) => {
+  if (!oidc.enabled) {
+    return res.status(404).json({ error: 'OIDC is not configured' });
+  }
+  try {
+    const { url, state } = await oidc.authorizationUrl();
+    setOidcStateCookie(req, res, state, PENDING_LOGIN_TTL_MS / 1000);
+    res.redirect(url);
+  } catch (err) {
+    res.status(502).json({ error: `OIDC provider unreachable: ${err.message}` });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Provider redirect: open a session for the user (role from its groups)
+ */
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  if (!oidc.enabled) {
+    return res.status(404).json({ error: 'OIDC is not configured' });
+  }
+  const browserState = readCookie(req.headers.cookie, OIDC_STATE_COOKIE);
+  setOidcStateCookie(req, res, '', 0);
+  try {
+    const principal = await oidc.callback(req.query, browserState);
+    if (!principal.role) {
+      return res.status(403).type('text/plain').send(`No role for ${principal.name} (AUTH_GROUP_ROLES)`);
+    }
+    const { sid } = users.openExternalSession(principal);
+    setSessionCookie(req, res, sid, SESSION_TTL_HOURS * 3600);
+    recordAudit(req, 'auth.login', { actor: principal, target: principal.name });
+    manager.emit({ type: 'info', msg: `[auth] ${principal.name} signed in (OIDC, ${principal.role})` });
+    res.redirect('/');
+  } catch (err) {
+    manager.emit({ type: 'warn', msg: `[auth] OIDC login failed: ${err.message}` });
+    recordAudit(req, 'auth.login', { target: 'oidc', error: err.message });
+    res.status(401).type('text/plain').send(`OIDC login failed: ${err.message}`);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Close the current session
+ */
+app.post('/api/auth/logout', viewer, (req, res) => {
+  if (req.session) {
+    users.logout(req.session.sid);
+    recordAudit(req, 'auth.logout', { target: req.principal.name });
+  }
+  setSessionCookie(req, res, '', 0);
+  res.status(204).end();
+});
+
+/**
+ * GET /api/auth/me
+ * Current token or user (name, role, watcher scope) and the session CSRF token
+ */
+app.get('/api/auth/me', viewer, (req, res) => {
+  res.json({ ...req.principal, authEnabled: authEnabled(), csrf: req.session?.csrf ?? null });
+});
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+/**
+ * GET /api/users
+ * List local users (never their password hash)
+ */
+app.get('/api/users', admin, (req, res) => {
+  res.json(users.list());
+});
+
+/**
+ * POST /api/users
+ * Create a user { username, password, role, watchers? }
+ */
+app.post('/api/users', admin, async (req, res) => {
+  try {
+    const user = users.describe(await users.create(req.body));
+    recordAudit(req, 'user.create', { target: user.id, after: user });
+    res.status(201).json(user);
+  } catch (err) {
+    recordAudit(req, 'user.create', { target: req.body?.username, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Change a user's role, watcher scope or password
+ */
+app.put('/api/users/:id', admin, async (req, res) => {
+  const before = users.list().find((u) => u.id === req.params.id);
+  try {
+    const user = users.describe(await users.update(req.params.id, req.body));
+    // A password change shows up as a masked "password" field
+    const after = req.body?.password !== undefined ? { ...user, password: req.body.password } : user;
+    recordAudit(req, 'user.update', { target: user.id, before, after });
+    res.json(user);
+  } catch (err) {
+    recordAudit(req, 'user.update', { target: req.params.id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete a user (and close its sessions)
+ */
+app.delete('/api/users/:id', admin, async (req, res) => {
+  const before = users.list().find((u) => u.id === req.params.id);
+  try {
+    await users.remove(req.params.id);
+    recordAudit(req, 'user.delete', { target: req.params.id, before, after: null });
+    res.status(204).end();
+  } catch (err) {
+    recordAudit(req, 'user.delete', { target: req.params.id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ============================================================================
+// API TOKENS
+// ============================================================================
+
+/**
+ * GET /api/tokens
+ * List API tokens (never their value)
+ */
+app.get('/api/tokens', admin, (req, res) => {
+  res.json(auth.list());
+});
+
+/**
+ * POST /api/tokens
+ * Create an API token { name, role, watchers? }; the value is only returned here
+ */
+app.post('/api/tokens', admin, async (req, res) => {
+  try {
+    const token = await auth.create(req.body);
+    const { token: value, ...after } = token;
+    recordAudit(req, 'token.create', { target: token.id, after });
+    res.status(201).json(token);
+  } catch (err) {
+    recordAudit(req, 'token.create', { target: req.body?.name, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/tokens/:id
+ * Rename a token or change its role/watcher scope
+ */
+app.put('/api/tokens/:id', admin, async (req, res) => {
+  const before = auth.list().find((t) => t.id === req.params.id);
+  try {
+    const token = await auth.update(req.params.id, req.body);
+    recordAudit(req, 'token.update', { target: token.id, before, after: token });
+    res.json(token);
+  } catch (err) {
+    recordAudit(req, 'token.update', { target: req.params.id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke a token
+ */
+app.delete('/api/tokens/:id', admin, async (req, res) => {
+  const before = auth.list().find((t) => t.id === req.params.id);
+  try {
+    await auth.remove(req.params.id);
+    recordAudit(req, 'token.delete', { target: req.params.id, before, after: null });
+    res.status(204).end();
+  } catch (err) {
+    recordAudit(req, 'token.delete', { target: req.params.id, error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * GET /api/audit?actor&action&target&from&to&limit
+ * Audit entries, most recent first (`action` ending with "." is a prefix)
+ */
+app.get('/api/audit', admin, async (req, res) => {
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'Invalid from/to' });
+  }
+  try {
+    res.json(await audit.query({
+      actor: req.query.actor || undefined,
+      action: req.query.action || undefined,
+      target: req.query.target || undefined,
+      from,
+      to,
+      limit: req.query.limit
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * GET /health
  * Health check endpoint
@@ -163,6 +840,15 @@ app.get('/health', (req, res) => {
   res.json({ ok: true, watchers: list.length, running });
 });
 
+/**
+ * GET /metrics
+ * Prometheus metrics (text exposition format)
+ */
+app.get('/metrics', viewer, (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(manager.renderMetrics(req.principal.watchers));
+});
+
 // ============================================================================
 // SERVER-SENT EVENTS (SSE) ENDPOINT
 // ============================================================================
@@ -171,7 +857,7 @@ app.get('/health', (req, res) => {
  * GET /api/events
  * Stream live logs via Server-Sent Events
  */
-app.get('/api/events', authMiddleware, (req, res) => {
+app.get('/api/events', viewer, (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -180,7 +866,11 @@ app.get('/api/events', authMiddleware, (req, res) => {
     res.flushHeaders();
   }
 
+  // Scoped tokens only see their watchers' events
   const send = (event) => {
+    if (req.principal.watchers && !canAccessWatcher(req.principal, event.watcherId)) {
+      return;
+    }
     res.write(`data: ${JSON.stringify(event)}\n\n`);
   };
 
@@ -227,9 +917,13 @@ const shutdown = async (sig) => {
   console.log(`[server] ${sig} -> saving & stopping watchers`);
   try {
     await manager.save();
+    await manager.saveRuntimeState();
+    await manager.flushHistory();
+    await auth.save();
   } catch {
     // Ignore save errors
   }
+  manager.stopDockerEvents();
   try {
     await manager.stopAllWatchers?.();
   } catch {
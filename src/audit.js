@@ -0,0 +1,170 @@
+/**
+ * Audit Module - Append-only log of configuration and power actions
+ *
+ * Every API action changing something (watchers, containers, webhooks,
+ * tokens, users, sign-ins) is appended as one JSON line to `audit.log` under
+ * DATA_DIR: who (actor + source IP), what (action, target) and, for config
+ * changes, the fields that changed with their before/after values.
+ * Entries are never rewritten; secrets are masked.
+ */
+
+import * as Storage from './storage.js';
+
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 5000;
+const SECRET_KEY_RE = /password|secret|token|apikey/i;
+const URL_KEY_RE = /url$/i;
+const MASK = '***';
+
+/**
+ * Mask a URL but keep its origin: webhook URLs (Discord, Slack...) carry
+ * their credentials in the path or query string.
+ *
+ * @param {string} value - URL
+ * @returns {string} e.g. "https://discord.com/***"
+ */
+function redactUrl(value) {
+  try {
+    return `${new URL(value).origin}/${MASK}`;
+  } catch {
+    return MASK;
+  }
+}
+
+/**
+ * Mask secret-looking fields (passwords, API keys, URLs...) at any depth.
+ *
+ * @param {*} value - Config value
+ * @returns {*} Copy with secrets masked
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => {
+    if (v === undefined || v === null || v === '') {
+      return [k, v];
+    }
+    if (SECRET_KEY_RE.test(k)) {
+      return [k, MASK];
+    }
+    if (URL_KEY_RE.test(k) && typeof v === 'string') {
+      return [k, redactUrl(v)];
+    }
+    return [k, redact(v)];
+  }));
+}
+
+/**
+ * Top-level fields that differ between two configs, with both values.
+ * A missing side (creation, deletion) lists every field of the other one.
+ * Values are compared unmasked, so a changed secret is listed (as "***").
+ *
+ * @param {Object} [before] - Config before the action
+ * @param {Object} [after] - Config after the action
+ * @returns {Object} { field: { before, after } }
+ */
+export function diffConfig(before, after) {
+  const a = before ?? {};
+  const b = after ?? {};
+  const shownBefore = redact(a);
+  const shownAfter = redact(b);
+  const changes = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+      changes[key] = { before: shownBefore[key], after: shownAfter[key] };
+    }
+  }
+  return changes;
+}
+
+export class AuditLog {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.path - Log file (DATA_DIR/audit.log, JSON lines)
+   * @param {Function} opts.emitEvent - Event emitter function (write failures)
+   */
+  constructor({ path, emitEvent }) {
+    this.path = path;
+    this.emitEvent = emitEvent;
+    this.writing = Promise.resolve();  // Serializes appends
+  }
+
+  /**
+   * Append an entry (asynchronously, in call order).
+   *
+   * @param {Object} entry
+   * @param {Object} entry.actor - Principal ({ id, kind, name, role })
+   * @param {string} [entry.ip] - Source IP
+   * @param {string} entry.action - e.g. "watcher.update", "container.stop", "auth.login"
+   * @param {string} [entry.target] - Watcher/container/token/user ID or name
+   * @param {Object} [entry.before] - Config before (diffed with `after`)
+   * @param {Object} [entry.after] - Config after
+   * @param {Object} [entry.changes] - Precomputed changes (instead of before/after)
+   * @param {string} [entry.error] - Failure message (action attempted but failed)
+   * @returns {Promise<void>} Resolves once written
+   */
+  record({ actor, ip, action, target, before, after, changes, error }) {
+    const line = {
+      t: new Date().toISOString(),
+      actor: actor ? { id: actor.id, kind: actor.kind, name: actor.name, role: actor.role } : null,
+      ip: ip ?? null,
+      action,
+      target: target ?? null,
+      result: error ? 'error' : 'ok'
+    };
+    if (changes !== undefined) {
+      line.changes = changes;
+    } else if (before !== undefined || after !== undefined) {
+      line.changes = diffConfig(before, after);
+    }
+    if (error) {
+      line.error = error;
+    }
+
+    this.writing = this.writing
+      .then(() => Storage.appendAuditEntry(this.path, line))
+      .catch((err) => {
+        this.emitEvent({ type: 'error', msg: `[audit] write failed: ${err.message}` });
+      });
+    return this.writing;
+  }
+
+  /**
+   * Read entries, most recent first.
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.actor] - Actor name or ID
+   * @param {string} [filter.action] - Action, or prefix ending with "." (e.g. "watcher.")
+   * @param {string} [filter.target] - Target ID/name
+   * @param {number} [filter.from] - Epoch ms (inclusive)
+   * @param {number} [filter.to] - Epoch ms (inclusive)
+   * @param {number} [filter.limit=200] - Max entries
+   * @returns {Promise<Array<Object>>}
+   */
+  async query({ actor, action, target, from, to, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    await this.writing;
+    const max = Math.min(Math.max(1, Number(limit) || DEFAULT_QUERY_LIMIT), MAX_QUERY_LIMIT);
+    const entries = await Storage.loadAuditEntries(this.path);
+
+    const matches = (e) => {
+      const t = Date.parse(e.t);
+      return (!actor || e.actor?.name === actor || e.actor?.id === actor)
+        && (!action || (action.endsWith('.') ? e.action?.startsWith(action) : e.action === action))
+        && (!target || e.target === target)
+        && (from === undefined || t >= from)
+        && (to === undefined || t <= to);
+    };
+
+    const result = [];
+    for (let i = entries.length - 1; i >= 0 && result.length < max; i--) {
+      if (matches(entries[i])) {
+        result.push(entries[i]);
+      }
+    }
+    return result;
+  }
+}
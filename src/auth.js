@@ -0,0 +1,279 @@
+/**
+ * Auth Module - Role-based API tokens
+ *
+ * Named API tokens are stored hashed (SHA-256) in `tokens.json` under DATA_DIR;
+ * the clear value is only returned once, at creation. Each token has a role:
+ * - viewer: watchers, history, events, containers, metrics (read only)
+ * - operator: viewer + start/stop watchers and containers
+ * - admin: everything (watcher/webhook CRUD, label sync, tokens)
+ *
+ * viewer/operator tokens can be scoped to some watcher IDs (`watchers`).
+ * `ADMIN_TOKEN` stays accepted as an unscoped admin token. Without it, stored
+ * tokens or local users (users.js), the API is open (requests act as ANONYMOUS).
+ */
+
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import * as Storage from './storage.js';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const TOKEN_PREFIX = 'gam_';
+const LAST_USED_SAVE_MS = 60000;  // lastUsedAt writes are coalesced
+
+// Principal of requests while no authentication is configured
+export const ANONYMOUS = Object.freeze({ id: null, kind: 'anonymous', name: 'anonymous', role: 'admin', watchers: null });
+const ENV_ADMIN = Object.freeze({ id: 'env', kind: 'token', name: 'ADMIN_TOKEN', role: 'admin', watchers: null });
+
+/**
+ * SHA-256 of a clear token (tokens are random, no salt/stretching needed).
+ *
+ * @param {string} token - Clear token
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Constant-time string comparison.
+ */
+function safeEqual(a, b) {
+  const ba = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Whether a principal has at least a role.
+ *
+ * @param {Object} principal - Authenticated principal ({ role })
+ * @param {string} role - Required role
+ * @returns {boolean}
+ */
+export function hasRole(principal, role) {
+  return ROLES.indexOf(principal?.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Whether a principal may see/act on a watcher (unscoped principals: all).
+ *
+ * @param {Object} principal - Authenticated principal ({ watchers })
+ * @param {string} watcherId - Watcher ID
+ * @returns {boolean}
+ */
+export function canAccessWatcher(principal, watcherId) {
+  return !principal?.watchers || principal.watchers.includes(watcherId);
+}
+
+/**
+ * Validate a token payload (full token, after merging an update).
+ *
+ * @param {Object} input - { name, role, watchers? }
+ * @throws {Error} If a field is invalid
+ */
+export function validateToken(input) {
+  if (typeof input.name !== 'string' || !input.name.trim()) {
+    throw new Error('Missing field: name');
+  }
+  if (!ROLES.includes(input.role)) {
+    throw new Error(`Invalid field: role (${ROLES.join('|')})`);
+  }
+  if (input.watchers !== undefined && input.watchers !== null) {
+    if (!Array.isArray(input.watchers) || !input.watchers.every((id) => typeof id === 'string' && id)) {
+      throw new Error('Invalid field: watchers');
+    }
+    if (input.role === 'admin' && input.watchers.length) {
+      throw new Error('Admin tokens cannot be scoped to watchers');
+    }
+  }
+}
+
+export class TokenStore {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.path - Tokens file (DATA_DIR/tokens.json)
+   * @param {string} [opts.adminToken] - ADMIN_TOKEN value (unscoped admin)
+   * @param {Function} [opts.otherAdmins] - () => boolean, an admin can still sign in otherwise (users)
+   */
+  constructor({ path, adminToken = '', otherAdmins = () => false }) {
+    this.path = path;
+    this.adminToken = adminToken;
+    this.otherAdmins = otherAdmins;
+    this.tokens = [];  // { id, name, role, watchers, hash, hint, createdAt, lastUsedAt }
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load stored tokens from disk.
+   */
+  async load() {
+    this.tokens = (await Storage.loadTokens(this.path)).tokens;
+  }
+
+  /**
+   * Persist tokens now.
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await Storage.saveTokens(this.path, { tokens: this.tokens });
+  }
+
+  /**
+   * Whether token authentication is configured (ADMIN_TOKEN set or tokens stored).
+   *
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Boolean(this.adminToken) || this.tokens.length > 0;
+  }
+
+  /**
+   * Whether an admin token exists (ADMIN_TOKEN included).
+   *
+   * @returns {boolean}
+   */
+  hasAdmin() {
+    return Boolean(this.adminToken) || this.tokens.some((t) => t.role === 'admin');
+  }
+
+  // ==========================================================================
+  // AUTHENTICATION
+  // ==========================================================================
+
+  /**
+   * Principal of an Authorization header.
+   *
+   * @param {string} [header] - "Bearer <token>"
+   * @returns {Object|null} { id, name, role, watchers } or null if rejected
+   */
+  authenticate(header) {
+    const match = /^Bearer\s+(\S+)$/.exec(header ?? '');
+    if (!match) {
+      return null;
+    }
+    const token = match[1];
+
+    if (this.adminToken && safeEqual(token, this.adminToken)) {
+      return ENV_ADMIN;
+    }
+
+    const hash = hashToken(token);
+    const entry = this.tokens.find((t) => safeEqual(t.hash, hash));
+    if (!entry) {
+      return null;
+    }
+    entry.lastUsedAt = new Date().toISOString();
+    this.scheduleSave();
+    return { id: entry.id, kind: 'token', name: entry.name, role: entry.role, watchers: entry.watchers ?? null };
+  }
+
+  /**
+   * Coalesce lastUsedAt writes.
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(() => {});
+    }, LAST_USED_SAVE_MS);
+    this.saveTimer.unref?.();
+  }
+
+  // ==========================================================================
+  // TOKEN CRUD
+  // ==========================================================================
+
+  /**
+   * Stored tokens without their hash.
+   *
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.tokens.map(({ hash, ...t }) => t);
+  }
+
+  /**
+   * Create a token. The clear value is only part of this result.
+   *
+   * @param {Object} input - { name, role, watchers? }
+   * @returns {Promise<Object>} Token description + `token`
+   */
+  async create(input) {
+    validateToken(input);
+    if (!this.enabled && !this.otherAdmins() && input.role !== 'admin') {
+      throw new Error('The first token must be an admin token');
+    }
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const entry = {
+      id: nanoid(8),
+      name: input.name.trim(),
+      role: input.role,
+      watchers: input.watchers?.length ? [...input.watchers] : null,
+      hash: hashToken(token),
+      hint: token.slice(-4),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.tokens.push(entry);
+    await this.save();
+    const { hash, ...described } = entry;
+    return { ...described, token };
+  }
+
+  /**
+   * Rename a token or change its role/scope (the value never changes).
+   *
+   * @param {string} id - Token ID
+   * @param {Object} patch - { name?, role?, watchers? }
+   * @returns {Promise<Object>} Token description
+   */
+  async update(id, patch) {
+    const entry = this.tokens.find((t) => t.id === id);
+    if (!entry) {
+      throw new Error('Token not found');
+    }
+    validateToken({ name: entry.name, role: entry.role, watchers: entry.watchers, ...patch });
+    if ('role' in patch && patch.role !== 'admin') {
+      this.assertAdminRemains(id);
+    }
+    if ('name' in patch) entry.name = patch.name.trim();
+    if ('role' in patch) entry.role = patch.role;
+    if ('watchers' in patch) entry.watchers = patch.watchers?.length ? [...patch.watchers] : null;
+    await this.save();
+    const { hash, ...described } = entry;
+    return described;
+  }
+
+  /**
+   * Revoke a token.
+   *
+   * @param {string} id - Token ID
+   */
+  async remove(id) {
+    if (!this.tokens.some((t) => t.id === id)) {
+      throw new Error('Token not found');
+    }
+    if (this.tokens.length > 1) {
+      this.assertAdminRemains(id);
+    }
+    this.tokens = this.tokens.filter((t) => t.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Without ADMIN_TOKEN or an admin user, refuse to lose the last admin token
+   * (the API would stay locked with viewer/operator tokens only).
+   *
+   * @param {string} id - Token being demoted or removed
+   * @throws {Error} If no other admin token exists
+   */
+  assertAdminRemains(id) {
+    if (!this.adminToken && !this.otherAdmins() && !this.tokens.some((t) => t.id !== id && t.role === 'admin')) {
+      throw new Error('At least one admin token is required');
+    }
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Config Versions Module - Snapshots of config.json for rollback
+ *
+ * Every configuration save that changes something (API edit, label sync,
+ * rollback, manual edit picked up at startup) is kept as a numbered snapshot
+ * under `DATA_DIR/config-versions/<version>.json`. Only the most recent
+ * `retention` snapshots are kept. A rollback saves the restored config as a
+ * new version, so it can be undone too.
+ */
+
+import * as Storage from './storage.js';
+import { diffConfig } from './audit.js';
+
+/**
+ * Watchers (or webhooks) added, removed and changed between two lists.
+ *
+ * @param {Array<Object>} [before] - Entries of the older config
+ * @param {Array<Object>} [after] - Entries of the newer config
+ * @returns {Object} { added: [{ id, name }], removed: [{ id, name }], changed: [{ id, name, changes }] }
+ */
+function diffEntries(before = [], after = []) {
+  const old = new Map(before.map((e) => [e.id, e]));
+  const now = new Map(after.map((e) => [e.id, e]));
+  const ref = (e) => ({ id: e.id, name: e.name ?? null });
+
+  const changed = [];
+  for (const [id, e] of now) {
+    if (old.has(id)) {
+      const changes = diffConfig(old.get(id), e);
+      if (Object.keys(changes).length) {
+        changed.push({ ...ref(e), changes });
+      }
+    }
+  }
+  return {
+    added: after.filter((e) => !old.has(e.id)).map(ref),
+    removed: before.filter((e) => !now.has(e.id)).map(ref),
+    changed
+  };
+}
+
+/**
+ * Differences between two configs.
+ *
+ * @param {Object} before - Older config
+ * @param {Object} after - Newer config
+ * @returns {Object} { watchers, webhooks, archivedWatchers } (see diffEntries)
+ */
+export function diffConfigs(before, after) {
+  return {
+    watchers: diffEntries(before?.watchers, after?.watchers),
+    webhooks: diffEntries(before?.webhooks, after?.webhooks),
+    archivedWatchers: diffEntries(before?.archivedWatchers, after?.archivedWatchers)
+  };
+}
+
+/**
+ * IDs of the watchers a config change adds, removes or modifies.
+ *
+ * @param {Object} before - Current config
+ * @param {Object} after - Config about to replace it
+ * @returns {Array<string>} Watcher IDs
+ */
+export function changedWatcherIds(before, after) {
+  const { added, removed, changed } = diffEntries(before?.watchers, after?.watchers);
+  return [...added, ...removed, ...changed].map((e) => e.id);
+}
+
+export class ConfigVersions {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.dir - Snapshot directory (DATA_DIR/config-versions)
+   * @param {number} [opts.retention=50] - Snapshots kept (older ones are deleted)
+   */
+  constructor({ dir, retention = 50 }) {
+    this.dir = dir;
+    this.retention = Math.max(1, Math.floor(retention) || 50);
+    this.versions = [];         // Stored version numbers, oldest first
+    this.lastSerialized = null; // Latest snapshot's config (skip no-op saves)
+  }
+
+  /**
+   * Index existing snapshots.
+   */
+  async load() {
+    this.versions = await Storage.listConfigVersions(this.dir);
+    const latest = this.latest ? await Storage.loadConfigVersion(this.dir, this.latest) : null;
+    this.lastSerialized = latest ? JSON.stringify(latest.config) : null;
+  }
+
+  /**
+   * Latest version number (null before the first snapshot).
+   *
+   * @returns {number|null}
+   */
+  get latest() {
+    return this.versions.length ? this.versions[this.versions.length - 1] : null;
+  }
+
+  /**
+   * Snapshot a config unless it equals the latest snapshot.
+   *
+   * @param {Object} config - Config just saved
+   * @param {string} [note] - Why it was saved (e.g. "startup", "rollback to 12")
+   * @returns {Promise<number|null>} New version, or null if unchanged
+   */
+  async record(config, note = null) {
+    const serialized = JSON.stringify(config);
+    if (serialized === this.lastSerialized) {
+      return null;
+    }
+    // Reserve the number before writing: saves may overlap
+    const version = (this.latest ?? 0) + 1;
+    this.versions.push(version);
+    this.lastSerialized = serialized;
+
+    await Storage.saveConfigVersion(this.dir, {
+      version,
+      savedAt: new Date().toISOString(),
+      note,
+      config: JSON.parse(serialized)
+    });
+
+    while (this.versions.length > this.retention) {
+      await Storage.removeConfigVersion(this.dir, this.versions.shift());
+    }
+    return version;
+  }
+
+  /**
+   * One snapshot.
+   *
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} { version, savedAt, note, config } or null if unknown
+   */
+  async get(version) {
+    if (!this.versions.includes(version)) {
+      return null;
+    }
+    return Storage.loadConfigVersion(this.dir, version);
+  }
+
+  /**
+   * Stored versions, most recent first, each with its changes since the
+   * previous version (null for the oldest one kept).
+   *
+   * @returns {Promise<Array<Object>>} [{ version, savedAt, note, current, changes }]
+   */
+  async list() {
+    const result = [];
+    let previous = null;
+    for (const version of this.versions) {
+      const snapshot = await Storage.loadConfigVersion(this.dir, version);
+      if (!snapshot) continue;
+      result.push({
+        version,
+        savedAt: snapshot.savedAt,
+        note: snapshot.note ?? null,
+        current: version === this.latest,
+        changes: previous ? diffConfigs(previous.config, snapshot.config) : null
+      });
+      previous = snapshot;
+    }
+    return result.reverse();
+  }
+}
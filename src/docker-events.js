@@ -0,0 +1,166 @@
+/**
+ * Docker Events Module - Docker event stream subscription
+ *
+ * Follows `docker.getEvents()` (container and network events) so the manager
+ * reacts to containers being created, started, stopped, renamed or removed
+ * without waiting for the next rescan or poll.
+ *
+ * The stream is re-opened with exponential backoff when the Docker socket
+ * drops; events missed meanwhile are covered by the `onConnect` callback
+ * (the manager resyncs labels on reconnection).
+ */
+
+const CONTAINER_ACTIONS = ['create', 'start', 'die', 'destroy', 'rename'];
+const NETWORK_ACTIONS = ['connect', 'disconnect'];
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+export class DockerEventStream {
+  /**
+   * @param {Object} docker - Dockerode instance
+   * @param {Object} deps
+   * @param {Function} deps.onEvent - (event) => void, called per Docker event
+   * @param {Function} [deps.onConnect] - (reconnected: boolean) => void, called once the stream is open
+   * @param {Function} deps.emitEvent - Event emitter function
+   */
+  constructor(docker, { onEvent, onConnect, emitEvent }) {
+    this.docker = docker;
+    this.onEvent = onEvent;
+    this.onConnect = onConnect;
+    this.emitEvent = emitEvent;
+
+    this.stream = null;
+    this.retryTimer = null;
+    this.backoffMs = MIN_BACKOFF_MS;
+    this.connected = false;
+    this.everConnected = false;
+    this.closed = true;
+  }
+
+  /**
+   * Open the event stream (no-op if already started).
+   */
+  start() {
+    if (!this.closed) {
+      return;
+    }
+    this.closed = false;
+    this.connect();
+  }
+
+  /**
+   * Close the stream and cancel pending reconnections.
+   */
+  stop() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.stream?.destroy?.();
+    this.stream = null;
+    this.connected = false;
+  }
+
+  // ==========================================================================
+  // CONNECTION
+  // ==========================================================================
+
+  async connect() {
+    let stream;
+    try {
+      stream = await this.docker.getEvents({
+        filters: {
+          type: ['container', 'network'],
+          event: [...CONTAINER_ACTIONS, ...NETWORK_ACTIONS]
+        }
+      });
+    } catch (err) {
+      this.retry(err.message);
+      return;
+    }
+    if (this.closed) {
+      stream.destroy?.();
+      return;
+    }
+
+    this.stream = stream;
+    this.connected = true;
+    this.backoffMs = MIN_BACKOFF_MS;
+    const reconnected = this.everConnected;
+    this.everConnected = true;
+    this.emitEvent({ type: 'info', msg: `[events] docker event stream ${reconnected ? 'reconnected' : 'connected'}` });
+
+    // Newline-delimited JSON, possibly split across chunks
+    let pending = '';
+    stream.on('data', (chunk) => {
+      pending += chunk.toString('utf8');
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        this.dispatch(line);
+      }
+    });
+
+    let ended = false;
+    const end = (err) => {
+      if (ended || this.stream !== stream) {
+        return;
+      }
+      ended = true;
+      this.stream = null;
+      this.connected = false;
+      this.retry(err?.message ?? 'stream closed');
+    };
+    stream.on('end', () => end());
+    stream.on('close', () => end());
+    stream.on('error', end);
+
+    try {
+      this.onConnect?.(reconnected);
+    } catch (err) {
+      this.emitEvent({ type: 'warn', msg: `[events] ${err.message}` });
+    }
+  }
+
+  /**
+   * Parse and hand one event line to the manager.
+   *
+   * @param {string} line - JSON event
+   */
+  dispatch(line) {
+    if (!line.trim()) {
+      return;
+    }
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      return;
+    }
+    try {
+      this.onEvent(event);
+    } catch (err) {
+      this.emitEvent({ type: 'warn', msg: `[events] ${event.Type} ${event.Action}: ${err.message}` });
+    }
+  }
+
+  /**
+   * Schedule a reconnection (exponential backoff, capped).
+   *
+   * @param {string} reason - Why the stream is down
+   */
+  retry(reason) {
+    if (this.closed) {
+      return;
+    }
+    const delay = this.backoffMs;
+    this.backoffMs = Math.min(this.backoffMs * 2, MAX_BACKOFF_MS);
+    this.emitEvent({
+      type: 'warn',
+      msg: `[events] docker event stream down (${reason}), retrying in ${Math.round(delay / 1000)}s`
+    });
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect();
+    }, delay);
+  }
+}
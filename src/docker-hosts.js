@@ -0,0 +1,225 @@
+/**
+ * Docker Hosts Module - Docker endpoints managed by this instance
+ *
+ * `DOCKER_HOSTS` (JSON array) lists the endpoints; without it, a single
+ * "local" host on `DOCKER_SOCK` is used:
+ * - socket: { id, socketPath }
+ * - TCP/TLS: { id, host, port, protocol: 'http' | 'https', ca?, cert?, key? } (PEM file paths)
+ * - SSH: { id, protocol: 'ssh', host, port?, username, privateKey? } (key file path)
+ *
+ * Watchers select their host with `dockerHost` (default: the first host).
+ * Each host has its own dockerode client and container IP cache.
+ */
+
+import fs from 'fs';
+import Docker from 'dockerode';
+
+const HOST_ID_RE = /^[a-zA-Z0-9._-]+$/;
+const PROTOCOLS = ['http', 'https', 'ssh'];
+const PING_TIMEOUT_MS = 5000;
+
+/**
+ * Parse and validate the Docker hosts configuration.
+ *
+ * @param {string} [raw] - DOCKER_HOSTS value (JSON array)
+ * @param {string} defaultSocket - Socket of the implicit "local" host
+ * @returns {Array<Object>} Host configs
+ * @throws {Error} If the JSON or a host entry is invalid
+ */
+export function parseDockerHosts(raw, defaultSocket) {
+  if (!raw || !raw.trim()) {
+    return [{ id: 'local', socketPath: defaultSocket }];
+  }
+
+  let hosts;
+  try {
+    hosts = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`DOCKER_HOSTS: invalid JSON (${err.message})`);
+  }
+  if (!Array.isArray(hosts) || !hosts.length) {
+    throw new Error('DOCKER_HOSTS: expected a non-empty array');
+  }
+
+  const ids = new Set();
+  for (const h of hosts) {
+    if (!h || typeof h.id !== 'string' || !HOST_ID_RE.test(h.id)) {
+      throw new Error('DOCKER_HOSTS: each host needs an id (letters, digits, . _ -)');
+    }
+    if (ids.has(h.id)) {
+      throw new Error(`DOCKER_HOSTS: duplicate host id ${h.id}`);
+    }
+    ids.add(h.id);
+    if (!h.socketPath && !h.host) {
+      throw new Error(`DOCKER_HOSTS: ${h.id} needs socketPath or host`);
+    }
+    if (h.protocol !== undefined && !PROTOCOLS.includes(h.protocol)) {
+      throw new Error(`DOCKER_HOSTS: ${h.id} has an invalid protocol`);
+    }
+  }
+  return hosts;
+}
+
+/**
+ * dockerode options of a host config (reads TLS/SSH key files).
+ *
+ * @param {Object} config - Host config
+ * @returns {Object} Docker constructor options
+ */
+function clientOptions(config) {
+  if (config.socketPath) {
+    return { socketPath: config.socketPath };
+  }
+
+  const read = (file) => (file ? fs.readFileSync(file) : undefined);
+  if (config.protocol === 'ssh') {
+    return {
+      protocol: 'ssh',
+      host: config.host,
+      port: Number(config.port ?? 22),
+      username: config.username,
+      sshOptions: config.privateKey ? { privateKey: read(config.privateKey) } : {}
+    };
+  }
+
+  const protocol = config.protocol ?? (config.ca || config.cert ? 'https' : 'http');
+  return {
+    protocol,
+    host: config.host,
+    port: Number(config.port ?? (protocol === 'https' ? 2376 : 2375)),
+    ca: read(config.ca),
+    cert: read(config.cert),
+    key: read(config.key)
+  };
+}
+
+/**
+ * Human-readable endpoint of a host config (no secrets).
+ *
+ * @param {Object} config - Host config
+ * @returns {string}
+ */
+function describeEndpoint(config) {
+  if (config.socketPath) {
+    return `unix://${config.socketPath}`;
+  }
+  const protocol = config.protocol ?? (config.ca || config.cert ? 'https' : 'http');
+  const scheme = { https: 'tcp+tls', ssh: 'ssh' }[protocol] ?? 'tcp';
+  const user = config.username ? `${config.username}@` : '';
+  const port = config.port ? `:${config.port}` : '';
+  return `${scheme}://${user}${config.host}${port}`;
+}
+
+export class DockerHosts {
+  /**
+   * @param {Array<Object>} configs - Host configs (parseDockerHosts)
+   */
+  constructor(configs) {
+    this.hosts = new Map();  // id -> { id, label, endpoint, docker, ipCache, healthy, ... }
+    for (const config of configs) {
+      this.hosts.set(config.id, {
+        id: config.id,
+        label: config.label ?? config.id,
+        endpoint: describeEndpoint(config),
+        docker: new Docker(clientOptions(config)),
+        ipCache: new Map(),  // Container name -> { ip, timestamp }
+        healthy: null,       // null until the first check
+        version: null,
+        lastError: null,
+        checkedAt: null
+      });
+    }
+    this.defaultId = configs[0].id;
+  }
+
+  /**
+   * Whether a host ID is configured.
+   *
+   * @param {string} id - Host ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.hosts.has(id);
+  }
+
+  /**
+   * Host entry (default host when no ID is given).
+   *
+   * @param {string} [id] - Host ID
+   * @returns {Object} Host entry
+   * @throws {Error} If the host is unknown
+   */
+  get(id) {
+    const host = this.hosts.get(id || this.defaultId);
+    if (!host) {
+      throw new Error(`Unknown Docker host: ${id}`);
+    }
+    return host;
+  }
+
+  /**
+   * @returns {Array<Object>} All host entries
+   */
+  all() {
+    return [...this.hosts.values()];
+  }
+
+  /**
+   * Ping every host and record its health and Docker version.
+   *
+   * @returns {Promise<Array<Object>>} describe() result
+   */
+  async checkHealth() {
+    await Promise.all(this.all().map(async (host) => {
+      let timer;
+      try {
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('timeout')), PING_TIMEOUT_MS);
+        });
+        const info = await Promise.race([host.docker.version(), timeout]);
+        host.healthy = true;
+        host.version = info?.Version ?? null;
+        host.lastError = null;
+      } catch (err) {
+        host.healthy = false;
+        host.lastError = err.message;
+      } finally {
+        clearTimeout(timer);
+        host.checkedAt = new Date().toISOString();
+      }
+    }));
+    return this.describe();
+  }
+
+  /**
+   * Mark a host unreachable after a failed call (cleared by the next check).
+   *
+   * @param {string} id - Host ID
+   * @param {Error} err - Failure
+   */
+  markFailed(id, err) {
+    const host = this.hosts.get(id);
+    if (host) {
+      host.healthy = false;
+      host.lastError = err.message;
+    }
+  }
+
+  /**
+   * Describe hosts for clients (no clients or secrets).
+   *
+   * @returns {Array<Object>} [{ id, label, endpoint, default, healthy, version, lastError, checkedAt }]
+   */
+  describe() {
+    return this.all().map((h) => ({
+      id: h.id,
+      label: h.label,
+      endpoint: h.endpoint,
+      default: h.id === this.defaultId,
+      healthy: h.healthy,
+      version: h.version,
+      lastError: h.lastError,
+      checkedAt: h.checkedAt
+    }));
+  }
+}
@@ -6,8 +6,19 @@
  * - Container state management
  * - IP resolution with caching
  * - Container listing with metadata
+ * - Command execution inside containers (docker exec)
+ * - Docker Compose service lookup
  */
 
+import { PassThrough } from 'stream';
+
+const EXEC_OUTPUT_MAX = 4096;  // Captured exec output (chars)
+
+// Labels set by Docker Compose on the containers it creates
+export const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project';
+export const COMPOSE_SERVICE_LABEL = 'com.docker.compose.service';
+export const COMPOSE_DEPENDS_LABEL = 'com.docker.compose.depends_on';
+
 /**
  * Get a Docker container by name or ID.
  * Returns null if container not found or not available.
@@ -52,6 +63,54 @@ export async function stopGracefully(container, stopTimeoutSec, emitEvent) {
   }
 }
 
+/**
+ * Run a command inside a running container and capture its output.
+ *
+ * @param {Object} container - Docker container object
+ * @param {Array<string>|string} cmd - Command array, or a string run through `sh -c`
+ * @param {Object} [options]
+ * @param {number} [options.timeoutSec=30] - Abort waiting after this many seconds
+ * @returns {Promise<Object>} { exitCode, output }
+ * @throws {Error} On exec failure or timeout
+ */
+export async function execInContainer(container, cmd, { timeoutSec = 30 } = {}) {
+  const argv = Array.isArray(cmd) ? cmd.map(String) : ['sh', '-c', String(cmd)];
+
+  const exec = await container.exec({
+    Cmd: argv,
+    AttachStdout: true,
+    AttachStderr: true
+  });
+  const stream = await exec.start({ hijack: true, stdin: false });
+
+  let output = '';
+  const collect = new PassThrough();
+  collect.on('data', (chunk) => {
+    if (output.length < EXEC_OUTPUT_MAX) {
+      output = (output + chunk.toString('utf8')).slice(0, EXEC_OUTPUT_MAX);
+    }
+  });
+  container.modem.demuxStream(stream, collect, collect);
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stream.destroy();
+      reject(new Error(`exec timed out after ${timeoutSec}s`));
+    }, timeoutSec * 1000);
+    const done = (err) => {
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve();
+    };
+    stream.on('end', () => done());
+    stream.on('close', () => done());
+    stream.on('error', done);
+  });
+
+  const info = await exec.inspect();
+  return { exitCode: info.ExitCode, output: output.trim() };
+}
+
 /**
  * Resolve container name to IP address with caching.
  * Caches results to avoid repeated lookups.
@@ -119,11 +178,32 @@ export async function listDockerContainers(docker) {
 }
 
 /**
- * Perform an action on a container (start/stop).
+ * Find the current container of a Compose service (its name changes when
+ * Compose recreates it). A running container is preferred.
+ *
+ * @param {Docker} docker - Dockerode instance
+ * @param {string} project - Compose project name
+ * @param {string} service - Compose service name
+ * @returns {Promise<string|null>} Container name or null
+ */
+export async function findComposeContainer(docker, project, service) {
+  const containers = await docker.listContainers({
+    all: true,
+    filters: { label: [`${COMPOSE_PROJECT_LABEL}=${project}`, `${COMPOSE_SERVICE_LABEL}=${service}`] }
+  });
+  const c = containers.find((x) => x.State === 'running') ?? containers[0];
+  if (!c) {
+    return null;
+  }
+  return c.Names?.[0]?.replace(/^\//, '') ?? c.Id;
+}
+
+/**
+ * Perform an action on a container (start/stop/restart).
  *
  * @param {Docker} docker - Dockerode instance
  * @param {string} idOrName - Container name or ID
- * @param {string} action - 'start' or 'stop'
+ * @param {string} action - 'start', 'stop' or 'restart'
  * @returns {Promise<Object>} { ok: true }
  * @throws {Error} If container not found or action unsupported
  */
@@ -143,5 +223,10 @@ export async function containerAction(docker, idOrName, action) {
     return { ok: true };
   }
 
+  if (action === 'restart') {
+    await c.restart({ t: 60 });
+    return { ok: true };
+  }
+
   throw new Error('Unsupported action');
 }
@@ -0,0 +1,232 @@
+/**
+ * Container Groups Module - Multi-container game stacks
+ *
+ * A watcher can manage companion containers (database, map renderer, chat
+ * bridge...) along with its target:
+ * - groupMembers: [{ container, stopTimeoutSec? }] stopped in this order after
+ *   the target (or at its position, if the target is listed)
+ * - groupComposeProject: every container of a Docker Compose project, ordered
+ *   from their `com.docker.compose.depends_on` labels (dependents stop first)
+ *
+ * Stops follow the group order; starts run in reverse, so dependencies are up
+ * before the containers needing them.
+ */
+
+import {
+  getContainer,
+  stopGracefully,
+  COMPOSE_PROJECT_LABEL,
+  COMPOSE_SERVICE_LABEL,
+  COMPOSE_DEPENDS_LABEL
+} from './docker.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Whether a watcher manages more than its target container.
+ *
+ * @param {Object} watcher - Watcher config
+ * @returns {boolean}
+ */
+export function hasGroup(watcher) {
+  return Boolean(watcher.groupComposeProject) || (watcher.groupMembers?.length ?? 0) > 0;
+}
+
+/**
+ * Parse the compact member syntax used by labels and the UI:
+ * "name[:stopTimeoutSec],..." (e.g. "mc-bridge:10,mc-renderer,mc-db:30").
+ *
+ * @param {string} text - Comma-separated members
+ * @returns {Array<Object>} [{ container, stopTimeoutSec? }]
+ * @throws {Error} If a timeout is not a number
+ */
+export function parseGroupMembers(text) {
+  return String(text)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [container, timeout] = part.split(':').map((s) => s.trim());
+      if (timeout === undefined || timeout === '') {
+        return { container };
+      }
+      const stopTimeoutSec = Number(timeout);
+      if (!Number.isFinite(stopTimeoutSec)) {
+        throw new Error(`Invalid stop timeout for group member ${container}`);
+      }
+      return { container, stopTimeoutSec };
+    });
+}
+
+/**
+ * Validate (and normalize) the group fields of a watcher payload.
+ * A string `groupMembers` is parsed with parseGroupMembers().
+ *
+ * @param {Object} input - Watcher payload (mutated: groupMembers normalized)
+ * @throws {Error} If members or the Compose project are invalid
+ */
+export function validateGroupConfig(input) {
+  if (typeof input.groupMembers === 'string') {
+    input.groupMembers = parseGroupMembers(input.groupMembers);
+  }
+
+  const members = input.groupMembers;
+  if (members !== undefined && members !== null) {
+    if (!Array.isArray(members)) {
+      throw new Error('Invalid field: groupMembers');
+    }
+    for (const m of members) {
+      if (!m || typeof m.container !== 'string' || !m.container.trim()) {
+        throw new Error('Invalid field: groupMembers (container required)');
+      }
+      if (m.stopTimeoutSec !== undefined && !(Number(m.stopTimeoutSec) >= 0)) {
+        throw new Error(`Invalid stop timeout for group member ${m.container}`);
+      }
+    }
+  }
+
+  if (input.groupComposeProject !== undefined && input.groupComposeProject !== null
+    && typeof input.groupComposeProject !== 'string') {
+    throw new Error('Invalid field: groupComposeProject');
+  }
+  if (members?.length && input.groupComposeProject) {
+    throw new Error('groupMembers and groupComposeProject are mutually exclusive');
+  }
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Services of a Compose project in stop order: a service stops before the
+ * services it depends on. Dependency cycles fall back to name order.
+ *
+ * @param {Array<Object>} containers - Project containers (docker.listContainers)
+ * @returns {Array<Object>} Same containers, sorted
+ */
+function composeStopOrder(containers) {
+  const byService = new Map();
+  for (const c of containers) {
+    byService.set(c.Labels?.[COMPOSE_SERVICE_LABEL] ?? c.Id, c);
+  }
+
+  // depends_on label: "db:service_started:false,cache:service_healthy:true"
+  const deps = new Map();
+  for (const [service, c] of byService) {
+    const raw = c.Labels?.[COMPOSE_DEPENDS_LABEL] ?? '';
+    deps.set(service, raw.split(',')
+      .map((d) => d.split(':')[0].trim())
+      .filter((d) => d && byService.has(d)));
+  }
+
+  // Start order: a service once all its dependencies are started
+  const started = [];
+  const pending = new Set([...byService.keys()].sort());
+  while (pending.size) {
+    const ready = [...pending].filter((s) => deps.get(s).every((d) => !pending.has(d)));
+    const batch = ready.length ? ready : [...pending];
+    for (const s of batch) {
+      pending.delete(s);
+      started.push(s);
+    }
+  }
+
+  return started.reverse().map((s) => byService.get(s));
+}
+
+/**
+ * Containers of a watcher's group, in stop order.
+ * Without a group, only the target container.
+ *
+ * @param {Object} docker - Dockerode instance
+ * @param {Object} watcher - Watcher config
+ * @returns {Promise<Array<Object>>} [{ ref, stopTimeoutSec }]
+ */
+export async function resolveGroup(docker, watcher) {
+  const defaultTimeout = Number(watcher.stopTimeoutSec ?? 60);
+  let members;
+
+  if (watcher.groupComposeProject) {
+    const containers = await docker.listContainers({
+      all: true,
+      filters: { label: [`${COMPOSE_PROJECT_LABEL}=${watcher.groupComposeProject}`] }
+    });
+    members = composeStopOrder(containers).map((c) => ({
+      ref: c.Names?.[0]?.replace(/^\//, '') ?? c.Id,
+      stopTimeoutSec: defaultTimeout
+    }));
+  } else {
+    members = (watcher.groupMembers ?? []).map((m) => ({
+      ref: m.container,
+      stopTimeoutSec: Number(m.stopTimeoutSec ?? defaultTimeout)
+    }));
+  }
+
+  // Target first unless the group places it
+  if (!members.some((m) => m.ref === watcher.targetContainer)) {
+    members.unshift({ ref: watcher.targetContainer, stopTimeoutSec: defaultTimeout });
+  }
+  return members;
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Stop every running container of the group, in order, each with its own
+ * timeout. Failures are reported and don't prevent stopping the others.
+ *
+ * @param {Object} docker - Dockerode instance
+ * @param {Object} watcher - Watcher config
+ * @param {Function} emitEvent - Event emitter function
+ * @returns {Promise<void>}
+ */
+export async function stopGroup(docker, watcher, emitEvent) {
+  for (const member of await resolveGroup(docker, watcher)) {
+    const container = await getContainer(docker, member.ref);
+    if (!container) {
+      emitEvent({ type: 'warn', msg: `[${watcher.name}] group member ${member.ref} not found` });
+      continue;
+    }
+    const info = await container.inspect();
+    if (!info?.State?.Running) {
+      continue;
+    }
+    emitEvent({ type: 'info', msg: `[${watcher.name}] stopping ${member.ref}` });
+    await stopGracefully(container, member.stopTimeoutSec, emitEvent);
+  }
+}
+
+/**
+ * Start the group in reverse stop order (dependencies first), skipping
+ * containers already running.
+ *
+ * @param {Object} docker - Dockerode instance
+ * @param {Object} watcher - Watcher config
+ * @param {Function} emitEvent - Event emitter function
+ * @returns {Promise<void>}
+ * @throws {Error} On the first member that can't be started (later ones are skipped)
+ */
+export async function startGroup(docker, watcher, emitEvent) {
+  const members = (await resolveGroup(docker, watcher)).reverse();
+  for (const member of members) {
+    const container = await getContainer(docker, member.ref);
+    if (!container) {
+      throw new Error(`Group member ${member.ref} not found`);
+    }
+    const info = await container.inspect();
+    if (info?.State?.Running) {
+      continue;
+    }
+    emitEvent({ type: 'info', msg: `[${watcher.name}] starting ${member.ref}` });
+    try {
+      await container.start();
+    } catch (err) {
+      throw new Error(`${member.ref}: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * History Module - Per-watcher activity time series
+ *
+ * Keeps, for each watcher:
+ * - samples: player count per poll ({ t, p }, p = null while the container is down)
+ * - events: lifecycle transitions ({ t, kind }, e.g. container-up, auto-stop, wake)
+ *
+ * Recent samples are kept at poll resolution; older ones are downsampled to
+ * fixed buckets (max players) and everything past the retention is dropped.
+ * Series live in memory and are flushed periodically via the storage module.
+ */
+
+import * as Storage from './storage.js';
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export class HistoryStore {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.dir - Directory for per-watcher history files
+   * @param {number} [opts.rawRetentionHours=24] - Keep full-resolution samples this long
+   * @param {number} [opts.retentionDays=30] - Drop anything older
+   * @param {number} [opts.bucketSec=300] - Downsampled bucket size
+   * @param {number} [opts.flushIntervalSec=300] - Periodic flush to disk
+   */
+  constructor({ dir, rawRetentionHours = 24, retentionDays = 30, bucketSec = 300, flushIntervalSec = 300 }) {
+    this.dir = dir;
+    this.rawRetentionMs = rawRetentionHours * HOUR_MS;
+    this.retentionMs = retentionDays * DAY_MS;
+    this.bucketMs = bucketSec * 1000;
+    this.flushIntervalSec = flushIntervalSec;
+
+    this.series = new Map();  // id -> { samples, events, dirty }
+    this.flushTimer = null;
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Load existing history files and start periodic flushing.
+   *
+   * @param {Array<string>} ids - Watcher IDs to load
+   */
+  async load(ids) {
+    for (const id of ids) {
+      const history = await Storage.loadHistory(this.dir, id);
+      this.series.set(id, { ...history, dirty: false });
+    }
+
+    if (!this.flushTimer && this.flushIntervalSec > 0) {
+      this.flushTimer = setInterval(() => this.flush().catch(() => {}), this.flushIntervalSec * 1000);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * Compact and write every modified series to disk.
+   */
+  async flush() {
+    for (const [id, s] of this.series) {
+      if (!s.dirty) continue;
+      this.compact(s);
+      s.dirty = false;
+      try {
+        await Storage.saveHistory(this.dir, id, { samples: s.samples, events: s.events });
+      } catch (err) {
+        s.dirty = true;
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Flush and stop the periodic timer (shutdown).
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Forget a watcher's history (watcher deleted).
+   *
+   * @param {string} id - Watcher ID
+   */
+  async remove(id) {
+    this.series.delete(id);
+    await Storage.removeHistory(this.dir, id);
+  }
+
+  // ==========================================================================
+  // RECORDING
+  // ==========================================================================
+
+  getSeries(id) {
+    let s = this.series.get(id);
+    if (!s) {
+      s = { samples: [], events: [], dirty: false };
+      this.series.set(id, s);
+    }
+    return s;
+  }
+
+  /**
+   * Record one poll result.
+   *
+   * @param {string} id - Watcher ID
+   * @param {number|null} players - Player count, or null when the container is down
+   * @param {number} [t=Date.now()] - Timestamp (ms)
+   */
+  recordSample(id, players, t = Date.now()) {
+    const s = this.getSeries(id);
+    s.samples.push({ t, p: players });
+    s.dirty = true;
+  }
+
+  /**
+   * Record a lifecycle event.
+   *
+   * @param {string} id - Watcher ID
+   * @param {string} kind - Event kind (container-up, container-down, auto-stop, wake, ...)
+   * @param {number} [t=Date.now()] - Timestamp (ms)
+   */
+  recordEvent(id, kind, t = Date.now()) {
+    const s = this.getSeries(id);
+    s.events.push({ t, kind });
+    s.dirty = true;
+  }
+
+  /**
+   * Downsample old samples to buckets and apply retention.
+   *
+   * @param {Object} s - Series { samples, events }
+   * @param {number} [now=Date.now()]
+   */
+  compact(s, now = Date.now()) {
+    const dropBefore = now - this.retentionMs;
+    const rawAfter = now - this.rawRetentionMs;
+
+    const buckets = new Map();  // bucket start -> max players (null = down)
+    const recent = [];
+    for (const sample of s.samples) {
+      if (sample.t < dropBefore) continue;
+      if (sample.t >= rawAfter) {
+        recent.push(sample);
+        continue;
+      }
+      const key = Math.floor(sample.t / this.bucketMs) * this.bucketMs;
+      buckets.set(key, maxPlayers(buckets.has(key) ? buckets.get(key) : undefined, sample.p));
+    }
+
+    const old = [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([t, p]) => ({ t, p }));
+    s.samples = old.concat(recent);
+    s.events = s.events.filter((e) => e.t >= dropBefore);
+  }
+
+  // ==========================================================================
+  // QUERY
+  // ==========================================================================
+
+  /**
+   * Read a watcher's history in a time range, optionally aggregated.
+   *
+   * @param {string} id - Watcher ID
+   * @param {Object} [range]
+   * @param {number} [range.from] - Start (ms), default 24h ago
+   * @param {number} [range.to] - End (ms), default now
+   * @param {number} [range.step] - Bucket size in seconds (0 = raw samples)
+   * @returns {Object} { from, to, step, samples: [{ t, players, avg? }], events: [{ t, kind }] }
+   */
+  query(id, { from, to, step } = {}) {
+    const end = Number.isFinite(to) ? to : Date.now();
+    const start = Number.isFinite(from) ? from : end - DAY_MS;
+    const s = this.series.get(id) ?? { samples: [], events: [] };
+
+    const inRange = s.samples.filter((x) => x.t >= start && x.t <= end);
+    const events = s.events.filter((e) => e.t >= start && e.t <= end);
+
+    if (!step || step <= 0) {
+      return {
+        from: start,
+        to: end,
+        step: 0,
+        samples: inRange.map((x) => ({ t: x.t, players: x.p })),
+        events
+      };
+    }
+
+    const stepMs = step * 1000;
+    const buckets = new Map();  // bucket start -> { max, sum, n }
+    for (const x of inRange) {
+      const key = start + Math.floor((x.t - start) / stepMs) * stepMs;
+      const b = buckets.get(key) ?? { max: undefined, sum: 0, n: 0 };
+      b.max = maxPlayers(b.max, x.p);
+      if (x.p !== null) {
+        b.sum += x.p;
+        b.n += 1;
+      }
+      buckets.set(key, b);
+    }
+
+    const samples = [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([t, b]) => ({ t, players: b.max, avg: b.n ? b.sum / b.n : null }));
+
+    return { from: start, to: end, step, samples, events };
+  }
+}
+
+/**
+ * Max of two player counts where null means "container down".
+ * Any running value wins over down; undefined means "no value yet".
+ */
+function maxPlayers(a, b) {
+  if (a === undefined) return b;
+  if (a === null) return b;
+  if (b === null) return a;
+  return Math.max(a, b);
+}
@@ -2,7 +2,7 @@
  * Watcher Manager - Orchestrates game server watchers
  *
  * Responsibilities:
- * - Load/save watcher configurations (via storage module)
+ * - Load/save watcher configurations (via storage module), with rollback
  * - Manage watcher lifecycle (create, update, delete, start, stop)
  * - Auto-stop servers after inactivity (via watcher-polling module)
  * - Sync watchers from Docker container labels
@@ -10,32 +10,199 @@
  *
  * Delegates to:
  * - storage.js: Configuration persistence
+ * - config-versions.js: Config snapshots (history, rollback)
  * - docker.js: Container operations
  * - watcher-polling.js: Polling and lifecycle
+ * - wake-proxy.js: Wake-on-connect listeners
+ * - history.js: Player count / lifecycle time series
+ * - metrics.js: Prometheus counters and exposition
+ * - notifier.js: Outbound webhook notifications
+ * - schedule.js: Keep-alive/start windows and hard-stop times
+ * - groups.js: Companion containers stopped/started with the target
+ * - docker-events.js: Docker event stream (container create/start/die/...)
+ * - docker-hosts.js: Docker endpoints (local socket, TCP/TLS, SSH)
+ * - providers/: Query providers (GameDig, Satisfactory, RCON, logs, traffic)
  */
 
-import Docker from 'dockerode';
 import path from 'path';
 import { nanoid } from 'nanoid';
 import * as Storage from './storage.js';
 import * as DockerUtil from './docker.js';
 import * as WatcherPolling from './watcher-polling.js';
+import { WakeProxy, validateWakeConfig } from './wake-proxy.js';
+import { DockerEventStream } from './docker-events.js';
+import { DockerHosts, parseDockerHosts } from './docker-hosts.js';
+import { HistoryStore } from './history.js';
+import { ConfigVersions, changedWatcherIds, diffConfigs } from './config-versions.js';
+import { Metrics } from './metrics.js';
+import { Notifier, validateWebhook } from './notifier.js';
+import { scheduleStatus, validateSchedules } from './schedule.js';
+import { hasGroup, validateGroupConfig, parseGroupMembers, stopGroup, startGroup } from './groups.js';
+import { listProviders, validateProviderConfig, providerFieldsFromLabels, stripSecrets } from './providers/index.js';
+
+// What label sync does with label-sourced watchers whose labels disappeared
+const LABEL_RECONCILE_MODES = ['off', 'disable', 'archive', 'delete'];
+
+// Who wins when a field set by labels is edited through the API/UI:
+// labels (reverted on next sync), ui (edits kept), lock (edits rejected)
+const LABEL_CONFLICT_POLICIES = ['labels', 'ui', 'lock'];
+
+// Event kinds recorded in the per-watcher history timeline
+const HISTORY_EVENT_KINDS = new Set([
+  'container-up',
+  'container-down',
+  'stopping-soon',
+  'stop-cancelled',
+  'auto-stop',
+  'scheduled-start',
+  'scheduled-stop',
+  'query-restart',
+  'wake'
+]);
+
+/**
+ * Validate the optional pre-stop command block of a watcher.
+ * { cmd: string|string[], timeoutSec?, expectedExitCode?, onFailure?: 'proceed'|'abort' }
+ */
+function validatePreStopExec(pre) {
+  if (pre === undefined || pre === null) {
+    return;
+  }
+  const cmdOk = typeof pre.cmd === 'string'
+    || (Array.isArray(pre.cmd) && pre.cmd.every((a) => typeof a === 'string'));
+  if (typeof pre !== 'object' || !cmdOk) {
+    throw new Error('Invalid field: preStopExec.cmd');
+  }
+  if (pre.timeoutSec !== undefined && !(Number(pre.timeoutSec) > 0)) {
+    throw new Error('Invalid field: preStopExec.timeoutSec');
+  }
+  if (pre.expectedExitCode !== undefined && !Number.isInteger(Number(pre.expectedExitCode))) {
+    throw new Error('Invalid field: preStopExec.expectedExitCode');
+  }
+  if (pre.onFailure !== undefined && !['proceed', 'abort'].includes(pre.onFailure)) {
+    throw new Error('Invalid field: preStopExec.onFailure');
+  }
+}
+
+/**
+ * Validate the optional query-failure policy of a watcher.
+ * { emptyAfter?, restartAfter?, alertAfter? } - consecutive failures, 0 = off
+ */
+function validateQueryFailurePolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return;
+  }
+  if (typeof policy !== 'object') {
+    throw new Error('Invalid field: queryFailurePolicy');
+  }
+  for (const key of ['emptyAfter', 'restartAfter', 'alertAfter']) {
+    if (policy[key] === undefined) continue;
+    const n = Number(policy[key]);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`Invalid field: queryFailurePolicy.${key}`);
+    }
+  }
+}
+
+/**
+ * The pre-stop warning phase must fit in the inactivity period (checked
+ * when both are known: full payload, or merged watcher on update).
+ */
+function validateWarningWindow(w) {
+  if (Number(w.warningMinutes) >= Number(w.inactivityMinutes)) {
+    throw new Error('warningMinutes must be lower than inactivityMinutes');
+  }
+}
+
+// Watcher keys without per-field provenance
+const PROVENANCE_IGNORED = new Set(['id', 'source', 'provenance', 'labelsRemovedAt']);
+
+/**
+ * Top-level fields that differ between two watcher configs.
+ */
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+}
+
+/**
+ * Whether a watcher targets a container (by name, or by ID prefix).
+ */
+function targetsContainer(watcher, name, id) {
+  return watcher.targetContainer === name
+    || (/^[0-9a-f]{12,64}$/.test(watcher.targetContainer ?? '') && String(id ?? '').startsWith(watcher.targetContainer));
+}
+
+/**
+ * Next schedule action of a watcher for listings ({ type, at: ISO } or null).
+ */
+function nextScheduledAction(watcher) {
+  if (!Array.isArray(watcher.schedules) || !watcher.schedules.length) {
+    return null;
+  }
+  try {
+    const { nextAction } = scheduleStatus(watcher);
+    return nextAction ? { type: nextAction.type, at: new Date(nextAction.at).toISOString() } : null;
+  } catch {
+    return null;
+  }
+}
 
 export class WatchManager {
   constructor(opts) {
     const envData = process.env.DATA_DIR ?? process.env.DATA ?? '/data';
     this.dataDir = opts.dataDir ?? envData;
     this.configPath = opts.configPath ?? process.env.CONFIG_PATH ?? path.join(this.dataDir, 'config.json');
-    this.docker = new Docker({ socketPath: process.env.DOCKER_SOCK ?? '/var/run/docker.sock' });
+    this.statePath = opts.statePath ?? path.join(this.dataDir, 'state.json');
+    this.hosts = new DockerHosts(parseDockerHosts(
+      process.env.DOCKER_HOSTS,
+      process.env.DOCKER_SOCK ?? '/var/run/docker.sock'
+    ));
 
     // Runtime state
-    this.watchers = new Map();      // id -> { timer, intervalSec, emptyMinutes, lastPlayers, busy }
-    this.config = { watchers: [] }; // Persisted configuration
+    this.watchers = new Map();      // id -> { timer, intervalSec, emptyMinutes, lastPlayers, busy, proxy }
+    this.config = { watchers: [], webhooks: [] }; // Persisted configuration
+    this.runtimeState = { watchers: {} }; // Checkpointed runtime state (id -> counters)
+    this.runtimeSave = Promise.resolve(); // Serializes state.json writes
+    this.runtimeSaveTimer = null;
     this.listeners = new Set();     // Pub/sub for events (logs)
-    this.ipCache = new Map();       // Docker container IP cache
-    this.ipCacheTTL = 300;          // IP cache TTL in seconds
+    this.ipCacheTTL = 300;          // IP cache TTL in seconds (caches are per host)
     this.labelPrefix = process.env.LABEL_PREFIX ?? 'autostop.';
+    this.labelReconcile = LABEL_RECONCILE_MODES.includes(process.env.LABEL_RECONCILE)
+      ? process.env.LABEL_RECONCILE
+      : 'off';                      // Watchers whose labels disappeared: off|disable|archive|delete
+    this.labelConflictPolicy = LABEL_CONFLICT_POLICIES.includes(process.env.LABEL_CONFLICT_POLICY)
+      ? process.env.LABEL_CONFLICT_POLICY
+      : 'labels';                   // Label vs UI edits of the same field
     this.rescanTimer = null;        // Scheduled Docker label rescan
+    this.labelSyncTimer = null;     // Label sync queued by Docker events
+    this.events = new Map();        // Host ID -> Docker event stream
+    this.history = new HistoryStore({
+      dir: path.join(this.dataDir, 'history'),
+      retentionDays: Number(process.env.HISTORY_RETENTION_DAYS ?? 30)
+    });
+    this.versions = new ConfigVersions({
+      dir: path.join(this.dataDir, 'config-versions'),
+      retention: Number(process.env.CONFIG_VERSIONS ?? 50)
+    });
+
+    this.metrics = new Metrics();
+    this.notifier = new Notifier({
+      getTargets: () => this.config.webhooks ?? [],
+      getWatcher: (id) => this.config.watchers.find((w) => w.id === id),
+      emitEvent: (e) => this.emit(e)
+    });
+
+    // Feed lifecycle events into the history timeline and counters
+    this.subscribe((e) => {
+      if (e.watcherId && HISTORY_EVENT_KINDS.has(e.kind)) {
+        this.history.recordEvent(e.watcherId, e.kind);
+      }
+      if (e.watcherId && e.kind === 'auto-stop') {
+        this.metrics.countAutoStop(e.watcherId);
+      }
+      this.notifier.handle(e);
+    });
   }
 
   // ==========================================================================
@@ -47,13 +214,124 @@ export class WatchManager {
    */
   async load() {
     this.config = await Storage.loadConfig(this.configPath);
+    this.runtimeState = await Storage.loadRuntimeState(this.statePath);
+    await this.history.load(this.config.watchers.map((w) => w.id));
+    await this.versions.load();
+    // First run or config.json edited by hand while stopped
+    await this.recordVersion('startup');
   }
 
   /**
-   * Persist configuration to disk via storage module.
+   * Persist configuration to disk via storage module and snapshot it.
+   *
+   * @param {string} [note] - Reason kept with the config version
    */
-  async save() {
+  async save(note) {
     await Storage.saveConfig(this.configPath, this.config);
+    await this.recordVersion(note);
+  }
+
+  /**
+   * Snapshot the current config (failures only warn: the config is saved).
+   */
+  async recordVersion(note) {
+    try {
+      await this.versions.record(this.config, note);
+    } catch (err) {
+      this.emit({ type: 'warn', msg: `[config] version snapshot failed: ${err.message}` });
+    }
+  }
+
+  /**
+   * Flush activity history to disk (shutdown).
+   */
+  async flushHistory() {
+    await this.history.close();
+  }
+
+  /**
+   * Per-poll hook: checkpoint counters, record a history sample and
+   * query metrics.
+   */
+  recordTick(id, state) {
+    this.checkpoint(id, state);
+
+    if (state.lastQueryMs !== null) {
+      this.metrics.observeQuery(id, state.lastQueryOk, state.lastQueryMs / 1000);
+    }
+
+    if (!state.containerRunning) {
+      this.history.recordSample(id, null);
+    } else if (state.lastQueryOk) {
+      this.history.recordSample(id, state.lastPlayers);
+    }
+  }
+
+  /**
+   * Render Prometheus metrics for all watchers (or only some IDs).
+   *
+   * @param {Array<string>} [watcherIds] - Restrict to these watchers
+   */
+  renderMetrics(watcherIds) {
+    const watchers = watcherIds
+      ? this.config.watchers.filter((w) => watcherIds.includes(w.id))
+      : this.config.watchers;
+    return this.metrics.render(watchers, this.watchers);
+  }
+
+  /**
+   * Read a watcher's activity history.
+   *
+   * @param {string} id - Watcher ID
+   * @param {Object} range - { from, to, step } (ms, ms, seconds)
+   */
+  getHistory(id, range) {
+    if (!this.config.watchers.some((w) => w.id === id)) {
+      throw new Error('Watcher not found');
+    }
+    return { id, ...this.history.query(id, range) };
+  }
+
+  /**
+   * Record a watcher's runtime counters and schedule a checkpoint write.
+   */
+  checkpoint(id, state) {
+    this.runtimeState.watchers[id] = {
+      emptyMinutes: state.emptyMinutes,
+      lastPlayers: state.lastPlayers,
+      warned: state.warned,
+      updatedAt: Date.now()
+    };
+    this.scheduleRuntimeSave();
+  }
+
+  /**
+   * Coalesce checkpoint writes from all watchers into one write per second.
+   */
+  scheduleRuntimeSave() {
+    if (this.runtimeSaveTimer) {
+      return;
+    }
+    this.runtimeSaveTimer = setTimeout(() => {
+      this.runtimeSaveTimer = null;
+      this.saveRuntimeState().catch((err) => {
+        this.emit({ type: 'warn', msg: `[state] checkpoint failed: ${err.message}` });
+      });
+    }, 1000);
+  }
+
+  /**
+   * Persist runtime state to disk now (writes are serialized).
+   */
+  async saveRuntimeState() {
+    if (this.runtimeSaveTimer) {
+      clearTimeout(this.runtimeSaveTimer);
+      this.runtimeSaveTimer = null;
+    }
+    this.runtimeSave = this.runtimeSave
+      .catch(() => {})
+      .then(() => Storage.saveRuntimeState(this.statePath, this.runtimeState));
+    return this.runtimeSave;
   }
 
   // ==========================================================================
@@ -84,15 +362,53 @@ export class WatchManager {
   // ==========================================================================
 
   /**
-   * List all watchers with derived "running" flag.
+   * List all watchers with derived "running" flag, query failure streak
+   * and next scheduled action.
+   *
+   * @param {Object} [opts]
+   * @param {boolean} [opts.secrets=true] - Include provider secrets (RCON password, API token...)
    */
-  list() {
+  list({ secrets = true } = {}) {
     return this.config.watchers.map((w) => ({
-      ...w,
-      running: this.watchers.has(w.id)
+      ...(secrets ? w : stripSecrets(w)),
+      running: this.watchers.has(w.id),
+      queryFailures: this.watchers.get(w.id)?.queryFailures ?? 0,
+      nextScheduledAction: nextScheduledAction(w),
+      labelControlled: this.labelControlledFields(w)
     }));
   }
 
+  /**
+   * Stored config of a watcher (API updates replace the object).
+   *
+   * @param {string} id - Watcher ID
+   * @returns {Object|undefined}
+   */
+  getWatcher(id) {
+    return this.config.watchers.find((w) => w.id === id);
+  }
+
+  /**
+   * Fields of a watcher owned by Docker labels (read-only in the UI).
+   * Field provenance: `provenance[field]` = labels | ui; fields without an
+   * entry come from the config file.
+   */
+  labelControlledFields(w) {
+    if (this.labelConflictPolicy === 'ui') {
+      return [];
+    }
+    return Object.entries(w.provenance ?? {})
+      .filter(([, origin]) => origin === 'labels')
+      .map(([key]) => key);
+  }
+
+  /**
+   * Describe registered query providers (game types and config fields).
+   */
+  listProviders() {
+    return listProviders();
+  }
+
   /**
    * Validate and normalize watcher payload.
    * - isUpdate=false: All required fields must be present
@@ -107,16 +423,43 @@ export class WatchManager {
       }
     }
 
-    // Type-specific field validation
-    const gamedigType = input.gamedigType;
-    if (gamedigType && gamedigType !== 'satisfactory') {
-      if (!('queryHost' in input) && !isUpdate) {
-        throw new Error('Missing field: queryHost');
+    // Type-specific field validation (provider schema)
+    validateProviderConfig(input, isUpdate);
+
+    validateWakeConfig(input);
+
+    // Pre-stop warning phase
+    if ('warningMinutes' in input) {
+      const warning = Number(input.warningMinutes);
+      if (!Number.isFinite(warning) || warning < 0) {
+        throw new Error('Invalid field: warningMinutes');
       }
-      if (!('queryPort' in input) && !isUpdate) {
-        throw new Error('Missing field: queryPort');
+      validateWarningWindow(input);
+    }
+    if (input.warningExec !== undefined && input.warningExec !== ''
+      && typeof input.warningExec !== 'string'
+      && !(Array.isArray(input.warningExec) && input.warningExec.every((a) => typeof a === 'string'))) {
+      throw new Error('Invalid field: warningExec');
+    }
+
+    validatePreStopExec(input.preStopExec);
+    validateQueryFailurePolicy(input.queryFailurePolicy);
+    validateSchedules(input);
+    validateGroupConfig(input);
+
+    // Network traffic signal (traffic provider, or fallback after N query failures)
+    if ('trafficFallbackAfter' in input) {
+      const n = Number(input.trafficFallbackAfter);
+      if (!Number.isInteger(n) || n < 0) {
+        throw new Error('Invalid field: trafficFallbackAfter');
       }
     }
+    if ('trafficThresholdBps' in input && !(Number(input.trafficThresholdBps) >= 0)) {
+      throw new Error('Invalid field: trafficThresholdBps');
+    }
+    if (input.dockerHost !== undefined && input.dockerHost !== '' && !this.hosts.has(input.dockerHost)) {
+      throw new Error(`Unknown Docker host: ${input.dockerHost}`);
+    }
 
     const defaults = {
       inactivityMinutes: 10,
@@ -132,6 +475,9 @@ export class WatchManager {
    */
   async create(input) {
     const w = this.validate(input);
+    w.provenance = Object.fromEntries(
+      Object.keys(w).filter((k) => !PROVENANCE_IGNORED.has(k)).map((k) => [k, 'ui'])
+    );
     this.config.watchers.push(w);
     await this.save();
     if (w.autostart) {
@@ -153,15 +499,31 @@ export class WatchManager {
       throw new Error('Watcher not found');
     }
 
+    const current = this.config.watchers[idx];
+    const edited = changedFields(current, { ...current, ...patch })
+      .filter((k) => k in patch && !PROVENANCE_IGNORED.has(k));
+    if (this.labelConflictPolicy === 'lock') {
+      const locked = edited.filter((k) => current.provenance?.[k] === 'labels');
+      if (locked.length) {
+        throw new Error(`Controlled by Docker labels: ${locked.join(', ')}`);
+      }
+    }
+
     this.validate(patch, true);
 
-    const w = { ...this.config.watchers[idx], ...patch, id };
+    const w = { ...current, ...patch, id, provenance: { ...current.provenance } };
+    // The patch alone may lack fields the (new) provider requires, or change
+    // only one side of the warning/inactivity pair
+    validateProviderConfig(w);
+    validateWarningWindow(w);
+    for (const k of edited) {
+      w.provenance[k] = 'ui';
+    }
     this.config.watchers[idx] = w;
     await this.save();
 
     if (this.watchers.has(id)) {
-      await this.stopWatcher(id);
-      await this.startWatcher(id);
+      await this.restartWatcher(id);
     } else if (w.autostart) {
       await this.startWatcher(id);
     }
@@ -175,6 +537,8 @@ export class WatchManager {
     await this.stopWatcher(id).catch(() => {});
     this.config.watchers = this.config.watchers.filter((w) => w.id !== id);
     await this.save();
+    await this.history.remove(id).catch(() => {});
+    this.metrics.remove(id);
   }
 
   /**
@@ -188,15 +552,198 @@ export class WatchManager {
     }
   }
 
+  // ==========================================================================
+  // WEBHOOK NOTIFICATIONS
+  // ==========================================================================
+
+  /**
+   * List webhook targets.
+   */
+  listWebhooks() {
+    return this.config.webhooks;
+  }
+
+  /**
+   * Create a webhook target.
+   */
+  async createWebhook(input) {
+    const target = validateWebhook(input);
+    this.config.webhooks.push(target);
+    await this.save();
+    return target;
+  }
+
+  /**
+   * Update a webhook target.
+   */
+  async updateWebhook(id, patch) {
+    const idx = this.config.webhooks.findIndex((t) => t.id === id);
+    if (idx === -1) {
+      throw new Error('Webhook not found');
+    }
+    validateWebhook(patch, true);
+    const target = { ...this.config.webhooks[idx], ...patch, id };
+    this.config.webhooks[idx] = target;
+    await this.save();
+    return target;
+  }
+
+  /**
+   * Remove a webhook target.
+   */
+  async removeWebhook(id) {
+    this.config.webhooks = this.config.webhooks.filter((t) => t.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Send a test notification to a webhook target.
+   */
+  async testWebhook(id) {
+    const target = this.config.webhooks.find((t) => t.id === id);
+    if (!target) {
+      throw new Error('Webhook not found');
+    }
+    return this.notifier.test(target);
+  }
+
+  /**
+   * Recent webhook deliveries (most recent first).
+   */
+  listWebhookDeliveries() {
+    return this.notifier.deliveries;
+  }
+
+  // ==========================================================================
+  // CONFIG VERSIONS
+  // ==========================================================================
+
+  /**
+   * Stored config versions with their changes, most recent first.
+   */
+  async listConfigVersions() {
+    return this.versions.list();
+  }
+
+  /**
+   * One stored config version (full snapshot).
+   */
+  async getConfigVersion(version) {
+    const snapshot = await this.versions.get(version);
+    if (!snapshot) {
+      throw new Error(`Config version not found: ${version}`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Restore a config version (saved as a new version). Every running
+   * watcher is restarted on the restored config objects (counters kept);
+   * watchers the version adds or changes also start if they have autostart,
+   * and removed ones stay stopped.
+   *
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} { version, restored, affected, restarted, changes }
+   */
+  async rollbackConfig(version) {
+    const snapshot = await this.getConfigVersion(version);
+    const restored = {
+      ...snapshot.config,
+      watchers: snapshot.config.watchers ?? [],
+      webhooks: snapshot.config.webhooks ?? []
+    };
+
+    const previous = this.config;
+    const affected = changedWatcherIds(previous, restored);
+    // Pollers hold their watcher object: stop them all, checkpointing counters
+    const wasRunning = new Set(this.watchers.keys());
+    for (const id of wasRunning) {
+      this.checkpoint(id, this.watchers.get(id));
+      await WatcherPolling.stopWatcher(id, this.watchers).catch(() => {});
+    }
+
+    this.config = restored;
+    await this.save(`rollback to ${version}`);
+
+    const restarted = [];
+    for (const id of new Set([...wasRunning, ...affected])) {
+      const w = this.getWatcher(id);
+      if (!w) {
+        delete this.runtimeState.watchers[id];
+        this.scheduleRuntimeSave();
+        await this.history.remove(id).catch(() => {});
+        this.metrics.remove(id);
+      } else if (wasRunning.has(id) || w.autostart) {
+        try {
+          await this.startWatcher(id);
+          restarted.push(id);
+        } catch (err) {
+          this.emit({ type: 'warn', msg: `[config] ${w.name} not restarted: ${err.message}` });
+        }
+      }
+    }
+
+    this.emit({
+      type: 'info',
+      msg: `[config] rolled back to version ${version} (${affected.length} watcher(s) affected)`
+    });
+    return {
+      version: this.versions.latest,
+      restored: version,
+      affected,
+      restarted,
+      changes: diffConfigs(previous, restored)
+    };
+  }
+
   // ==========================================================================
   // DOCKER INTERACTION
   // ==========================================================================
 
+  /**
+   * dockerode client of a host (default host without ID).
+   */
+  dockerFor(hostId) {
+    return this.hosts.get(hostId).docker;
+  }
+
+  /**
+   * Describe Docker hosts with a fresh health check.
+   */
+  async listHosts() {
+    return this.hosts.checkHealth();
+  }
+
   /**
    * Get a Docker container by name or ID (delegates to docker module).
    */
-  async getContainer(ref) {
-    return DockerUtil.getContainer(this.docker, ref);
+  async getContainer(ref, hostId) {
+    return DockerUtil.getContainer(this.dockerFor(hostId), ref);
+  }
+
+  /**
+   * Get a watcher's target container. Watchers synced from a Compose service
+   * follow it when Compose recreated the container under another name.
+   */
+  async resolveTarget(w) {
+    const container = await this.getContainer(w.targetContainer, w.dockerHost);
+    if (container || !w.composeProject || !w.composeService) {
+      return container;
+    }
+
+    const name = await DockerUtil.findComposeContainer(this.dockerFor(w.dockerHost), w.composeProject, w.composeService)
+      .catch(() => null);
+    if (!name || name === w.targetContainer) {
+      return null;
+    }
+    this.emit({
+      type: 'info',
+      msg: `[${w.name}] compose service ${w.composeProject}/${w.composeService} is now ${name}`
+    });
+    this.hosts.get(w.dockerHost).ipCache.delete(w.targetContainer);
+    w.targetContainer = name;
+    await this.save('container renamed');
+    return this.getContainer(name, w.dockerHost);
   }
 
   /**
@@ -216,11 +763,12 @@ export class WatchManager {
   /**
    * Resolve container IP with caching (delegates to docker module).
    */
-  async resolveContainerIPWithCache(containerName) {
+  async resolveContainerIPWithCache(containerName, hostId) {
+    const host = this.hosts.get(hostId);
     return DockerUtil.resolveContainerIPWithCache(
-      this.docker,
+      host.docker,
       containerName,
-      this.ipCache,
+      host.ipCache,
       this.ipCacheTTL,
       (e) => this.emit(e)
     );
@@ -229,15 +777,100 @@ export class WatchManager {
   /**
    * List Docker containers (delegates to docker module).
    */
-  async listDockerContainers() {
-    return DockerUtil.listDockerContainers(this.docker);
+  async listDockerContainers(hostId) {
+    return DockerUtil.listDockerContainers(this.dockerFor(hostId));
   }
 
   /**
    * Perform container action (delegates to docker module).
+   * Starting the target of a group watcher starts the whole group.
+   */
+  async containerAction(idOrName, action, hostId) {
+    const host = this.hosts.get(hostId).id;
+    const group = this.config.watchers.find((w) =>
+      w.targetContainer === idOrName && (w.dockerHost || this.hosts.defaultId) === host && hasGroup(w));
+    if (group && action === 'start') {
+      return this.startTarget(group).then(() => ({ ok: true }));
+    }
+    return DockerUtil.containerAction(this.dockerFor(host), idOrName, action);
+  }
+
+  /**
+   * Stop a watcher's target, or its whole group in stop order.
+   */
+  async stopTarget(w, container, stopTimeoutSec) {
+    if (!hasGroup(w)) {
+      return this.stopGracefully(container, stopTimeoutSec);
+    }
+    return stopGroup(this.dockerFor(w.dockerHost), w, (e) => this.emit(e));
+  }
+
+  /**
+   * Start a watcher's target, or its whole group in reverse stop order.
    */
-  async containerAction(idOrName, action) {
-    return DockerUtil.containerAction(this.docker, idOrName, action);
+  async startTarget(w) {
+    if (!hasGroup(w)) {
+      return DockerUtil.containerAction(this.dockerFor(w.dockerHost), w.targetContainer, 'start');
+    }
+    return startGroup(this.dockerFor(w.dockerHost), w, (e) => this.emit(e));
+  }
+
+  /**
+   * List Docker containers of every host, annotated with the watchers
+   * targeting them and whether autostop labels are present.
+   * Unreachable hosts are skipped (and reported by listHosts()).
+   */
+  async listContainers() {
+    const prefix = this.labelPrefix;
+    const result = [];
+
+    for (const host of this.hosts.all()) {
+      let containers;
+      try {
+        containers = await this.listDockerContainers(host.id);
+      } catch (err) {
+        this.hosts.markFailed(host.id, err);
+        continue;
+      }
+
+      for (const c of containers) {
+        const watcherIds = this.config.watchers
+          .filter((w) => (w.dockerHost || this.hosts.defaultId) === host.id && targetsContainer(w, c.name, c.id))
+          .map((w) => w.id);
+        const enabledRaw = prefix ? c.labels[`${prefix}enabled`] : undefined;
+
+        result.push({
+          id: c.id,
+          name: c.name,
+          host: host.id,
+          image: c.image,
+          state: c.state,
+          status: c.status,
+          watcherIds,
+          labeled: /^(1|true|yes)$/i.test(String(enabledRaw ?? ''))
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Whether a container is targeted by one of some watchers (token scopes).
+   *
+   * @param {string} idOrName - Container ID or name
+   * @param {string} [hostId] - Docker host (default host without ID)
+   * @param {Array<string>} watcherIds - Watchers in scope
+   */
+  async containerInScope(idOrName, hostId, watcherIds) {
+    const host = hostId || this.hosts.defaultId;
+    const containers = await this.listDockerContainers(host);
+    const c = containers.find((x) => x.name === idOrName || (idOrName.length >= 12 && x.id.startsWith(idOrName)));
+    if (!c) {
+      return false;
+    }
+    return this.config.watchers.some((w) => watcherIds.includes(w.id)
+      && (w.dockerHost || this.hosts.defaultId) === host
+      && targetsContainer(w, c.name, c.id));
   }
 
   // ==========================================================================
@@ -248,15 +881,16 @@ export class WatchManager {
    * Single poll iteration (delegates to watcher-polling module).
    */
   async tickOne(w) {
-    const container = await this.getContainer(w.targetContainer);
+    const container = await this.resolveTarget(w);
     return WatcherPolling.tickOne(
       w,
       container,
       this.watchers,
-      this.docker,
-      (name) => this.resolveContainerIPWithCache(name),
-      (c, timeout, emit) => this.stopGracefully(c, timeout),
-      (e) => this.emit(e)
+      this.dockerFor(w.dockerHost),
+      (name) => this.resolveContainerIPWithCache(name, w.dockerHost),
+      (c, timeout) => this.stopTarget(w, c, timeout),
+      (e) => this.emit(e),
+      () => this.startTarget(w)
     );
   }
 
@@ -272,23 +906,67 @@ export class WatchManager {
     return WatcherPolling.startWatcher(
       w,
       this.watchers,
-      this.docker,
-      (docker, ref) => this.getContainer(ref),
-      (name) => this.resolveContainerIPWithCache(name),
-      (c, timeout) => this.stopGracefully(c, timeout),
-      (e) => this.emit(e)
+      this.dockerFor(w.dockerHost),
+      () => this.resolveTarget(w),
+      (name) => this.resolveContainerIPWithCache(name, w.dockerHost),
+      (c, timeout) => this.stopTarget(w, c, timeout),
+      (e) => this.emit(e),
+      {
+        proxy: w.wakeOnConnect ? this.createWakeProxy(w) : null,
+        restored: this.runtimeState.watchers[id] ?? null,
+        onTick: (state) => this.recordTick(id, state),
+        startContainer: () => this.startTarget(w)
+      }
     );
   }
 
+  /**
+   * Build the wake-on-connect proxy for a watcher.
+   * Starts the target container (or its group) on first connection and
+   * forwards to its IP.
+   */
+  createWakeProxy(w) {
+    return new WakeProxy(w, {
+      startContainer: () => this.startTarget(w),
+      resolveUpstream: async () => {
+        const host = w.wakeTargetHost || await this.resolveContainerIPWithCache(w.targetContainer, w.dockerHost);
+        if (!host) {
+          return null;
+        }
+        return { host, port: Number(w.wakeTargetPort || w.wakePort) };
+      },
+      emitEvent: (e) => this.emit(e)
+    });
+  }
+
+  /**
+   * Restart polling to apply a config change. Unlike stopWatcher(), the
+   * counters and warning state carry over (checkpointed, then restored).
+   */
+  async restartWatcher(id) {
+    const state = this.watchers.get(id);
+    if (state) {
+      this.checkpoint(id, state);
+    }
+    await WatcherPolling.stopWatcher(id, this.watchers);
+    await this.startWatcher(id);
+  }
+
   /**
    * Stop periodic polling (delegates to watcher-polling module).
+   * Drops the watcher's checkpoint: an explicit stop starts fresh next time.
    */
   async stopWatcher(id) {
-    return WatcherPolling.stopWatcher(id, this.watchers);
+    await WatcherPolling.stopWatcher(id, this.watchers);
+    if (this.runtimeState.watchers[id]) {
+      delete this.runtimeState.watchers[id];
+      this.scheduleRuntimeSave();
+    }
   }
 
   /**
    * Stop all watchers on shutdown (delegates to watcher-polling module).
+   * Checkpoints are kept so counters resume after restart.
    */
   async stopAllWatchers() {
     return WatcherPolling.stopAllWatchers(this.watchers);
@@ -299,17 +977,37 @@ export class WatchManager {
   // ==========================================================================
 
   /**
-   * Sync watchers from Docker container labels.
-   * Automatically creates/updates watchers based on labels.
+   * Compute what a label sync would change, without applying anything.
+   *
+   * Containers created by Docker Compose are identified by project+service
+   * rather than by name, so their watcher survives container recreation.
+   * Label-sourced watchers (`source: 'labels'`) whose container is gone or no
+   * longer enabled are reported as orphans.
+   *
+   * @returns {Promise<Object>} { upserts: [{ previous, payload }], orphans: [watcher], warnings: [msg] }
    */
-  async syncFromDockerLabels() {
+  async planLabelSync() {
     const prefix = this.labelPrefix;
-    if (!prefix) {
-      return;
-    }
+    const seen = new Set();
+    const present = new Set();      // Watcher IDs still backed by enabled labels
+    const unreachable = new Set();  // Hosts whose watchers can't be judged
+    const upserts = [];
+    const warnings = [];
 
-    const containers = await this.listDockerContainers();
-    let changed = false;
+    const containers = [];
+    for (const host of this.hosts.all()) {
+      try {
+        for (const c of await this.listDockerContainers(host.id)) {
+          containers.push({ ...c, host: host.id });
+        }
+      } catch (err) {
+        this.hosts.markFailed(host.id, err);
+        unreachable.add(host.id);
+        warnings.push(`[labels] host ${host.id} unreachable: ${err.message}`);
+      }
+    }
+    // Running containers first: they win over a stale copy of the same service
+    containers.sort((a, b) => (b.state === 'running') - (a.state === 'running'));
 
     for (const c of containers) {
       const L = c.labels ?? {};
@@ -323,8 +1021,30 @@ export class WatchManager {
         continue;
       }
 
-      const id = (L[`${prefix}id`] ?? c.name).replace(/[^a-zA-Z0-9._-]/g, '-');
-      const name = L[`${prefix}name`] ?? c.name;
+      const composeProject = L[DockerUtil.COMPOSE_PROJECT_LABEL];
+      const composeService = L[DockerUtil.COMPOSE_SERVICE_LABEL];
+      const compose = Boolean(composeProject && composeService);
+
+      // Watchers of other hosts than the default one are prefixed with the host ID
+      const onDefaultHost = c.host === this.hosts.defaultId;
+      const baseId = compose ? `${composeProject}-${composeService}` : c.name;
+      const defaultId = onDefaultHost ? baseId : `${c.host}-${baseId}`;
+      const id = (L[`${prefix}id`] ?? defaultId).replace(/[^a-zA-Z0-9._-]/g, '-');
+      const name = L[`${prefix}name`] ?? (compose ? `${composeProject}/${composeService}` : c.name);
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+
+      // Same id, else the same Compose service (or its former name-based watcher)
+      let previous = this.config.watchers.find((w) => w.id === id);
+      if (!previous && compose) {
+        previous = this.config.watchers.find((w) => (w.dockerHost || this.hosts.defaultId) === c.host
+          && ((w.composeProject === composeProject && w.composeService === composeService)
+            || (!L[`${prefix}id`] && onDefaultHost && w.id === c.name.replace(/[^a-zA-Z0-9._-]/g, '-'))));
+      }
+      present.add(previous?.id ?? id);
+
       const gamedigType = L[`${prefix}gamedig_type`];
       const autostart = /^(1|true|yes)$/i.test(String(L[`${prefix}autostart`] ?? 'true'));
       const inactivityMinutes = Number(L[`${prefix}inactivity_min`] ?? 10);
@@ -332,79 +1052,181 @@ export class WatchManager {
       const stopTimeoutSec = Number(L[`${prefix}stop_timeout_sec`] ?? 60);
 
       if (!gamedigType) {
-        this.emit({
-          type: 'warn',
-          msg: `[labels] ${c.name}: missing gamedig_type label`
-        });
+        warnings.push(`[labels] ${c.name}: missing gamedig_type label`);
         continue;
       }
 
-      let payload;
-
-      if (gamedigType === 'satisfactory') {
-        // Satisfactory-specific configuration
-        const host = L[`${prefix}query_host`] ?? c.name;
-        const port = Number(L[`${prefix}query_port`] ?? 7777);
-        const apiToken = L[`${prefix}api_token`];
-
-        payload = {
-          id,
-          name,
-          targetContainer: c.name,
-          gamedigType,
-          host,
-          port,
-          apiToken,
-          inactivityMinutes,
-          checkIntervalSec,
-          stopTimeoutSec,
-          autostart
-        };
-      } else {
-        // Standard GameDig configuration
-        const queryHost = L[`${prefix}query_host`] ?? c.name;
-        const queryPort = Number(L[`${prefix}query_port`]);
-
-        if (!queryHost || !queryPort) {
-          this.emit({
-            type: 'warn',
-            msg: `[labels] ${c.name}: incomplete labels (query_host/query_port)`
-          });
-          continue;
+      // Provider-specific fields (host/port, token, RCON...)
+      let providerFields;
+      try {
+        providerFields = providerFieldsFromLabels(gamedigType, L, prefix, c.name);
+      } catch (err) {
+        warnings.push(`[labels] ${c.name}: ${err.message}`);
+        continue;
+      }
+
+      const payload = {
+        id,
+        name,
+        targetContainer: c.name,
+        gamedigType,
+        ...providerFields,
+        inactivityMinutes,
+        checkIntervalSec,
+        stopTimeoutSec,
+        autostart,
+        source: 'labels'
+      };
+      if (!onDefaultHost) {
+        payload.dockerHost = c.host;
+      }
+
+      // Compose service identity; "project" scope stops/starts the whole project
+      if (compose) {
+        payload.composeProject = composeProject;
+        payload.composeService = composeService;
+        if (L[`${prefix}compose_scope`] === 'project') {
+          payload.groupComposeProject = composeProject;
         }
+      }
 
-        payload = {
-          id,
-          name,
-          targetContainer: c.name,
-          gamedigType,
-          queryHost,
-          queryPort,
-          inactivityMinutes,
-          checkIntervalSec,
-          stopTimeoutSec,
-          autostart
+      // Optional pre-stop warning
+      if (L[`${prefix}warning_min`]) {
+        payload.warningMinutes = Number(L[`${prefix}warning_min`]);
+      }
+      if (L[`${prefix}warning_exec`]) {
+        payload.warningExec = L[`${prefix}warning_exec`];
+      }
+
+      // Optional pre-stop command (e.g. world save)
+      if (L[`${prefix}pre_stop_exec`]) {
+        payload.preStopExec = {
+          cmd: L[`${prefix}pre_stop_exec`],
+          timeoutSec: Number(L[`${prefix}pre_stop_exec_timeout_sec`] ?? 60),
+          expectedExitCode: Number(L[`${prefix}pre_stop_exec_exit_code`] ?? 0),
+          onFailure: L[`${prefix}pre_stop_exec_on_failure`] ?? 'proceed'
         };
       }
 
-      const idx = this.config.watchers.findIndex((w) => w.id === id);
-      if (idx === -1) {
+      // Optional query-failure policy
+      const policy = {};
+      for (const [key, label] of [['emptyAfter', 'query_empty_after'], ['restartAfter', 'query_restart_after'], ['alertAfter', 'query_alert_after']]) {
+        if (L[`${prefix}${label}`]) {
+          policy[key] = Number(L[`${prefix}${label}`]);
+        }
+      }
+      if (Object.keys(policy).length) {
+        payload.queryFailurePolicy = policy;
+      }
+
+      // Optional network traffic signal
+      if (L[`${prefix}traffic_threshold_bps`]) {
+        payload.trafficThresholdBps = Number(L[`${prefix}traffic_threshold_bps`]);
+      }
+      if (L[`${prefix}traffic_fallback_after`]) {
+        payload.trafficFallbackAfter = Number(L[`${prefix}traffic_fallback_after`]);
+      }
+
+      // Optional schedules (JSON array) and their timezone
+      if (L[`${prefix}timezone`]) {
+        payload.timezone = L[`${prefix}timezone`];
+      }
+      if (L[`${prefix}schedules`]) {
         try {
-          this.config.watchers.push(payload);
-          changed = true;
-          this.emit({ type: 'info', msg: `[labels] watcher created: ${name}` });
+          const schedules = JSON.parse(L[`${prefix}schedules`]);
+          validateSchedules({ schedules, timezone: payload.timezone });
+          payload.schedules = schedules;
         } catch (err) {
-          this.emit({ type: 'error', msg: `[labels] create failed: ${err.message}` });
+          warnings.push(`[labels] ${c.name}: schedules ignored (${err.message})`);
+        }
+      }
+
+      // Optional container group: explicit members or a whole Compose project
+      if (L[`${prefix}group`]) {
+        try {
+          payload.groupMembers = parseGroupMembers(L[`${prefix}group`]);
+        } catch (err) {
+          warnings.push(`[labels] ${c.name}: group ignored (${err.message})`);
+        }
+      }
+      if (L[`${prefix}group_compose_project`]) {
+        payload.groupComposeProject = L[`${prefix}group_compose_project`];
+      }
+
+      // Optional wake-on-connect listener
+      const wakePort = Number(L[`${prefix}wake_port`] ?? 0);
+      if (wakePort) {
+        payload.wakeOnConnect = true;
+        payload.wakePort = wakePort;
+        payload.wakeProtocol = L[`${prefix}wake_protocol`] ?? 'tcp';
+        payload.wakeMode = L[`${prefix}wake_mode`] ?? 'release';
+        if (L[`${prefix}wake_target_port`]) {
+          payload.wakeTargetPort = Number(L[`${prefix}wake_target_port`]);
+        }
+      }
+
+      upserts.push({ previous, payload });
+    }
+
+    const orphans = this.config.watchers.filter((w) => w.source === 'labels'
+      && !present.has(w.id)
+      && !unreachable.has(w.dockerHost || this.hosts.defaultId));
+    return { upserts, orphans, warnings };
+  }
+
+  /**
+   * Sync watchers from Docker container labels.
+   * Automatically creates/updates watchers based on labels; orphaned
+   * label-sourced watchers are handled per `labelReconcile`:
+   * off (kept), disable (stopped, autostart off), archive (moved to
+   * `archivedWatchers`) or delete.
+   */
+  async syncFromDockerLabels() {
+    if (!this.labelPrefix) {
+      return;
+    }
+
+    const { upserts, orphans, warnings } = await this.planLabelSync();
+    for (const msg of warnings) {
+      this.emit({ type: 'warn', msg });
+    }
+
+    const restart = new Set();
+    let changed = false;
+
+    for (const { previous, payload } of upserts) {
+      if (!previous) {
+        this.config.watchers.push(this.mergeLabelPayload(null, payload));
+        if (this.config.archivedWatchers) {
+          this.config.archivedWatchers = this.config.archivedWatchers.filter((w) => w.id !== payload.id);
         }
-      } else {
-        this.config.watchers[idx] = { ...this.config.watchers[idx], ...payload };
         changed = true;
-        this.emit({ type: 'info', msg: `[labels] watcher updated: ${name}` });
+        this.emit({ type: 'info', msg: `[labels] watcher created: ${payload.name}` });
+        continue;
+      }
+
+      const merged = this.mergeLabelPayload(previous, payload);
+      if (!changedFields(previous, merged).length) {
+        continue;
       }
+      const idx = this.config.watchers.indexOf(previous);
+      this.config.watchers[idx] = merged;
+      if (previous.targetContainer !== merged.targetContainer && this.watchers.has(previous.id)) {
+        restart.add(previous.id);
+      }
+      changed = true;
+      this.emit({ type: 'info', msg: `[labels] watcher updated: ${merged.name}` });
     }
 
+    for (const w of orphans) {
+      changed = (await this.reconcileOrphan(w)) || changed;
+    }
     if (changed) {
-      await this.save();
+      await this.save('label sync');
+      // Recreated containers: running watchers pick up the new name
+      for (const id of restart) {
+        await this.restartWatcher(id).catch(() => {});
+      }
       for (const w of this.config.watchers) {
         if (w.autostart && !this.watchers.has(w.id)) {
           try {
@@ -417,6 +1239,98 @@ export class WatchManager {
     }
   }
 
+  /**
+   * Apply label values to a watcher (a new one if `previous` is null),
+   * recording their provenance. Under the `ui` conflict policy, fields
+   * last edited through the API/UI are kept.
+   */
+  mergeLabelPayload(previous, payload) {
+    const merged = previous
+      ? { ...previous, provenance: { ...previous.provenance } }
+      : { id: payload.id, provenance: {} };
+    delete merged.labelsRemovedAt;
+
+    for (const [key, value] of Object.entries(payload)) {
+      if (key === 'id') {
+        continue;
+      }
+      if (this.labelConflictPolicy === 'ui' && previous?.provenance?.[key] === 'ui') {
+        continue;
+      }
+      merged[key] = value;
+      if (!PROVENANCE_IGNORED.has(key)) {
+        merged.provenance[key] = 'labels';
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Apply the reconciliation mode to a watcher whose labels disappeared.
+   *
+   * @returns {Promise<boolean>} Whether the configuration changed
+   */
+  async reconcileOrphan(w) {
+    const mode = this.labelReconcile;
+    if (mode === 'delete') {
+      await this.remove(w.id);
+      this.emit({ type: 'info', msg: `[labels] watcher deleted (labels removed): ${w.name}` });
+      return true;
+    }
+    if (mode === 'archive') {
+      await this.stopWatcher(w.id).catch(() => {});
+      this.config.watchers = this.config.watchers.filter((x) => x.id !== w.id);
+      this.config.archivedWatchers = [
+        ...(this.config.archivedWatchers ?? []).filter((x) => x.id !== w.id),
+        { ...w, archivedAt: new Date().toISOString() }
+      ];
+      this.emit({ type: 'info', msg: `[labels] watcher archived (labels removed): ${w.name}` });
+      return true;
+    }
+    if (mode === 'disable' && !w.labelsRemovedAt) {
+      await this.stopWatcher(w.id).catch(() => {});
+      w.autostart = false;
+      w.labelsRemovedAt = new Date().toISOString();
+      this.emit({ type: 'info', msg: `[labels] watcher disabled (labels removed): ${w.name}` });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Report what a label sync would do (dry run).
+   *
+   * @returns {Promise<Object>} { reconcile, created, updated, orphaned, warnings }
+   */
+  async previewLabelSync() {
+    if (!this.labelPrefix) {
+      return { reconcile: this.labelReconcile, created: [], updated: [], orphaned: [], warnings: [] };
+    }
+    const { upserts, orphans, warnings } = await this.planLabelSync();
+    const created = [];
+    const updated = [];
+    for (const { previous, payload } of upserts) {
+      if (!previous) {
+        created.push({ id: payload.id, name: payload.name, targetContainer: payload.targetContainer });
+        continue;
+      }
+      const merged = this.mergeLabelPayload(previous, payload);
+      const fields = changedFields(previous, merged).filter((k) => k !== 'provenance');
+      if (fields.length) {
+        updated.push({ id: previous.id, name: previous.name, fields });
+      }
+    }
+
+    const action = { off: 'keep', disable: 'disable', archive: 'archive', delete: 'delete' }[this.labelReconcile];
+    const orphaned = orphans.map((w) => ({
+      id: w.id,
+      name: w.name,
+      targetContainer: w.targetContainer,
+      action: action === 'disable' && w.labelsRemovedAt ? 'keep' : action
+    }));
+    return { reconcile: this.labelReconcile, created, updated, orphaned, warnings };
+  }
+
   /**
    * Schedule periodic Docker label rescan.
    */
@@ -434,4 +1348,128 @@ export class WatchManager {
     );
     this.emit({ type: 'info', msg: `[labels] rescan every ${iv}s` });
   }
+
+  /**
+   * Run a label sync shortly (coalesces bursts of Docker events).
+   */
+  queueLabelSync() {
+    if (this.labelSyncTimer) {
+      return;
+    }
+    this.labelSyncTimer = setTimeout(() => {
+      this.labelSyncTimer = null;
+      this.syncFromDockerLabels().catch((err) => {
+        this.emit({ type: 'warn', msg: `[labels] sync failed: ${err.message}` });
+      });
+    }, 1000);
+  }
+
+  // ==========================================================================
+  // DOCKER EVENTS
+  // ==========================================================================
+
+  /**
+   * Subscribe to the Docker events of every host (delegates to
+   * docker-events module). Missed events are caught up with a label sync
+   * on reconnection.
+   */
+  watchDockerEvents() {
+    for (const host of this.hosts.all()) {
+      if (this.events.has(host.id)) {
+        continue;
+      }
+      const stream = new DockerEventStream(host.docker, {
+        onEvent: (e) => this.handleDockerEvent(e, host.id),
+        onConnect: (reconnected) => {
+          if (reconnected) {
+            this.queueLabelSync();
+          }
+        },
+        emitEvent: (e) => this.emit(this.hosts.all().length > 1 ? { ...e, msg: `${e.msg} (${host.id})` } : e)
+      });
+      this.events.set(host.id, stream);
+      stream.start();
+    }
+  }
+
+  /**
+   * Close the Docker event streams on shutdown.
+   */
+  stopDockerEvents() {
+    for (const stream of this.events.values()) {
+      stream.stop();
+    }
+    this.events.clear();
+    clearTimeout(this.labelSyncTimer);
+    this.labelSyncTimer = null;
+  }
+
+  /**
+   * React to one Docker event:
+   * - create/start of a labeled container: label sync (creates its watcher)
+   * - die/destroy: reset the state of watchers targeting the container
+   * - rename: follow the new name (Compose-managed containers are left to
+   *   label sync, their old copy is renamed during recreation)
+   * - network connect/disconnect: drop cached IPs
+   *
+   * @param {Object} e - Docker event
+   * @param {string} [hostId] - Host the event comes from (default host)
+   */
+  handleDockerEvent(e, hostId) {
+    const host = this.hosts.get(hostId);
+    const onHost = (w) => (w.dockerHost || this.hosts.defaultId) === host.id;
+    if (e.Type === 'network') {
+      host.ipCache.clear();
+      return;
+    }
+    if (e.Type !== 'container') {
+      return;
+    }
+
+    const attrs = e.Actor?.Attributes ?? {};
+    const id = e.Actor?.ID ?? e.id;
+    const name = attrs.name;
+    const labeled = Boolean(this.labelPrefix && attrs[`${this.labelPrefix}enabled`]);
+
+    switch (e.Action) {
+      case 'create':
+      case 'start':
+        if (labeled) {
+          this.queueLabelSync();
+        }
+        break;
+
+      case 'die':
+      case 'destroy':
+        host.ipCache.delete(name);
+        for (const w of this.config.watchers.filter((x) => onHost(x) && targetsContainer(x, name, id))) {
+          WatcherPolling.markContainerDown(w, this.watchers, (ev) => this.emit(ev)).catch(() => {});
+        }
+        break;
+
+      case 'rename': {
+        const oldName = String(attrs.oldName ?? '').replace(/^\//, '');
+        host.ipCache.delete(oldName);
+        host.ipCache.delete(name);
+        if (attrs[DockerUtil.COMPOSE_PROJECT_LABEL]) {
+          if (labeled) {
+            this.queueLabelSync();
+          }
+          break;
+        }
+        const renamed = this.config.watchers.filter((w) => onHost(w) && w.targetContainer === oldName);
+        for (const w of renamed) {
+          w.targetContainer = name;
+          this.emit({ type: 'info', msg: `[${w.name}] container renamed ${oldName} -> ${name}` });
+        }
+        if (renamed.length) {
+          this.save('container renamed').catch(() => {});
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
 }
@@ -0,0 +1,185 @@
+/**
+ * Metrics Module - Prometheus exposition
+ *
+ * Collects query counters/latencies and auto-stop counters per watcher,
+ * and renders them together with the current runtime gauges in the
+ * Prometheus text format (version 0.0.4). No client library needed.
+ */
+
+// Query latency histogram buckets (seconds)
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export class Metrics {
+  constructor() {
+    this.queries = new Map();    // id -> { success, failure, buckets[], sum, count }
+    this.autoStops = new Map();  // id -> count
+  }
+
+  // ==========================================================================
+  // RECORDING
+  // ==========================================================================
+
+  /**
+   * Record one game server query.
+   *
+   * @param {string} id - Watcher ID
+   * @param {boolean} ok - Query answered
+   * @param {number} seconds - Query duration
+   */
+  observeQuery(id, ok, seconds) {
+    let q = this.queries.get(id);
+    if (!q) {
+      q = { success: 0, failure: 0, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      this.queries.set(id, q);
+    }
+    if (ok) {
+      q.success += 1;
+    } else {
+      q.failure += 1;
+    }
+    LATENCY_BUCKETS.forEach((le, i) => {
+      if (seconds <= le) q.buckets[i] += 1;
+    });
+    q.sum += seconds;
+    q.count += 1;
+  }
+
+  /**
+   * Count an inactivity auto-stop.
+   *
+   * @param {string} id - Watcher ID
+   */
+  countAutoStop(id) {
+    this.autoStops.set(id, (this.autoStops.get(id) ?? 0) + 1);
+  }
+
+  /**
+   * Drop series of a deleted watcher.
+   *
+   * @param {string} id - Watcher ID
+   */
+  remove(id) {
+    this.queries.delete(id);
+    this.autoStops.delete(id);
+  }
+
+  // ==========================================================================
+  // EXPOSITION
+  // ==========================================================================
+
+  /**
+   * Render all metrics in Prometheus text format.
+   *
+   * @param {Array<Object>} watchers - Watcher configs
+   * @param {Map} runtime - Runtime state map (id -> { emptyMinutes, lastPlayers, containerRunning, ... })
+   * @returns {string} Exposition text
+   */
+  render(watchers, runtime) {
+    const out = [];
+    const metric = (name, type, help) => {
+      out.push(`# HELP ${name} ${help}`);
+      out.push(`# TYPE ${name} ${type}`);
+    };
+    const sample = (name, labels, value) => {
+      out.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    };
+    const base = (w) => ({ watcher: w.id, name: w.name ?? w.id });
+
+    metric('autostop_watcher_running', 'gauge', 'Whether the watcher is polling (1) or stopped (0).');
+    for (const w of watchers) {
+      sample('autostop_watcher_running', base(w), runtime.has(w.id) ? 1 : 0);
+    }
+
+    metric('autostop_container_running', 'gauge', 'Whether the target container was running at the last poll.');
+    for (const w of watchers) {
+      const state = runtime.get(w.id);
+      if (state && state.containerRunning !== null) {
+        sample('autostop_container_running', { ...base(w), container: w.targetContainer }, state.containerRunning ? 1 : 0);
+      }
+    }
+
+    metric('autostop_players', 'gauge', 'Players online at the last successful query.');
+    for (const w of watchers) {
+      const state = runtime.get(w.id);
+      if (state && state.lastPlayers >= 0) {
+        sample('autostop_players', base(w), state.lastPlayers);
+      }
+    }
+
+    metric('autostop_empty_minutes', 'gauge', 'Minutes the server has been empty (inactivity counter).');
+    for (const w of watchers) {
+      const state = runtime.get(w.id);
+      if (state) {
+        sample('autostop_empty_minutes', base(w), state.emptyMinutes);
+      }
+    }
+
+    metric('autostop_inactivity_minutes', 'gauge', 'Configured inactivity threshold before auto-stop.');
+    for (const w of watchers) {
+      sample('autostop_inactivity_minutes', base(w), Number(w.inactivityMinutes));
+    }
+
+    metric('autostop_inactivity_progress_ratio', 'gauge', 'emptyMinutes / inactivityMinutes (1 = stop).');
+    for (const w of watchers) {
+      const state = runtime.get(w.id);
+      const limit = Number(w.inactivityMinutes);
+      if (state && limit > 0) {
+        sample('autostop_inactivity_progress_ratio', base(w), Math.min(1, state.emptyMinutes / limit));
+      }
+    }
+
+    metric('autostop_query_failure_streak', 'gauge', 'Consecutive failed queries.');
+    for (const w of watchers) {
+      const state = runtime.get(w.id);
+      if (state) {
+        sample('autostop_query_failure_streak', base(w), state.queryFailures ?? 0);
+      }
+    }
+
+    metric('autostop_queries_total', 'counter', 'Game server queries by result.');
+    for (const w of watchers) {
+      const q = this.queries.get(w.id);
+      sample('autostop_queries_total', { ...base(w), result: 'success' }, q?.success ?? 0);
+      sample('autostop_queries_total', { ...base(w), result: 'failure' }, q?.failure ?? 0);
+    }
+
+    metric('autostop_query_duration_seconds', 'histogram', 'Game server query latency.');
+    for (const w of watchers) {
+      const q = this.queries.get(w.id);
+      if (!q) continue;
+      LATENCY_BUCKETS.forEach((le, i) => {
+        sample('autostop_query_duration_seconds_bucket', { ...base(w), le: String(le) }, q.buckets[i]);
+      });
+      sample('autostop_query_duration_seconds_bucket', { ...base(w), le: '+Inf' }, q.count);
+      sample('autostop_query_duration_seconds_sum', base(w), q.sum);
+      sample('autostop_query_duration_seconds_count', base(w), q.count);
+    }
+
+    metric('autostop_auto_stops_total', 'counter', 'Containers stopped for inactivity.');
+    for (const w of watchers) {
+      sample('autostop_auto_stops_total', base(w), this.autoStops.get(w.id) ?? 0);
+    }
+
+    return `${out.join('\n')}\n`;
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  const n = Number(value);
+  if (Number.isNaN(n)) return 'NaN';
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return String(n);
+}
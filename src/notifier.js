@@ -0,0 +1,305 @@
+/**
+ * Notifier Module - Outbound webhook notifications
+ *
+ * Turns manager lifecycle events into webhook deliveries:
+ * - Targets are stored in config.json (`webhooks: [...]`)
+ * - Payload formats: generic JSON, Discord, Slack
+ * - Per-target event filters (and optional watcher filter)
+ * - Retry with exponential backoff, in-memory delivery log
+ */
+
+import axios from 'axios';
+import { nanoid } from 'nanoid';
+
+export const NOTIFY_EVENTS = [
+  'auto-stop',
+  'stopping-soon',
+  'players-joined',
+  'query-failing',
+  'container-missing'
+];
+export const WEBHOOK_FORMATS = ['json', 'discord', 'slack'];
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 1000;
+const REQUEST_TIMEOUT_MS = 5000;
+const DELIVERY_LOG_SIZE = 200;
+const DEFAULT_QUERY_FAILING_AFTER = 3;
+
+// Discord embed colors per notification
+const COLORS = {
+  'auto-stop': 0xef4444,
+  'stopping-soon': 0xf59e0b,
+  'players-joined': 0x10b981,
+  'query-failing': 0xf59e0b,
+  'container-missing': 0xef4444,
+  test: 0x3b82f6
+};
+
+const TITLES = {
+  'auto-stop': 'Server stopped (inactivity)',
+  'stopping-soon': 'Server stopping soon',
+  'players-joined': 'Players joined',
+  'query-failing': 'Server query failing',
+  'container-missing': 'Container missing',
+  test: 'Test notification'
+};
+
+/**
+ * Map a manager event to a notification kind, or null if not notifiable.
+ * Repeated per-tick events only notify on the first occurrence of a streak.
+ *
+ * @param {Object} event - Manager event ({ kind, watcherId, ... })
+ * @param {Object} target - Webhook target (for thresholds)
+ * @returns {string|null} Notification kind
+ */
+export function notificationKind(event, target = {}) {
+  switch (event.kind) {
+    case 'auto-stop':
+    case 'stopping-soon':
+      return event.kind;
+    case 'players':
+      return event.players > Math.max(0, event.previous ?? 0) ? 'players-joined' : null;
+    case 'query-failed': {
+      const after = Number(target.queryFailingAfter ?? DEFAULT_QUERY_FAILING_AFTER);
+      return event.failures === after ? 'query-failing' : null;
+    }
+    case 'container-missing':
+      return event.ticks === 1 ? 'container-missing' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Human-readable message for a notification.
+ *
+ * @param {string} kind - Notification kind
+ * @param {Object} event - Source manager event
+ * @returns {string}
+ */
+function describe(kind, event) {
+  switch (kind) {
+    case 'auto-stop':
+      return `No players for ${Math.round(event.emptyMinutes ?? 0)} min, container stopped.`;
+    case 'players-joined':
+      return `${event.players} player(s) online.`;
+    case 'query-failing':
+      return `${event.failures} consecutive queries failed.`;
+    default:
+      // Strip the "[watcher name]" prefix of log messages
+      return String(event.msg ?? '').replace(/^\[[^\]]*\]\s*/, '');
+  }
+}
+
+/**
+ * Build the HTTP body for a target format.
+ *
+ * @param {string} format - 'json' | 'discord' | 'slack'
+ * @param {Object} n - Notification { kind, watcherId, watcherName, message, timestamp, data }
+ * @returns {Object} Request body
+ */
+export function buildPayload(format, n) {
+  const title = TITLES[n.kind] ?? n.kind;
+  const subject = n.watcherName ? `${title}: ${n.watcherName}` : title;
+
+  if (format === 'discord') {
+    return {
+      username: 'Game Auto-Stop',
+      embeds: [{
+        title: subject,
+        description: n.message,
+        color: COLORS[n.kind] ?? COLORS.test,
+        timestamp: n.timestamp
+      }]
+    };
+  }
+
+  if (format === 'slack') {
+    return {
+      text: `*${subject}*\n${n.message}`
+    };
+  }
+
+  return {
+    event: n.kind,
+    watcherId: n.watcherId,
+    watcher: n.watcherName,
+    message: n.message,
+    timestamp: n.timestamp,
+    data: n.data
+  };
+}
+
+export class Notifier {
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.getTargets - () => Array of webhook targets
+   * @param {Function} deps.getWatcher - (id) => watcher config or undefined
+   * @param {Function} deps.emitEvent - Event emitter (delivery failures)
+   */
+  constructor({ getTargets, getWatcher, emitEvent }) {
+    this.getTargets = getTargets;
+    this.getWatcher = getWatcher;
+    this.emitEvent = emitEvent;
+    this.deliveries = [];  // Most recent first
+  }
+
+  /**
+   * Dispatch a manager event to every matching target.
+   *
+   * @param {Object} event - Manager event
+   */
+  handle(event) {
+    if (!event.kind || !event.watcherId) return;
+
+    for (const target of this.getTargets()) {
+      if (target.enabled === false) continue;
+      if (Array.isArray(target.watcherIds) && target.watcherIds.length
+        && !target.watcherIds.includes(event.watcherId)) {
+        continue;
+      }
+
+      const kind = notificationKind(event, target);
+      if (!kind || !(target.events ?? []).includes(kind)) continue;
+
+      const watcher = this.getWatcher(event.watcherId);
+      const { type, msg, ...data } = event;
+      this.deliver(target, {
+        kind,
+        watcherId: event.watcherId,
+        watcherName: watcher?.name ?? event.watcherId,
+        message: describe(kind, event),
+        timestamp: new Date().toISOString(),
+        data
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Send a test notification to one target.
+   *
+   * @param {Object} target - Webhook target
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async test(target) {
+    return this.deliver(target, {
+      kind: 'test',
+      watcherId: null,
+      watcherName: null,
+      message: 'Webhook configured correctly.',
+      timestamp: new Date().toISOString(),
+      data: {}
+    }, 1);
+  }
+
+  /**
+   * POST a notification with retry and exponential backoff.
+   * 4xx responses (except 429) are not retried.
+   *
+   * @param {Object} target - Webhook target
+   * @param {Object} n - Notification
+   * @param {number} [maxAttempts=MAX_ATTEMPTS]
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async deliver(target, n, maxAttempts = MAX_ATTEMPTS) {
+    const entry = {
+      id: nanoid(8),
+      targetId: target.id,
+      targetName: target.name,
+      kind: n.kind,
+      watcherId: n.watcherId,
+      at: n.timestamp,
+      attempts: 0,
+      ok: false,
+      status: null,
+      error: null
+    };
+    this.log(entry);
+
+    const body = buildPayload(target.format ?? 'json', n);
+
+    while (entry.attempts < maxAttempts) {
+      entry.attempts += 1;
+      try {
+        const res = await axios.post(target.url, body, {
+          timeout: REQUEST_TIMEOUT_MS,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        entry.ok = true;
+        entry.status = res.status;
+        entry.error = null;
+        return entry;
+      } catch (err) {
+        entry.status = err.response?.status ?? null;
+        entry.error = err.message;
+        const retryable = !entry.status || entry.status === 429 || entry.status >= 500;
+        if (!retryable || entry.attempts >= maxAttempts) break;
+        await sleep(BASE_BACKOFF_MS * 2 ** (entry.attempts - 1));
+      }
+    }
+
+    this.emitEvent({
+      type: 'warn',
+      msg: `[webhooks] ${target.name ?? target.id}: ${n.kind} delivery failed (${entry.error})`
+    });
+    return entry;
+  }
+
+  log(entry) {
+    this.deliveries.unshift(entry);
+    if (this.deliveries.length > DELIVERY_LOG_SIZE) {
+      this.deliveries.length = DELIVERY_LOG_SIZE;
+    }
+  }
+}
+
+/**
+ * Validate and normalize a webhook target payload.
+ *
+ * @param {Object} input - Target payload
+ * @param {boolean} [isUpdate=false] - Only validate provided fields
+ * @returns {Object} Normalized target
+ * @throws {Error} If invalid
+ */
+export function validateWebhook(input, isUpdate = false) {
+  if (!isUpdate || 'url' in input) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      throw new Error('Invalid field: url');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('Invalid field: url');
+    }
+  }
+  if ('format' in input && !WEBHOOK_FORMATS.includes(input.format)) {
+    throw new Error('Invalid field: format');
+  }
+  if ('events' in input) {
+    if (!Array.isArray(input.events) || input.events.some((e) => !NOTIFY_EVENTS.includes(e))) {
+      throw new Error('Invalid field: events');
+    }
+  }
+  if ('watcherIds' in input && !Array.isArray(input.watcherIds)) {
+    throw new Error('Invalid field: watcherIds');
+  }
+
+  if (isUpdate) {
+    return input;
+  }
+
+  const defaults = {
+    name: 'Webhook',
+    format: 'json',
+    events: [...NOTIFY_EVENTS],
+    watcherIds: [],
+    enabled: true
+  };
+  return { id: input.id ?? nanoid(8), ...defaults, ...input };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
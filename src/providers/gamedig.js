@@ -0,0 +1,50 @@
+/**
+ * GameDig Provider
+ *
+ * Default query provider: any game type supported by GameDig, queried on the
+ * target container's IP and the configured query port.
+ */
+
+import Gamedig from 'gamedig';
+
+export const gamedigProvider = {
+  id: 'gamedig',
+  label: 'GameDig',
+  // Game types offered in the UI (any GameDig type is accepted through the API/labels)
+  types: [
+    { value: 'protocol-valve', label: 'Steam A2S (protocol-valve)' },
+    { value: 'vrising', label: 'V Rising' },
+    { value: 'valheim', label: 'Valheim' },
+    { value: 'minecraft', label: 'Minecraft' },
+    { value: 'seven_days_to_die', label: '7 Days to Die' }
+  ],
+  fields: [
+    { key: 'queryHost', label: 'Host', type: 'text', required: true, placeholder: 'IP or DNS', dockerLabel: 'query_host', containerDefault: true },
+    { key: 'queryPort', label: 'Port', type: 'number', required: true, min: 1, max: 65535, placeholder: 'e.g., 9877', dockerLabel: 'query_port' }
+  ],
+
+  usesContainerIP: () => true,
+
+  /**
+   * @param {Object} watcher - Watcher config (gamedigType, queryPort)
+   * @param {Object} ctx - { ip } resolved container IP
+   * @returns {Promise<Object>} { players, state, metadata }
+   */
+  async query(watcher, { ip }) {
+    const result = await Gamedig.query({
+      type: watcher.gamedigType,
+      host: ip,
+      port: Number(watcher.queryPort)
+    });
+    const players = Array.isArray(result.players)
+      ? result.players.length
+      : typeof result.numplayers === 'number'
+        ? result.numplayers
+        : 0;
+    return {
+      players,
+      state: 'online',
+      metadata: { name: result.name, map: result.map, maxPlayers: result.maxplayers }
+    };
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * Query Provider Registry
+ *
+ * A provider knows how to count players for some game types:
+ * - id, label: identification
+ * - types: [{ value, label }] game types it handles (watcher.gamedigType)
+ * - fields: config schema [{ key, label, type, required?, default?, placeholder?,
+ *   min?, max?, options?, dockerLabel?, containerDefault? }], used for
+ *   validation, Docker label mapping and the UI form
+ * - validate(input, isUpdate)?: extra checks beyond the schema
+ * - usesContainerIP(watcher): whether query() needs the container IP
+ * - query(watcher, { ip, container }): Promise<{ players, state, metadata }>
+ * - release(watcherId)?: drop per-watcher resources (log streams...) when it stops
+ *
+ * Watchers select a provider through `gamedigType`; unknown types fall back
+ * to GameDig, which accepts any of its supported game types.
+ */
+
+import { gamedigProvider } from './gamedig.js';
+import { satisfactoryProvider } from './satisfactory.js';
+import { rconProvider } from './rcon.js';
+import { logsProvider } from './logs.js';
+import { trafficProvider } from './traffic.js';
+
+const FIELD_TYPES = ['text', 'number', 'password', 'select'];
+const LEGACY_SECRET_KEYS = ['adminPassword'];  // Satisfactory, not a form field anymore
+
+const providers = new Map();  // id -> provider
+const byType = new Map();     // gamedigType -> provider
+
+/**
+ * Register a provider (later registrations win for shared types).
+ *
+ * @param {Object} provider - Provider definition
+ */
+export function registerProvider(provider) {
+  for (const field of provider.fields) {
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Provider ${provider.id}: invalid field type "${field.type}"`);
+    }
+  }
+  providers.set(provider.id, provider);
+  for (const t of provider.types) {
+    byType.set(t.value, provider);
+  }
+}
+
+registerProvider(gamedigProvider);
+registerProvider(satisfactoryProvider);
+registerProvider(rconProvider);
+registerProvider(logsProvider);
+registerProvider(trafficProvider);
+
+/**
+ * Provider handling a game type (GameDig for any unregistered type).
+ *
+ * @param {string} gamedigType - Watcher game type
+ * @returns {Object} Provider
+ */
+export function getProvider(gamedigType) {
+  return byType.get(gamedigType) ?? gamedigProvider;
+}
+
+/**
+ * Let every provider drop what it holds for a stopped watcher.
+ *
+ * @param {string} watcherId - Watcher ID
+ */
+export function releaseProviders(watcherId) {
+  for (const provider of providers.values()) {
+    provider.release?.(watcherId);
+  }
+}
+
+/**
+ * Describe registered providers for clients (no functions).
+ *
+ * @returns {Array<Object>} [{ id, label, types, fields }]
+ */
+export function listProviders() {
+  return [...providers.values()].map(({ id, label, types, fields }) => ({ id, label, types, fields }));
+}
+
+/**
+ * Copy of a watcher without provider secrets (password fields of every
+ * registered provider), for clients below admin.
+ *
+ * @param {Object} watcher - Watcher config
+ * @returns {Object} Copy without secret fields
+ */
+export function stripSecrets(watcher) {
+  const copy = { ...watcher };
+  for (const provider of providers.values()) {
+    for (const field of provider.fields) {
+      if (field.type === 'password') delete copy[field.key];
+    }
+  }
+  for (const key of LEGACY_SECRET_KEYS) {
+    delete copy[key];
+  }
+  return copy;
+}
+
+/**
+ * Validate provider-specific fields of a watcher payload against the schema.
+ *
+ * @param {Object} input - Watcher payload
+ * @param {boolean} [isUpdate=false] - Only validate provided fields
+ * @throws {Error} If a required field is missing or a value is invalid
+ */
+export function validateProviderConfig(input, isUpdate = false) {
+  if (!input.gamedigType) {
+    return;
+  }
+  const provider = getProvider(input.gamedigType);
+
+  for (const field of provider.fields) {
+    const present = field.key in input && input[field.key] !== '' && input[field.key] !== null;
+    if (!present) {
+      if (field.required && field.default === undefined && !isUpdate) {
+        throw new Error(`Missing field: ${field.key}`);
+      }
+      continue;
+    }
+
+    const value = input[field.key];
+    if (field.type === 'number') {
+      const n = Number(value);
+      if (!Number.isFinite(n) || (field.min !== undefined && n < field.min) || (field.max !== undefined && n > field.max)) {
+        throw new Error(`Invalid field: ${field.key}`);
+      }
+    } else if (field.type === 'select') {
+      if (!field.options.some((o) => o.value === value)) {
+        throw new Error(`Invalid field: ${field.key}`);
+      }
+    } else if (typeof value !== 'string') {
+      throw new Error(`Invalid field: ${field.key}`);
+    }
+  }
+
+  provider.validate?.(input, isUpdate);
+}
+
+/**
+ * Read provider-specific fields from Docker labels.
+ *
+ * @param {string} gamedigType - Watcher game type
+ * @param {Object} labels - Container labels
+ * @param {string} prefix - Label prefix (e.g. "autostop.")
+ * @param {string} containerName - Container name (default host)
+ * @returns {Object} Provider fields for the watcher payload
+ * @throws {Error} If required labels are missing (message lists them)
+ */
+export function providerFieldsFromLabels(gamedigType, labels, prefix, containerName) {
+  const provider = getProvider(gamedigType);
+  const fields = {};
+  const missing = [];
+
+  for (const field of provider.fields) {
+    let value = field.dockerLabel ? labels[`${prefix}${field.dockerLabel}`] : undefined;
+    if (value === undefined && field.containerDefault) {
+      value = containerName;
+    }
+    if (value === undefined) {
+      value = field.default;
+    }
+    if (value === undefined || value === '') {
+      if (field.required) missing.push(field.dockerLabel ?? field.key);
+      continue;
+    }
+    fields[field.key] = field.type === 'number' ? Number(value) : value;
+  }
+
+  if (missing.length) {
+    throw new Error(`incomplete labels (${missing.join('/')})`);
+  }
+  return fields;
+}
@@ -0,0 +1,262 @@
+/**
+ * Container Logs Provider
+ *
+ * For servers without any query protocol: follows the target container's
+ * output (`container.logs({ follow: true })`) and tracks connected players
+ * from join/leave regexes.
+ *
+ * - With a capture group, players are tracked by name (duplicate joins and
+ *   leaves of unknown players are ignored); without one, joins/leaves are counted.
+ * - A single stream replays the output from the container's start, then
+ *   follows it: the count is rebuilt after a manager restart (line by line,
+ *   never holding the whole output), and reset when the container restarts.
+ */
+
+import { PassThrough } from 'stream';
+
+/**
+ * Join/leave patterns of common games.
+ */
+export const LOG_PRESETS = {
+  minecraft: {
+    label: 'Minecraft',
+    join: ': (\\w+) joined the game',
+    leave: ': (\\w+) left the game'
+  },
+  factorio: {
+    label: 'Factorio',
+    join: '\\[JOIN\\] (\\S+) joined the game',
+    leave: '\\[LEAVE\\] (\\S+) left the game'
+  },
+  terraria: {
+    label: 'Terraria',
+    join: '^(.+) has joined\\.',
+    leave: '^(.+) has left\\.'
+  },
+  valheim: {
+    label: 'Valheim',
+    join: 'Got connection SteamID (\\d+)',
+    leave: 'Closing socket (\\d+)'
+  },
+  seven_days_to_die: {
+    label: '7 Days to Die',
+    join: "PlayerSpawnedInWorld \\(reason: JoinMultiplayer.*PlayerName='([^']+)'",
+    leave: "Player disconnected: .*PlayerName='([^']+)'"
+  }
+};
+
+const trackers = new Map();  // watcherId -> tracker
+
+const REPLAY_IDLE_MS = 500;     // Replay considered done after this long without output...
+const REPLAY_MAX_MS = 15000;    // ...or at the latest after this long
+const TIMESTAMP_RE = /^(\d{4}-\d{2}-\d{2}T\S+Z) (.*)$/;  // `timestamps: true` prefix
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+/**
+ * Join/leave regexes of a watcher (explicit patterns override the preset).
+ *
+ * @param {Object} watcher - Watcher config (logPreset, logJoinPattern, logLeavePattern)
+ * @returns {Object} { join: RegExp, leave: RegExp }
+ * @throws {Error} If a pattern is missing or invalid
+ */
+export function logPatterns(watcher) {
+  const preset = LOG_PRESETS[watcher.logPreset] ?? {};
+  const join = watcher.logJoinPattern || preset.join;
+  const leave = watcher.logLeavePattern || preset.leave;
+  if (!join || !leave) {
+    throw new Error('logJoinPattern and logLeavePattern are required without a preset');
+  }
+  try {
+    return { join: new RegExp(join), leave: new RegExp(leave) };
+  } catch (err) {
+    throw new Error(`Invalid log pattern: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// TRACKING
+// ============================================================================
+
+/**
+ * Apply one log line to a tracker.
+ *
+ * @param {Object} tracker - { patterns, names: Set, count }
+ * @param {string} line - Log line
+ */
+function applyLine(tracker, line) {
+  const joined = tracker.patterns.join.exec(line);
+  if (joined) {
+    if (joined[1] !== undefined) {
+      tracker.names.add(joined[1]);
+    } else {
+      tracker.count += 1;
+    }
+    return;
+  }
+
+  const left = tracker.patterns.leave.exec(line);
+  if (left) {
+    if (left[1] !== undefined) {
+      tracker.names.delete(left[1]);
+    } else {
+      tracker.count = Math.max(0, tracker.count - 1);
+    }
+  }
+}
+
+/**
+ * Follow the container output since its start. Resolves once the past
+ * output has been replayed (a line written after the call, a pause in the
+ * output or REPLAY_MAX_MS), so the first count is right.
+ *
+ * @param {Object} watcher - Watcher config
+ * @param {Object} container - Docker container object
+ * @param {Object} info - container.inspect() result
+ * @returns {Promise<Object>} Tracker
+ */
+async function follow(watcher, container, info) {
+  const tracker = {
+    startedAt: info.State.StartedAt,
+    patterns: logPatterns(watcher),
+    names: new Set(),
+    count: 0,
+    stream: null,
+    ended: false
+  };
+
+  // One stream for past and new output: no gap or overlap between the two
+  const attachedAt = Date.now();
+  const since = Math.floor(Date.parse(info.State.StartedAt) / 1000) || 0;
+  const stream = await container.logs({ follow: true, stdout: true, stderr: true, since, timestamps: true });
+  tracker.stream = stream;
+
+  let replayed;
+  const ready = new Promise((resolve) => {
+    replayed = resolve;
+  });
+  let idleTimer = null;
+  const maxTimer = setTimeout(() => settle(), REPLAY_MAX_MS);
+  maxTimer.unref?.();
+  const settle = () => {
+    clearTimeout(idleTimer);
+    clearTimeout(maxTimer);
+    idleTimer = null;
+    replayed();
+  };
+  const waitIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(settle, REPLAY_IDLE_MS);
+  };
+  waitIdle();
+
+  // Without a TTY, stdout/stderr are multiplexed
+  let output = stream;
+  if (!info.Config?.Tty) {
+    output = new PassThrough();
+    container.modem.demuxStream(stream, output, output);
+    stream.on('end', () => output.end());
+  }
+
+  let pending = '';
+  output.on('data', (chunk) => {
+    pending += chunk.toString('utf8');
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      const stamped = TIMESTAMP_RE.exec(line);
+      if (stamped && idleTimer && Date.parse(stamped[1]) >= attachedAt) {
+        settle();  // Caught up with the live output
+      }
+      applyLine(tracker, stamped ? stamped[2] : line);
+    }
+    if (idleTimer) {
+      waitIdle();
+    }
+  });
+
+  const end = () => {
+    tracker.ended = true;
+    settle();
+  };
+  stream.on('end', end);
+  stream.on('close', end);
+  stream.on('error', end);
+
+  await ready;
+  return tracker;
+}
+
+/**
+ * Stop following a watcher's container (watcher stopped/reconfigured).
+ *
+ * @param {string} watcherId - Watcher ID
+ */
+function release(watcherId) {
+  const tracker = trackers.get(watcherId);
+  if (tracker) {
+    tracker.stream?.destroy?.();
+    trackers.delete(watcherId);
+  }
+}
+
+// ============================================================================
+// PROVIDER DEFINITION
+// ============================================================================
+
+export const logsProvider = {
+  id: 'logs',
+  label: 'Container logs',
+  types: [{ value: 'logs', label: 'Container logs (join/leave patterns)' }],
+  fields: [
+    {
+      key: 'logPreset',
+      label: 'Log Preset',
+      type: 'select',
+      default: 'minecraft',
+      options: [
+        ...Object.entries(LOG_PRESETS).map(([value, preset]) => ({ value, label: preset.label })),
+        { value: 'custom', label: 'Custom patterns' }
+      ],
+      dockerLabel: 'log_preset'
+    },
+    { key: 'logJoinPattern', label: 'Join Regex', type: 'text', placeholder: 'Preset default, e.g. (\\w+) joined', dockerLabel: 'log_join_pattern' },
+    { key: 'logLeavePattern', label: 'Leave Regex', type: 'text', placeholder: 'Preset default, e.g. (\\w+) left', dockerLabel: 'log_leave_pattern' }
+  ],
+
+  validate(input) {
+    if (input.logPreset || input.logJoinPattern || input.logLeavePattern) {
+      logPatterns(input);
+    }
+  },
+
+  usesContainerIP: () => false,
+
+  /**
+   * @param {Object} watcher - Watcher config (log* fields)
+   * @param {Object} ctx - { container } target container
+   * @returns {Promise<Object>} { players, state, metadata }
+   */
+  async query(watcher, { container }) {
+    const info = await container.inspect();
+    let tracker = trackers.get(watcher.id);
+
+    // (Re)attach after a container restart or a dropped stream; state starts over
+    if (!tracker || tracker.ended || tracker.startedAt !== info.State.StartedAt) {
+      release(watcher.id);
+      tracker = await follow(watcher, container, info);
+      trackers.set(watcher.id, tracker);
+    }
+
+    const names = [...tracker.names];
+    return {
+      players: names.length + tracker.count,
+      state: 'online',
+      metadata: names.length ? { names } : {}
+    };
+  },
+
+  release
+};
@@ -0,0 +1,236 @@
+/**
+ * RCON Provider
+ *
+ * Counts players through the Source RCON protocol (also spoken by Minecraft,
+ * Rust, ARK and Palworld) for games whose query port is disabled or flaky.
+ *
+ * A small TCP client authenticates, runs one command (`list`, `ShowPlayers`...)
+ * and a per-game parser turns the text reply into a player count.
+ */
+
+import net from 'net';
+
+// Packet types (Source RCON)
+const SERVERDATA_AUTH = 3;
+const SERVERDATA_AUTH_RESPONSE = 2;
+const SERVERDATA_EXECCOMMAND = 2;
+
+const AUTH_ID = 1;
+const COMMAND_ID = 2;
+const SPLIT_BODY_SIZE = 4000;   // Replies this long may be split over several packets
+const MIN_PACKET_SIZE = 10;     // id + type + two null bytes
+const MAX_PACKET_SIZE = 4106;   // 4096-byte body, the protocol maximum
+const FRAGMENT_WAIT_MS = 150;   // Quiet period before a split reply is considered complete
+
+// ============================================================================
+// PARSERS
+// ============================================================================
+
+/**
+ * Per-game reply parsers: { label, command, parse(text) => players }.
+ */
+export const RCON_PARSERS = {
+  // "There are 3 of a max of 20 players online: a, b, c" (also "There are 3/20 players online")
+  minecraft: {
+    label: 'Minecraft (list)',
+    command: 'list',
+    parse: (text) => matchCount(text, /There are (\d+)/i)
+  },
+  // Source engine / Rust `status`: "players : 3 humans, 0 bots (24 max)"
+  source: {
+    label: 'Source / Rust (status)',
+    command: 'status',
+    parse: (text) => matchCount(text, /players\s*:\s*(\d+)/i)
+  },
+  // ARK `ListPlayers`: "0. Name, 7656..." per player or "No Players Connected"
+  ark: {
+    label: 'ARK (ListPlayers)',
+    command: 'ListPlayers',
+    parse: (text) => text.split('\n').filter((l) => /^\s*\d+\.\s/.test(l)).length
+  },
+  // Palworld `ShowPlayers`: CSV with a "name,playeruid,steamid" header line
+  palworld: {
+    label: 'Palworld (ShowPlayers)',
+    command: 'ShowPlayers',
+    parse: (text) => text.split('\n').filter((l) => l.trim() && !/^name,/i.test(l.trim())).length
+  },
+  // Any command printing one player per line
+  lines: {
+    label: 'One player per line',
+    command: 'list',
+    parse: (text) => text.split('\n').filter((l) => l.trim()).length
+  }
+};
+
+function matchCount(text, regex) {
+  const m = regex.exec(text);
+  if (!m) {
+    throw new Error(`unexpected RCON reply: ${text.slice(0, 80)}`);
+  }
+  return Number(m[1]);
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+function encodePacket(id, type, body) {
+  const payload = Buffer.from(body, 'utf8');
+  const packet = Buffer.alloc(14 + payload.length);
+  packet.writeInt32LE(10 + payload.length, 0);
+  packet.writeInt32LE(id, 4);
+  packet.writeInt32LE(type, 8);
+  payload.copy(packet, 12);
+  // Two trailing null bytes (body terminator + empty string) are already zeroed
+  return packet;
+}
+
+/**
+ * Authenticate and run one RCON command.
+ *
+ * @param {Object} options
+ * @param {string} options.host - Server IP or hostname
+ * @param {number} options.port - RCON port
+ * @param {string} options.password - RCON password
+ * @param {string} options.command - Command to run
+ * @param {number} [options.timeoutMs=4000] - Overall timeout
+ * @returns {Promise<string>} Command reply (fragments joined)
+ */
+export function rconCommand({ host, port, password, command, timeoutMs = 4000 }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port), host);
+    let buffer = Buffer.alloc(0);
+    let reply = '';
+    let fragmentTimer = null;
+    let settled = false;
+
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(fragmentTimer);
+      socket.destroy();
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const timer = setTimeout(() => finish(new Error('RCON timeout')), timeoutMs);
+
+    socket.on('connect', () => {
+      socket.write(encodePacket(AUTH_ID, SERVERDATA_AUTH, password ?? ''));
+    });
+    socket.on('error', (err) => finish(err));
+    socket.on('close', () => finish(new Error('RCON connection closed')));
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (buffer.length >= 4) {
+        const size = buffer.readInt32LE(0);
+        // A bogus size would never consume the buffer (or make it grow forever)
+        if (size < MIN_PACKET_SIZE || size > MAX_PACKET_SIZE) {
+          finish(new Error(`invalid RCON packet size ${size}`));
+          return;
+        }
+        if (buffer.length < size + 4) break;
+
+        const id = buffer.readInt32LE(4);
+        const type = buffer.readInt32LE(8);
+        const body = buffer.toString('utf8', 12, size + 2);
+        buffer = buffer.subarray(size + 4);
+
+        if (type === SERVERDATA_AUTH_RESPONSE && (id === AUTH_ID || id === -1)) {
+          if (id === -1) {
+            finish(new Error('RCON authentication failed'));
+            return;
+          }
+          socket.write(encodePacket(COMMAND_ID, SERVERDATA_EXECCOMMAND, command));
+          continue;
+        }
+
+        if (id === COMMAND_ID) {
+          reply += body;
+          clearTimeout(fragmentTimer);
+          // A (nearly) full-size fragment means more may follow
+          if (size - 10 < SPLIT_BODY_SIZE) {
+            finish(null, reply);
+            return;
+          }
+          fragmentTimer = setTimeout(() => finish(null, reply), FRAGMENT_WAIT_MS);
+        }
+      }
+    });
+  });
+}
+
+// ============================================================================
+// POLLING FUNCTION
+// ============================================================================
+
+/**
+ * Poll a server over RCON for its current player count.
+ *
+ * @param {Object} watcher - Watcher configuration object
+ * @param {number} watcher.rconPort - RCON port
+ * @param {string} watcher.rconPassword - RCON password (fallback: RCON_PASSWORD env)
+ * @param {string} [watcher.rconParser='minecraft'] - Reply parser (see RCON_PARSERS)
+ * @param {string} [watcher.rconCommand] - Command override (default: parser's command)
+ * @param {string} host - Host to connect to (rconHost or resolved container IP)
+ * @returns {Promise<Object>} { players, reply }
+ * @throws {Error} If the server is unreachable, rejects the password or the reply can't be parsed
+ */
+export async function pollRcon(watcher, host) {
+  const parser = RCON_PARSERS[watcher.rconParser ?? 'minecraft'];
+  if (!parser) {
+    throw new Error(`unknown RCON parser: ${watcher.rconParser}`);
+  }
+
+  const reply = await rconCommand({
+    host,
+    port: Number(watcher.rconPort),
+    password: watcher.rconPassword || process.env.RCON_PASSWORD,
+    command: watcher.rconCommand || parser.command,
+    timeoutMs: Number(watcher.timeoutMs) || 4000
+  });
+
+  return { players: parser.parse(reply.replace(/\r/g, '')), reply };
+}
+
+// ============================================================================
+// PROVIDER DEFINITION
+// ============================================================================
+
+export const rconProvider = {
+  id: 'rcon',
+  label: 'RCON',
+  types: [{ value: 'rcon', label: 'RCON (Minecraft, Rust, ARK, Palworld…)' }],
+  fields: [
+    { key: 'rconHost', label: 'RCON Host', type: 'text', placeholder: 'Container IP (default)', dockerLabel: 'rcon_host' },
+    { key: 'rconPort', label: 'RCON Port', type: 'number', required: true, min: 1, max: 65535, placeholder: 'e.g., 25575', dockerLabel: 'rcon_port' },
+    { key: 'rconPassword', label: 'RCON Password', type: 'password', dockerLabel: 'rcon_password' },
+    {
+      key: 'rconParser',
+      label: 'Reply Parser',
+      type: 'select',
+      default: 'minecraft',
+      options: Object.entries(RCON_PARSERS).map(([value, parser]) => ({ value, label: parser.label })),
+      dockerLabel: 'rcon_parser'
+    },
+    { key: 'rconCommand', label: 'Command', type: 'text', placeholder: 'Parser default', dockerLabel: 'rcon_command' }
+  ],
+
+  usesContainerIP: (watcher) => !watcher.rconHost,
+
+  /**
+   * @param {Object} watcher - Watcher config (rcon* fields)
+   * @param {Object} ctx - { ip } resolved container IP (when rconHost is empty)
+   * @returns {Promise<Object>} { players, state, metadata }
+   */
+  async query(watcher, { ip }) {
+    const { players } = await pollRcon(watcher, watcher.rconHost || ip);
+    return { players, state: 'online', metadata: {} };
+  }
+};
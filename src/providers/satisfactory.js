@@ -161,4 +161,29 @@ export async function pollSatisfactory(watcher) {
     // Fallback: server unreachable
     return { available: false, players: 0 };
   }
-}
\ No newline at end of file
+}
+// ============================================================================
+// PROVIDER DEFINITION
+// ============================================================================
+
+export const satisfactoryProvider = {
+  id: 'satisfactory',
+  label: 'Satisfactory',
+  types: [{ value: 'satisfactory', label: 'Satisfactory' }],
+  fields: [
+    { key: 'host', label: 'Host', type: 'text', required: true, placeholder: 'IP or container name', dockerLabel: 'query_host', containerDefault: true },
+    { key: 'port', label: 'Port', type: 'number', required: true, min: 1, max: 65535, default: 7777, dockerLabel: 'query_port' },
+    { key: 'apiToken', label: 'API Token', type: 'password', placeholder: 'Satisfactory API token', dockerLabel: 'api_token' }
+  ],
+
+  usesContainerIP: () => false,
+
+  /**
+   * @param {Object} watcher - Watcher config (host, port, apiToken)
+   * @returns {Promise<Object>} { players, state, metadata }
+   */
+  async query(watcher) {
+    const { available, players } = await pollSatisfactory(watcher);
+    return { players, state: available ? 'playing' : 'offline', metadata: {} };
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * Network Traffic Provider
+ *
+ * Activity signal from the container's network byte counters
+ * (`container.stats({ stream: false })`), for servers that can't be queried.
+ * The server counts as idle while rx+tx stays below `trafficThresholdBps`.
+ *
+ * Used either as the watcher's provider (reports 1 "player" while active,
+ * 0 while idle) or by tickOne as a fallback after repeated query failures.
+ */
+
+const WARMUP_MS = 1000;              // Gap between the two first samples
+const STALE_SAMPLE_MS = 5 * 60000;   // Older samples are re-warmed
+export const DEFAULT_TRAFFIC_THRESHOLD_BPS = 1000;
+
+const samples = new Map();  // watcherId -> { t, bytes }
+
+/**
+ * Total rx+tx bytes over all container networks.
+ *
+ * @param {Object} container - Docker container object
+ * @returns {Promise<number>}
+ * @throws {Error} If the container has no network counters (e.g. host network)
+ */
+async function readBytes(container) {
+  const stats = await container.stats({ stream: false, 'one-shot': true });
+  const networks = Object.values(stats?.networks ?? {});
+  if (!networks.length) {
+    throw new Error('no network counters (host network?)');
+  }
+  return networks.reduce((sum, n) => sum + (n.rx_bytes ?? 0) + (n.tx_bytes ?? 0), 0);
+}
+
+/**
+ * Network throughput since the previous sample of this watcher.
+ * Without a usable previous sample (missing, stale or too close), two samples
+ * are taken WARMUP_MS apart.
+ *
+ * @param {string} watcherId - Watcher ID
+ * @param {Object} container - Docker container object
+ * @returns {Promise<number>} Bytes per second (rx+tx)
+ */
+export async function measureTraffic(watcherId, container) {
+  let prev = samples.get(watcherId);
+  const age = prev ? Date.now() - prev.t : Infinity;
+  if (age > STALE_SAMPLE_MS || age < WARMUP_MS) {
+    prev = { t: Date.now(), bytes: await readBytes(container) };
+    await new Promise((resolve) => setTimeout(resolve, WARMUP_MS));
+  }
+
+  const current = { t: Date.now(), bytes: await readBytes(container) };
+  samples.set(watcherId, current);
+
+  // Counters reset with the container: nothing meaningful this time
+  if (current.bytes < prev.bytes || current.t <= prev.t) {
+    return 0;
+  }
+  return (current.bytes - prev.bytes) / ((current.t - prev.t) / 1000);
+}
+
+/**
+ * Whether a throughput counts as activity for a watcher.
+ *
+ * @param {Object} watcher - Watcher config (trafficThresholdBps)
+ * @param {number} bytesPerSec - Measured throughput
+ * @returns {boolean}
+ */
+export function isTrafficActive(watcher, bytesPerSec) {
+  const threshold = Number(watcher.trafficThresholdBps ?? DEFAULT_TRAFFIC_THRESHOLD_BPS);
+  return bytesPerSec >= threshold;
+}
+
+// ============================================================================
+// PROVIDER DEFINITION
+// ============================================================================
+
+export const trafficProvider = {
+  id: 'traffic',
+  label: 'Network traffic',
+  types: [{ value: 'traffic', label: 'Network traffic (no query)' }],
+  // Threshold is a common watcher field (also used by the query fallback)
+  fields: [],
+
+  usesContainerIP: () => false,
+
+  /**
+   * @param {Object} watcher - Watcher config (trafficThresholdBps)
+   * @param {Object} ctx - { container } target container
+   * @returns {Promise<Object>} { players: 1 (active) | 0 (idle), state, metadata }
+   */
+  async query(watcher, { container }) {
+    const bytesPerSec = await measureTraffic(watcher.id, container);
+    const active = isTrafficActive(watcher, bytesPerSec);
+    return {
+      players: active ? 1 : 0,
+      state: active ? 'active' : 'idle',
+      metadata: { bytesPerSec: Math.round(bytesPerSec) }
+    };
+  },
+
+  release(watcherId) {
+    samples.delete(watcherId);
+  }
+};
@@ -0,0 +1,363 @@
+/**
+ * Schedule Module - Time-based watcher rules
+ *
+ * Rules are cron expressions (5 fields: minute hour day-of-month month day-of-week)
+ * evaluated in the watcher's timezone:
+ * - keep-alive: { cron, durationMinutes } window where auto-stop is suspended
+ * - start:      { cron, durationMinutes } window where the server is started
+ *               (once, at window entry) and auto-stop is suspended
+ * - hard-stop:  { cron, warningMinutes? } stop even with players online
+ *
+ * Example: Friday 18:00 -> Sunday 23:00 = { type: 'keep-alive', cron: '0 18 * * FRI', durationMinutes: 3180 }
+ */
+
+export const SCHEDULE_TYPES = ['keep-alive', 'start', 'hard-stop'];
+
+const DEFAULT_HARD_STOP_WARNING_MIN = 5;
+const SEARCH_LIMIT_MIN = 366 * 24 * 60;  // Give up after one year
+const REPEAT_OFFSETS_MIN = [30, 60];     // DST fall-back shifts (30 min: Lord Howe)
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// ============================================================================
+// CRON PARSING
+// ============================================================================
+
+/**
+ * Parse a 5-field cron expression.
+ * Supports `*`, lists (`1,3`), ranges (`1-5`), steps (`*\/15`, `0-30/5`)
+ * and month/day names (`JAN`, `MON-FRI`).
+ *
+ * @param {string} expr - Cron expression
+ * @returns {Object} Parsed cron { minute: Set, hour: Set, ..., hourAny, domAny, dowAny }
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expr) {
+  const parts = String(expr ?? '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron "${expr}": expected 5 fields`);
+  }
+
+  const cron = {};
+  FIELDS.forEach((field, i) => {
+    cron[field.name] = parseField(parts[i], field, expr);
+  });
+
+  // 7 is an alias for Sunday
+  if (cron.dayOfWeek.has(7)) {
+    cron.dayOfWeek.add(0);
+  }
+  cron.hourAny = parts[1] === '*';
+  cron.domAny = parts[2] === '*';
+  cron.dowAny = parts[4] === '*';
+  return cron;
+}
+
+function parseField(text, field, expr) {
+  const values = new Set();
+  const toNumber = (token) => {
+    const idx = field.names ? field.names.indexOf(token.toUpperCase()) : -1;
+    if (idx !== -1) {
+      return field.name === 'month' ? idx + 1 : idx;
+    }
+    const n = Number(token);
+    if (!Number.isInteger(n) || n < field.min || n > field.max) {
+      throw new Error(`Invalid cron "${expr}": bad ${field.name} "${token}"`);
+    }
+    return n;
+  };
+
+  for (const item of text.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron "${expr}": bad step "${stepText}"`);
+    }
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = toNumber(a);
+      hi = toNumber(b);
+    } else {
+      lo = toNumber(range);
+      hi = stepText === undefined ? lo : field.max;
+    }
+    if (lo > hi) {
+      throw new Error(`Invalid cron "${expr}": bad range "${range}"`);
+    }
+    for (let v = lo; v <= hi; v += step) {
+      values.add(v);
+    }
+  }
+  return values;
+}
+
+// ============================================================================
+// TIMEZONE HELPERS
+// ============================================================================
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  const key = timeZone ?? '';
+  let fmt = formatters.get(key);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(key, fmt);
+  }
+  return fmt;
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone.
+ *
+ * @param {number} t - Epoch ms
+ * @param {string} [timeZone] - IANA timezone (default: process timezone)
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+function localFields(t, timeZone) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(new Date(t))) {
+    parts[p.type] = p.value;
+  }
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Check that a timezone name is supported by the runtime.
+ *
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// OCCURRENCES
+// ============================================================================
+
+/**
+ * Whether the wall-clock minutes skipped right before `t` (spring-forward
+ * gap, e.g. 02:00-02:59 when clocks jump to 03:00) contain a cron match.
+ *
+ * @param {Object} cron - Parsed cron (parseCron)
+ * @param {number} t - Epoch ms (whole minute) on a day matching the cron
+ * @param {Object} f - localFields(t)
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {boolean}
+ */
+function skippedMatch(cron, t, f, timeZone) {
+  const prev = localFields(t - 60000, timeZone);
+  const now = f.hour * 60 + f.minute;
+  const first = prev.dayOfMonth === f.dayOfMonth ? prev.hour * 60 + prev.minute + 1 : 0;
+  for (let m = first; m < now; m++) {
+    if (cron.hour.has(Math.floor(m / 60)) && cron.minute.has(m % 60)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether the wall-clock time of `t` already happened earlier that day
+ * (second pass through the hour repeated by a DST fall-back).
+ *
+ * @param {number} t - Epoch ms
+ * @param {Object} f - localFields(t)
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {boolean}
+ */
+function repeatedTime(t, f, timeZone) {
+  return REPEAT_OFFSETS_MIN.some((offset) => {
+    const earlier = localFields(t - offset * 60000, timeZone);
+    return earlier.dayOfMonth === f.dayOfMonth && earlier.hour === f.hour && earlier.minute === f.minute;
+  });
+}
+
+/**
+ * First minute >= `from` matching the cron expression, in `timeZone`.
+ * Skips whole days/hours that cannot match to stay cheap. A time that does
+ * not exist locally (DST spring-forward) fires at the first valid instant
+ * after the gap; a time repeated by a fall-back fires only the first time
+ * (except hourly rules, whose repeated hour is a distinct hour).
+ *
+ * @param {Object} cron - Parsed cron (parseCron)
+ * @param {number} from - Epoch ms
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {number|null} Epoch ms, or null if none within a year
+ */
+export function nextCronTime(cron, from, timeZone) {
+  let t = Math.ceil(from / 60000) * 60000;
+  const limit = t + SEARCH_LIMIT_MIN * 60000;
+
+  while (t <= limit) {
+    const f = localFields(t, timeZone);
+
+    const domMatch = cron.dayOfMonth.has(f.dayOfMonth);
+    const dowMatch = cron.dayOfWeek.has(f.dayOfWeek);
+    // Standard cron: when both day fields are restricted, either may match
+    const dayMatch = cron.domAny || cron.dowAny
+      ? domMatch && dowMatch
+      : domMatch || dowMatch;
+
+    if (!cron.month.has(f.month) || !dayMatch) {
+      const start = t;
+      t += ((23 - f.hour) * 60 + (60 - f.minute)) * 60000;  // Next local midnight
+      // A 23-hour (spring-forward) day overshoots it
+      const next = localFields(t, timeZone);
+      const overshoot = (next.hour * 60 + next.minute) * 60000;
+      if (next.dayOfMonth !== f.dayOfMonth && overshoot && t - overshoot > start) {
+        t -= overshoot;
+      }
+      continue;
+    }
+    if (cron.hour.has(f.hour) && cron.minute.has(f.minute) && (cron.hourAny || !repeatedTime(t, f, timeZone))) {
+      return t;
+    }
+    if (skippedMatch(cron, t, f, timeZone)) {
+      return t;
+    }
+    t += cron.hour.has(f.hour) ? 60000 : (60 - f.minute) * 60000;  // Next minute / hour
+  }
+  return null;
+}
+
+/**
+ * Window of a rule that contains `now`, if any.
+ * A window is active iff its first start at or after (now - duration) is <= now.
+ *
+ * @param {Object} rule - { cron, durationMinutes }
+ * @param {number} now - Epoch ms
+ * @param {string} [timeZone]
+ * @returns {Object|null} { start, end } (epoch ms)
+ */
+function activeWindow(rule, now, timeZone) {
+  const durationMs = Number(rule.durationMinutes) * 60000;
+  const start = nextCronTime(parseCron(rule.cron), now - durationMs + 1, timeZone);
+  if (start !== null && start <= now) {
+    return { start, end: start + durationMs };
+  }
+  return null;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate a watcher's schedule rules at a point in time.
+ *
+ * @param {Object} watcher - Watcher config (schedules, timezone, warningMinutes)
+ * @param {number} [now=Date.now()] - Epoch ms
+ * @returns {Object} {
+ *   keepAlive: boolean,                       // auto-stop suspended now
+ *   startWindow: { start, end } | null,       // active start window
+ *   nextHardStop: { at, warningMinutes } | null,
+ *   nextAction: { type, at } | null           // earliest upcoming action
+ * }
+ */
+export function scheduleStatus(watcher, now = Date.now()) {
+  const status = { keepAlive: false, startWindow: null, nextHardStop: null, nextAction: null };
+  const rules = Array.isArray(watcher.schedules) ? watcher.schedules : [];
+
+  const consider = (type, at) => {
+    if (at !== null && (!status.nextAction || at < status.nextAction.at)) {
+      status.nextAction = { type, at };
+    }
+  };
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    const tz = rule.timezone || watcher.timezone;
+
+    if (rule.type === 'hard-stop') {
+      const at = nextCronTime(parseCron(rule.cron), now, tz);
+      if (at !== null && (!status.nextHardStop || at < status.nextHardStop.at)) {
+        status.nextHardStop = {
+          at,
+          warningMinutes: Number(rule.warningMinutes ?? (Number(watcher.warningMinutes) || DEFAULT_HARD_STOP_WARNING_MIN))
+        };
+      }
+      consider('hard-stop', at);
+      continue;
+    }
+
+    const window = activeWindow(rule, now, tz);
+    if (window) {
+      status.keepAlive = true;
+      if (rule.type === 'start' && (!status.startWindow || window.start < status.startWindow.start)) {
+        status.startWindow = window;
+      }
+      consider(`${rule.type}-end`, window.end);
+    } else {
+      consider(rule.type, nextCronTime(parseCron(rule.cron), now, tz));
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Validate schedule rules and timezone of a watcher payload.
+ *
+ * @param {Object} input - Watcher payload
+ * @throws {Error} If a rule or the timezone is invalid
+ */
+export function validateSchedules(input) {
+  if (input.timezone && !isValidTimeZone(input.timezone)) {
+    throw new Error(`Invalid field: timezone "${input.timezone}"`);
+  }
+  if (input.schedules === undefined || input.schedules === null) {
+    return;
+  }
+  if (!Array.isArray(input.schedules)) {
+    throw new Error('Invalid field: schedules');
+  }
+
+  for (const rule of input.schedules) {
+    if (!SCHEDULE_TYPES.includes(rule?.type)) {
+      throw new Error(`Invalid schedule type: ${rule?.type}`);
+    }
+    parseCron(rule.cron);
+    if (rule.type !== 'hard-stop' && !(Number(rule.durationMinutes) > 0)) {
+      throw new Error(`Schedule "${rule.cron}": durationMinutes must be > 0`);
+    }
+    if (rule.timezone && !isValidTimeZone(rule.timezone)) {
+      throw new Error(`Invalid schedule timezone "${rule.timezone}"`);
+    }
+  }
+}
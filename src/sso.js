@@ -0,0 +1,400 @@
+/**
+ * SSO Module - Reverse-proxy header and OpenID Connect authentication
+ *
+ * Two optional ways to sign in with an external identity provider, both
+ * mapping the user's groups to a role (`AUTH_GROUP_ROLES`):
+ * - ProxyAuth: trust an authenticated-user header (Authelia, Authentik,
+ *   oauth2-proxy...) on requests coming from configured proxy addresses
+ * - OidcClient: act as an OIDC relying party (authorization code flow with
+ *   PKCE); a successful login opens a regular UI session (users.js). The
+ *   login state is bound to the browser by a short-lived cookie.
+ *
+ * SSO principals are never scoped to watchers.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import axios from 'axios';
+import { ROLES } from './auth.js';
+
+export const OIDC_STATE_COOKIE = 'gam_oidc_state';
+export const PENDING_LOGIN_TTL_MS = 10 * 60000;  // Time to complete the provider login
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_PENDING_LOGINS = 1000;  // Oldest unfinished logins dropped past this
+const CLOCK_SKEW_SEC = 60;
+
+// JWS algorithms accepted for ID tokens -> crypto.verify() parameters
+const JWS_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+// ============================================================================
+// GROUPS -> ROLES
+// ============================================================================
+
+/**
+ * Parse a group/role mapping: "admins=admin,gamers=operator,*=viewer"
+ * (`*` matches any authenticated user).
+ *
+ * @param {string} [raw] - AUTH_GROUP_ROLES value
+ * @returns {Map<string, string>} group -> role
+ * @throws {Error} If a role is unknown
+ */
+export function parseGroupRoles(raw) {
+  const mapping = new Map();
+  for (const part of String(raw ?? '').split(',')) {
+    const [group, role] = part.split('=').map((s) => s?.trim());
+    if (!group) continue;
+    if (!ROLES.includes(role)) {
+      throw new Error(`AUTH_GROUP_ROLES: invalid role for ${group} (${ROLES.join('|')})`);
+    }
+    mapping.set(group, role);
+  }
+  return mapping;
+}
+
+/**
+ * Highest role granted to a set of groups.
+ *
+ * @param {Map<string, string>} mapping - parseGroupRoles() result
+ * @param {Array<string>} groups - User groups
+ * @returns {string|null} Role, or null if none applies
+ */
+export function roleForGroups(mapping, groups) {
+  let best = null;
+  for (const group of [...groups, '*']) {
+    const role = mapping.get(group);
+    if (role && ROLES.indexOf(role) > ROLES.indexOf(best)) {
+      best = role;
+    }
+  }
+  return best;
+}
+
+/**
+ * Constant-time string comparison.
+ */
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Groups from a claim or header value (array, or comma/space separated).
+ */
+function toGroups(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return String(value ?? '').split(/[,\s]+/).filter(Boolean);
+}
+
+// ============================================================================
+// REVERSE-PROXY HEADERS
+// ============================================================================
+
+export class ProxyAuth {
+  /**
+   * @param {Object} opts
+   * @param {string} [opts.trustedIps] - Proxy addresses/CIDRs (comma-separated); empty = disabled
+   * @param {string} [opts.userHeader='Remote-User'] - Authenticated user header
+   * @param {string} [opts.groupsHeader='Remote-Groups'] - Groups header
+   * @param {Map<string, string>} opts.groupRoles - Group -> role mapping
+   */
+  constructor({ trustedIps = '', userHeader = 'Remote-User', groupsHeader = 'Remote-Groups', groupRoles }) {
+    this.userHeader = userHeader.toLowerCase();
+    this.groupsHeader = groupsHeader.toLowerCase();
+    this.groupRoles = groupRoles;
+    this.trusted = new net.BlockList();
+    this.enabled = false;
+
+    for (const entry of trustedIps.split(',').map((s) => s.trim()).filter(Boolean)) {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      if (!net.isIP(address)) {
+        throw new Error(`AUTH_PROXY_IPS: invalid address ${entry}`);
+      }
+      if (prefix !== undefined) {
+        this.trusted.addSubnet(address, Number(prefix), type);
+      } else {
+        this.trusted.addAddress(address, type);
+      }
+      this.enabled = true;
+    }
+  }
+
+  /**
+   * Principal from the proxy headers, if the request comes from a trusted proxy.
+   *
+   * @param {Object} req - Express request
+   * @returns {Object|null} { id, kind: 'proxy', name, role, watchers } ({ role: null } if no group maps to a role)
+   */
+  authenticate(req) {
+    if (!this.enabled) {
+      return null;
+    }
+    const user = req.headers[this.userHeader];
+    const remote = req.socket.remoteAddress ?? '';
+    if (!user || !this.trusted.check(remote, net.isIPv6(remote) ? 'ipv6' : 'ipv4')) {
+      return null;
+    }
+    const groups = toGroups(req.headers[this.groupsHeader]);
+    return { id: `proxy:${user}`, kind: 'proxy', name: user, role: roleForGroups(this.groupRoles, groups), watchers: null };
+  }
+}
+
+/**
+ * CSRF guard for cookie-less browser auth (proxy headers): the request must
+ * not come from another site (Sec-Fetch-Site / Origin vs Host).
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function isSameOrigin(req) {
+  const site = req.headers['sec-fetch-site'];
+  if (site && !['same-origin', 'none'].includes(site)) {
+    return false;
+  }
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+  try {
+    const host = req.headers['x-forwarded-host'] ?? req.headers.host;
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// OPENID CONNECT
+// ============================================================================
+
+/**
+ * Verify an ID token (JWS signature against the provider keys, then claims).
+ *
+ * @param {string} token - Compact JWT
+ * @param {Function} getKey - async (kid) => JWK
+ * @param {Object} expected - { issuer, audience, nonce }
+ * @returns {Promise<Object>} Claims
+ * @throws {Error} If the token is invalid
+ */
+async function verifyIdToken(token, getKey, { issuer, audience, nonce }) {
+  const [encHeader, encPayload, encSig] = String(token).split('.');
+  if (!encSig) {
+    throw new Error('malformed ID token');
+  }
+  const header = JSON.parse(Buffer.from(encHeader, 'base64url').toString('utf8'));
+  const alg = JWS_ALGORITHMS[header.alg];
+  if (!alg) {
+    throw new Error(`unsupported ID token algorithm ${header.alg}`);
+  }
+
+  const key = crypto.createPublicKey({ key: await getKey(header.kid), format: 'jwk' });
+  const valid = crypto.verify(
+    alg.hash,
+    Buffer.from(`${encHeader}.${encPayload}`),
+    { key, padding: alg.padding, dsaEncoding: alg.dsaEncoding },
+    Buffer.from(encSig, 'base64url')
+  );
+  if (!valid) {
+    throw new Error('invalid ID token signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(encPayload, 'base64url').toString('utf8'));
+  const now = Date.now() / 1000;
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== issuer) {
+    throw new Error('ID token issuer mismatch');
+  }
+  if (!audiences.includes(audience)) {
+    throw new Error('ID token audience mismatch');
+  }
+  if (!(claims.exp + CLOCK_SKEW_SEC > now)) {
+    throw new Error('ID token expired');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  return claims;
+}
+
+export class OidcClient {
+  /**
+   * @param {Object} opts
+   * @param {string} [opts.issuer] - Issuer URL; empty = disabled
+   * @param {string} opts.clientId - Client ID
+   * @param {string} [opts.clientSecret] - Client secret (client_secret_basic)
+   * @param {string} opts.redirectUri - Callback URL (…/api/auth/oidc/callback)
+   * @param {string} [opts.scopes='openid profile email groups']
+   * @param {string} [opts.groupsClaim='groups'] - Claim holding the groups
+   * @param {Map<string, string>} opts.groupRoles - Group -> role mapping
+   */
+  constructor({ issuer = '', clientId = '', clientSecret = '', redirectUri = '', scopes = 'openid profile email groups', groupsClaim = 'groups', groupRoles }) {
+    this.issuer = issuer.replace(/\/+$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.scopes = scopes;
+    this.groupsClaim = groupsClaim;
+    this.groupRoles = groupRoles;
+    this.enabled = Boolean(this.issuer);
+
+    if (this.enabled && (!clientId || !redirectUri)) {
+      throw new Error('OIDC_ISSUER requires OIDC_CLIENT_ID and OIDC_REDIRECT_URI');
+    }
+
+    this.metadata = null;       // Discovery document (cached)
+    this.jwks = null;           // Provider keys (refreshed on unknown kid)
+    this.pending = new Map();   // state -> { verifier, nonce, createdAt }
+  }
+
+  /**
+   * Provider metadata (.well-known/openid-configuration), fetched once.
+   *
+   * @throws {Error} If the document announces another issuer
+   */
+  async discover() {
+    if (!this.metadata) {
+      const { data } = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: REQUEST_TIMEOUT_MS });
+      if (typeof data?.issuer !== 'string' || data.issuer.replace(/\/+$/, '') !== this.issuer) {
+        throw new Error(`discovery issuer mismatch (${data?.issuer})`);
+      }
+      this.metadata = data;
+    }
+    return this.metadata;
+  }
+
+  /**
+   * Signing key of the provider by key ID.
+   *
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Promise<Object>} JWK
+   */
+  async getKey(kid) {
+    const find = () => this.jwks?.keys?.find((k) => (kid ? k.kid === kid : k.use !== 'enc'));
+    if (!find()) {
+      const { jwks_uri: jwksUri } = await this.discover();
+      const { data } = await axios.get(jwksUri, { timeout: REQUEST_TIMEOUT_MS });
+      this.jwks = data;
+    }
+    const key = find();
+    if (!key) {
+      throw new Error(`unknown ID token key ${kid}`);
+    }
+    return key;
+  }
+
+  /**
+   * Start a login: provider authorization URL (with state, nonce and PKCE).
+   * The state must also be stored in the browser (OIDC_STATE_COOKIE) and
+   * handed back to callback().
+   *
+   * @returns {Promise<Object>} { url, state }: URL to redirect the browser to
+   */
+  async authorizationUrl() {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    this.prunePending();
+
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    this.pending.set(state, { verifier, nonce, createdAt: Date.now() });
+
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+    return { url: url.toString(), state };
+  }
+
+  /**
+   * Finish a login: exchange the code, verify the ID token, map groups.
+   *
+   * @param {Object} query - Callback query ({ code, state } or { error })
+   * @param {string} [browserState] - State cookie of the browser (OIDC_STATE_COOKIE)
+   * @returns {Promise<Object>} Principal { id, kind: 'oidc', name, role, watchers } (role null if unmapped)
+   * @throws {Error} On provider errors, unknown state, a state started by another browser or invalid tokens
+   */
+  async callback({ code, state, error, error_description: description }, browserState) {
+    if (error) {
+      throw new Error(`provider error: ${description || error}`);
+    }
+    if (!state || !browserState || !safeEqual(state, browserState)) {
+      throw new Error('login was not started by this browser, please retry');
+    }
+    const login = this.pending.get(state);
+    this.pending.delete(state);
+    if (!login || Date.now() - login.createdAt > PENDING_LOGIN_TTL_MS) {
+      throw new Error('login expired or unknown, please retry');
+    }
+
+    const metadata = await this.discover();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (this.clientSecret) {
+      const basic = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(basic).toString('base64')}`;
+    }
+    const { data: tokens } = await axios.post(metadata.token_endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: login.verifier
+    }).toString(), { headers, timeout: REQUEST_TIMEOUT_MS });
+
+    const claims = await verifyIdToken(tokens.id_token, (kid) => this.getKey(kid), {
+      issuer: metadata.issuer,
+      audience: this.clientId,
+      nonce: login.nonce
+    });
+
+    // Groups are often only served by the userinfo endpoint
+    let groups = claims[this.groupsClaim];
+    if (groups === undefined && metadata.userinfo_endpoint && tokens.access_token) {
+      const { data: userinfo } = await axios.get(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      groups = userinfo[this.groupsClaim];
+    }
+
+    return {
+      id: `oidc:${claims.sub}`,
+      kind: 'oidc',
+      name: claims.preferred_username ?? claims.email ?? claims.sub,
+      role: roleForGroups(this.groupRoles, toGroups(groups)),
+      watchers: null
+    };
+  }
+
+  /**
+   * Drop expired logins, and the oldest ones past MAX_PENDING_LOGINS
+   * (the login endpoint is public).
+   */
+  prunePending() {
+    const now = Date.now();
+    for (const [state, login] of this.pending) {
+      if (now - login.createdAt > PENDING_LOGIN_TTL_MS) this.pending.delete(state);
+    }
+    for (const state of this.pending.keys()) {
+      if (this.pending.size < MAX_PENDING_LOGINS) break;
+      this.pending.delete(state);
+    }
+  }
+}
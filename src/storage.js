@@ -1,10 +1,13 @@
 /**
  * Storage Module - Configuration persistence
  *
- * Handles loading and saving watcher configurations to disk.
+ * Handles loading and saving watcher configurations to disk (and their
+ * versioned snapshots), plus the checkpointed runtime state and activity history of watchers,
+ * the hashed API tokens and local users, and the append-only audit log.
  * Ensures atomic writes to prevent data corruption.
  */
 
+import crypto from 'crypto';
 import * as fsp from 'fs/promises';
 import path from 'path';
 
@@ -13,7 +16,7 @@ import path from 'path';
  * Ensures autostart defaults to true if not specified.
  *
  * @param {string} configPath - Path to configuration file
- * @returns {Promise<Object>} Configuration object { watchers: [] }
+ * @returns {Promise<Object>} Configuration object { watchers: [], webhooks: [] }
  */
 export async function loadConfig(configPath) {
   try {
@@ -23,6 +26,9 @@ export async function loadConfig(configPath) {
     if (!Array.isArray(config.watchers)) {
       config.watchers = [];
     }
+    if (!Array.isArray(config.webhooks)) {
+      config.webhooks = [];
+    }
 
     // Normalize autostart field
     for (const w of config.watchers) {
@@ -34,7 +40,7 @@ export async function loadConfig(configPath) {
     return config;
   } catch {
     // Return empty config if load fails
-    return { watchers: [] };
+    return { watchers: [], webhooks: [] };
   }
 }
 
@@ -47,19 +53,307 @@ export async function loadConfig(configPath) {
  * @returns {Promise<void>}
  */
 export async function saveConfig(configPath, config) {
-  const dir = path.dirname(configPath);
-  await fsp.mkdir(dir, { recursive: true });
+  await writeJsonAtomic(configPath, config);
+}
+
+/**
+ * Load checkpointed watcher runtime state from disk.
+ *
+ * @param {string} statePath - Path to runtime state file
+ * @returns {Promise<Object>} State object { watchers: { id: { emptyMinutes, lastPlayers, warned, updatedAt } } }
+ */
+export async function loadRuntimeState(statePath) {
+  try {
+    const raw = await fsp.readFile(statePath, 'utf8');
+    const state = JSON.parse(raw);
+
+    if (!state.watchers || typeof state.watchers !== 'object') {
+      state.watchers = {};
+    }
+
+    return state;
+  } catch {
+    // Missing or corrupt checkpoint: start fresh
+    return { watchers: {} };
+  }
+}
+
+/**
+ * Save watcher runtime state to disk atomically.
+ *
+ * @param {string} statePath - Path to runtime state file
+ * @param {Object} state - Runtime state object to save
+ * @returns {Promise<void>}
+ */
+export async function saveRuntimeState(statePath, state) {
+  await writeJsonAtomic(statePath, { ...state, savedAt: Date.now() });
+}
+
+/**
+ * Load the activity history of one watcher.
+ *
+ * @param {string} historyDir - Directory holding per-watcher history files
+ * @param {string} id - Watcher ID
+ * @returns {Promise<Object>} History { samples: [], events: [] }
+ */
+export async function loadHistory(historyDir, id) {
+  try {
+    const raw = await fsp.readFile(historyFile(historyDir, id), 'utf8');
+    const history = JSON.parse(raw);
+    return {
+      samples: Array.isArray(history.samples) ? history.samples : [],
+      events: Array.isArray(history.events) ? history.events : []
+    };
+  } catch {
+    return { samples: [], events: [] };
+  }
+}
+
+/**
+ * Save the activity history of one watcher atomically.
+ *
+ * @param {string} historyDir - Directory holding per-watcher history files
+ * @param {string} id - Watcher ID
+ * @param {Object} history - History { samples: [], events: [] }
+ * @returns {Promise<void>}
+ */
+export async function saveHistory(historyDir, id, history) {
+  await writeJsonAtomic(historyFile(historyDir, id), history);
+}
+
+/**
+ * Delete the activity history of one watcher (no-op if missing).
+ *
+ * @param {string} historyDir - Directory holding per-watcher history files
+ * @param {string} id - Watcher ID
+ * @returns {Promise<void>}
+ */
+export async function removeHistory(historyDir, id) {
+  await fsp.rm(historyFile(historyDir, id), { force: true });
+}
+
+/**
+ * Load API tokens (hashed) from disk.
+ * Only a missing file means "no tokens": an unreadable or corrupt file
+ * throws, so authentication never silently turns off.
+ *
+ * @param {string} tokensPath - Path to tokens file
+ * @returns {Promise<Object>} Tokens object { tokens: [] }
+ * @throws {Error} If the file exists but cannot be read or parsed
+ */
+export async function loadTokens(tokensPath) {
+  const data = await readJsonIfExists(tokensPath);
+  if (data === null) {
+    return { tokens: [] };
+  }
+  if (!Array.isArray(data?.tokens)) {
+    throw new Error(`${tokensPath}: missing "tokens" array`);
+  }
+  return { tokens: data.tokens };
+}
+
+/**
+ * Save API tokens to disk atomically.
+ *
+ * @param {string} tokensPath - Path to tokens file
+ * @param {Object} data - Tokens object { tokens: [] }
+ * @returns {Promise<void>}
+ */
+export async function saveTokens(tokensPath, data) {
+  await writeJsonAtomic(tokensPath, data);
+}
+
+/**
+ * Load local users (password hashes) from disk.
+ * Like tokens, only a missing file means "no users".
+ *
+ * @param {string} usersPath - Path to users file
+ * @returns {Promise<Object>} Users object { users: [] }
+ * @throws {Error} If the file exists but cannot be read or parsed
+ */
+export async function loadUsers(usersPath) {
+  const data = await readJsonIfExists(usersPath);
+  if (data === null) {
+    return { users: [] };
+  }
+  if (!Array.isArray(data?.users)) {
+    throw new Error(`${usersPath}: missing "users" array`);
+  }
+  return { users: data.users };
+}
+
+/**
+ * Save local users to disk atomically.
+ *
+ * @param {string} usersPath - Path to users file
+ * @param {Object} data - Users object { users: [] }
+ * @returns {Promise<void>}
+ */
+export async function saveUsers(usersPath, data) {
+  await writeJsonAtomic(usersPath, data);
+}
+
+/**
+ * Append one entry to the audit log (JSON lines, never rewritten).
+ *
+ * @param {string} auditPath - Path to audit log
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<void>}
+ */
+export async function appendAuditEntry(auditPath, entry) {
+  await fsp.mkdir(path.dirname(auditPath), { recursive: true });
+  await fsp.appendFile(auditPath, `${JSON.stringify(entry)}\n`, 'utf8');
+}
+
+/**
+ * Read the audit log, oldest first (unreadable lines are skipped).
+ *
+ * @param {string} auditPath - Path to audit log
+ * @returns {Promise<Array<Object>>} Entries
+ */
+export async function loadAuditEntries(auditPath) {
+  let raw;
+  try {
+    raw = await fsp.readFile(auditPath, 'utf8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partial line (crash during append)
+    }
+  }
+  return entries;
+}
+
+/**
+ * List stored config versions.
+ *
+ * @param {string} versionsDir - Directory holding config snapshots
+ * @returns {Promise<Array<number>>} Version numbers, oldest first
+ */
+export async function listConfigVersions(versionsDir) {
+  let names;
+  try {
+    names = await fsp.readdir(versionsDir);
+  } catch {
+    return [];
+  }
+  return names
+    .map((name) => /^(\d+)\.json$/.exec(name))
+    .filter(Boolean)
+    .map((m) => Number(m[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Load one config snapshot.
+ *
+ * @param {string} versionsDir - Directory holding config snapshots
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Snapshot { version, savedAt, note, config } or null if missing/corrupt
+ */
+export async function loadConfigVersion(versionsDir, version) {
+  try {
+    const raw = await fsp.readFile(path.join(versionsDir, `${version}.json`), 'utf8');
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save one config snapshot atomically.
+ *
+ * @param {string} versionsDir - Directory holding config snapshots
+ * @param {Object} snapshot - Snapshot { version, savedAt, note, config }
+ * @returns {Promise<void>}
+ */
+export async function saveConfigVersion(versionsDir, snapshot) {
+  await writeJsonAtomic(path.join(versionsDir, `${snapshot.version}.json`), snapshot);
+}
 
-  const tmp = `${configPath}.tmp`;
-  const data = JSON.stringify(config, null, 2);
+/**
+ * Delete one config snapshot (no-op if missing).
+ *
+ * @param {string} versionsDir - Directory holding config snapshots
+ * @param {number} version - Version number
+ * @returns {Promise<void>}
+ */
+export async function removeConfigVersion(versionsDir, version) {
+  await fsp.rm(path.join(versionsDir, `${version}.json`), { force: true });
+}
 
-  const fh = await fsp.open(tmp, 'w');
+/**
+ * Read a JSON file, null if it does not exist.
+ *
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object|null>}
+ * @throws {Error} If the file cannot be read or is not valid JSON
+ */
+async function readJsonIfExists(filePath) {
+  let raw;
+  try {
+    raw = await fsp.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
   try {
-    await fh.writeFile(data, 'utf8');
-    await fh.sync();
-  } finally {
-    await fh.close();
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${filePath}: invalid JSON (${err.message})`);
   }
+}
+
+function historyFile(historyDir, id) {
+  return path.join(historyDir, `${String(id).replace(/[^a-zA-Z0-9._-]/g, '-')}.json`);
+}
+
+// Pending write per destination path (writes to one file run in call order)
+const writeQueues = new Map();
+
+/**
+ * Write JSON to disk atomically (temp file + fsync + rename).
+ * Writes to the same file are serialized in call order, and each uses its
+ * own temp file, so overlapping saves never leave a mixed or truncated file.
+ *
+ * @param {string} filePath - Destination path
+ * @param {Object} value - Value to serialize (now: later changes are not written)
+ * @returns {Promise<void>}
+ */
+function writeJsonAtomic(filePath, value) {
+  const data = JSON.stringify(value, null, 2);
+  const previous = writeQueues.get(filePath) ?? Promise.resolve();
+  const write = previous.catch(() => {}).then(() => writeFileAtomic(filePath, data));
+  writeQueues.set(filePath, write);
+  write.catch(() => {}).finally(() => {
+    if (writeQueues.get(filePath) === write) writeQueues.delete(filePath);
+  });
+  return write;
+}
 
-  await fsp.rename(tmp, configPath);
+async function writeFileAtomic(filePath, data) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tmp = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  try {
+    const fh = await fsp.open(tmp, 'w');
+    try {
+      await fh.writeFile(data, 'utf8');
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+    await fsp.rename(tmp, filePath);
+  } catch (err) {
+    await fsp.rm(tmp, { force: true });
+    throw err;
+  }
 }
@@ -0,0 +1,406 @@
+/**
+ * Users Module - Local accounts and web UI sessions
+ *
+ * Users live in `users.json` under DATA_DIR with scrypt password hashes and
+ * the same roles/watcher scopes as API tokens (see auth.js). A login opens a
+ * session, identified by an HTTP-only cookie and paired with a CSRF token the
+ * UI echoes in `X-CSRF-Token` on mutating requests.
+ *
+ * OIDC logins (sso.js) get the same sessions, holding the external identity.
+ * Sessions are kept in memory: restarting the manager logs everyone out.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { nanoid } from 'nanoid';
+import * as Storage from './storage.js';
+import { ROLES } from './auth.js';
+
+export const SESSION_COOKIE = 'gam_session';
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_RE = /^[a-zA-Z0-9._@-]{1,64}$/;
+
+const MAX_LOGIN_FAILURES = 5;            // Per username and client IP...
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60000;  // ...within this window
+const MAX_TRACKED_FAILURES = 10000;     // Oldest throttling entries dropped past this
+
+// ============================================================================
+// PASSWORDS
+// ============================================================================
+
+/**
+ * Hash a password ("scrypt$N$r$p$salt$hash", base64 salt/hash).
+ *
+ * @param {string} password - Clear password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash.
+ *
+ * @param {string} password - Clear password
+ * @param {string} stored - hashPassword() result
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Validate a user payload (full user, after merging an update).
+ *
+ * @param {Object} input - { username, role, watchers?, password? }
+ * @param {boolean} passwordRequired - Creation (password mandatory)
+ * @throws {Error} If a field is invalid
+ */
+export function validateUser(input, passwordRequired) {
+  if (typeof input.username !== 'string' || !USERNAME_RE.test(input.username)) {
+    throw new Error('Invalid field: username (letters, digits, . _ @ -)');
+  }
+  if (!ROLES.includes(input.role)) {
+    throw new Error(`Invalid field: role (${ROLES.join('|')})`);
+  }
+  if (input.watchers !== undefined && input.watchers !== null) {
+    if (!Array.isArray(input.watchers) || !input.watchers.every((id) => typeof id === 'string' && id)) {
+      throw new Error('Invalid field: watchers');
+    }
+    if (input.role === 'admin' && input.watchers.length) {
+      throw new Error('Admin users cannot be scoped to watchers');
+    }
+  }
+  if (passwordRequired || input.password !== undefined) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+}
+
+/**
+ * Read one cookie from a Cookie header.
+ *
+ * @param {string} [header] - Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+export function readCookie(header, name) {
+  for (const part of String(header ?? '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx !== -1 && part.slice(0, idx).trim() === name) {
+      return part.slice(idx + 1).trim();
+    }
+  }
+  return null;
+}
+
+export class UserStore {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.path - Users file (DATA_DIR/users.json)
+   * @param {number} [opts.sessionTtlHours=168] - Session lifetime since login
+   * @param {Function} [opts.otherAdmins] - () => boolean, an admin can still sign in otherwise (tokens)
+   */
+  constructor({ path, sessionTtlHours = 168, otherAdmins = () => false }) {
+    this.path = path;
+    this.sessionTtlMs = sessionTtlHours * 3600 * 1000;
+    this.otherAdmins = otherAdmins;
+    this.users = [];              // { id, username, role, watchers, passwordHash, createdAt, lastLoginAt }
+    this.sessions = new Map();    // sid -> { userId | principal (SSO), csrf, expiresAt }
+    this.loginFailures = new Map(); // "username|ip" -> [timestamps]
+    this.dummyHash = null;          // Checked for unknown usernames (same timing)
+  }
+
+  /**
+   * Load users from disk.
+   */
+  async load() {
+    this.users = (await Storage.loadUsers(this.path)).users;
+  }
+
+  /**
+   * Persist users now.
+   */
+  async save() {
+    await Storage.saveUsers(this.path, { users: this.users });
+  }
+
+  /**
+   * Whether any local user exists (otherwise the UI offers first-run setup).
+   *
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.users.length > 0;
+  }
+
+  /**
+   * Whether an admin user exists.
+   *
+   * @returns {boolean}
+   */
+  hasAdmin() {
+    return this.users.some((u) => u.role === 'admin');
+  }
+
+  // ==========================================================================
+  // SESSIONS
+  // ==========================================================================
+
+  /**
+   * Check credentials and open a session.
+   *
+   * @param {string} username - Username
+   * @param {string} password - Clear password
+   * @param {string} ip - Client IP (failed attempts are throttled per username and IP,
+   *   so a shared reverse-proxy address does not lock out every user)
+   * @returns {Promise<Object>} { sid, csrf, principal }
+   * @throws {Error} On bad credentials or too many failures (`status` 401/429)
+   */
+  async login(username, password, ip) {
+    const now = Date.now();
+    this.pruneLoginFailures();
+    const key = `${String(username)}|${ip}`;
+    const failures = this.loginFailures.get(key) ?? [];
+    if (failures.length >= MAX_LOGIN_FAILURES) {
+      throw Object.assign(new Error('Too many failed logins, try again later'), { status: 429 });
+    }
+
+    // Unknown usernames still pay for a scrypt check: timing reveals nothing
+    const user = this.users.find((u) => u.username === username);
+    this.dummyHash ??= await hashPassword(crypto.randomBytes(16).toString('hex'));
+    const valid = await verifyPassword(String(password ?? ''), user?.passwordHash ?? this.dummyHash);
+    if (!user || typeof password !== 'string' || !valid) {
+      failures.push(now);
+      this.loginFailures.delete(key);  // Re-insert: the Map stays ordered by last failure
+      this.loginFailures.set(key, failures);
+      throw Object.assign(new Error('Invalid username or password'), { status: 401 });
+    }
+    this.loginFailures.delete(key);
+
+    user.lastLoginAt = new Date(now).toISOString();
+    await this.save();
+    return this.openSession(user);
+  }
+
+  /**
+   * Open a session for a user (login, first-run setup).
+   *
+   * @param {Object} user - Stored user
+   * @returns {Object} { sid, csrf, principal }
+   */
+  openSession(user) {
+    return this.createSession({ userId: user.id }, this.principal(user));
+  }
+
+  /**
+   * Open a session for an identity from an external provider (OIDC).
+   *
+   * @param {Object} principal - { id, kind, name, role, watchers }
+   * @returns {Object} { sid, csrf, principal }
+   */
+  openExternalSession(principal) {
+    return this.createSession({ principal }, principal);
+  }
+
+  createSession(owner, principal) {
+    this.pruneSessions();
+    const sid = crypto.randomBytes(32).toString('base64url');
+    const csrf = crypto.randomBytes(24).toString('base64url');
+    this.sessions.set(sid, { ...owner, csrf, expiresAt: Date.now() + this.sessionTtlMs });
+    return { sid, csrf, principal };
+  }
+
+  /**
+   * Session of a Cookie header.
+   *
+   * @param {string} [cookieHeader] - Cookie header
+   * @returns {Object|null} { sid, csrf, principal } or null if missing/expired
+   */
+  session(cookieHeader) {
+    const sid = readCookie(cookieHeader, SESSION_COOKIE);
+    const session = sid ? this.sessions.get(sid) : null;
+    if (!session) {
+      return null;
+    }
+    const user = session.principal ? null : this.users.find((u) => u.id === session.userId);
+    if ((!user && !session.principal) || session.expiresAt < Date.now()) {
+      this.sessions.delete(sid);
+      return null;
+    }
+    return { sid, csrf: session.csrf, principal: session.principal ?? this.principal(user) };
+  }
+
+  /**
+   * Close a session.
+   *
+   * @param {string} sid - Session ID
+   */
+  logout(sid) {
+    this.sessions.delete(sid);
+  }
+
+  /**
+   * Drop expired sessions.
+   */
+  pruneSessions() {
+    const now = Date.now();
+    for (const [sid, s] of this.sessions) {
+      if (s.expiresAt < now) this.sessions.delete(sid);
+    }
+  }
+
+  /**
+   * Forget login failures past the throttling window, and the oldest ones
+   * when too many sources are tracked.
+   */
+  pruneLoginFailures() {
+    const now = Date.now();
+    for (const [key, times] of this.loginFailures) {
+      const recent = times.filter((t) => now - t < LOGIN_FAILURE_WINDOW_MS);
+      if (recent.length) {
+        this.loginFailures.set(key, recent);
+      } else {
+        this.loginFailures.delete(key);
+      }
+    }
+    for (const key of this.loginFailures.keys()) {
+      if (this.loginFailures.size <= MAX_TRACKED_FAILURES) break;
+      this.loginFailures.delete(key);
+    }
+  }
+
+  /**
+   * Request principal of a user (same shape as API token principals).
+   */
+  principal(user) {
+    return { id: user.id, kind: 'user', name: user.username, role: user.role, watchers: user.watchers ?? null };
+  }
+
+  // ==========================================================================
+  // USER CRUD
+  // ==========================================================================
+
+  /**
+   * Users without their password hash.
+   *
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.users.map(({ passwordHash, ...u }) => u);
+  }
+
+  /**
+   * Create a user.
+   *
+   * @param {Object} input - { username, password, role, watchers? }
+   * @returns {Promise<Object>} Stored user (with hash; use describe() for clients)
+   */
+  async create(input) {
+    validateUser(input, true);
+    if (this.users.some((u) => u.username === input.username)) {
+      throw new Error(`User already exists: ${input.username}`);
+    }
+    const user = {
+      id: nanoid(8),
+      username: input.username,
+      role: input.role,
+      watchers: input.watchers?.length ? [...input.watchers] : null,
+      passwordHash: await hashPassword(input.password),
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+    this.users.push(user);
+    await this.save();
+    return user;
+  }
+
+  /**
+   * Change a user's role, scope or password (a new password closes its
+   * sessions; role/scope changes apply to open sessions right away).
+   *
+   * @param {string} id - User ID
+   * @param {Object} patch - { role?, watchers?, password? }
+   * @returns {Promise<Object>} Stored user
+   */
+  async update(id, patch) {
+    const user = this.users.find((u) => u.id === id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if ('username' in patch && patch.username !== user.username) {
+      throw new Error('Usernames cannot be changed');
+    }
+    validateUser({ username: user.username, role: user.role, watchers: user.watchers, ...patch }, false);
+    if ('role' in patch && patch.role !== 'admin') {
+      this.assertAdminRemains(id);
+    }
+
+    if ('role' in patch) user.role = patch.role;
+    if ('watchers' in patch) user.watchers = patch.watchers?.length ? [...patch.watchers] : null;
+    if (patch.password !== undefined) {
+      user.passwordHash = await hashPassword(patch.password);
+      this.closeSessions(id);
+    }
+    await this.save();
+    return user;
+  }
+
+  /**
+   * Delete a user and its sessions.
+   *
+   * @param {string} id - User ID
+   */
+  async remove(id) {
+    if (!this.users.some((u) => u.id === id)) {
+      throw new Error('User not found');
+    }
+    this.assertAdminRemains(id);
+    this.users = this.users.filter((u) => u.id !== id);
+    this.closeSessions(id);
+    await this.save();
+  }
+
+  /**
+   * Client view of a user (no password hash).
+   */
+  describe(user) {
+    const { passwordHash, ...described } = user;
+    return described;
+  }
+
+  /**
+   * Refuse to lose the last admin user unless an admin can still sign in
+   * with a token.
+   *
+   * @param {string} id - User being demoted or removed
+   * @throws {Error} If no other admin exists
+   */
+  assertAdminRemains(id) {
+    if (!this.otherAdmins() && !this.users.some((u) => u.id !== id && u.role === 'admin')) {
+      throw new Error('At least one admin user is required');
+    }
+  }
+
+  closeSessions(userId) {
+    for (const [sid, s] of this.sessions) {
+      if (s.userId === userId) this.sessions.delete(sid);
+    }
+  }
+}
@@ -0,0 +1,450 @@
+/**
+ * Wake Proxy Module - Wake-on-connect listener
+ *
+ * Holds a game's public port while its container is stopped and starts the
+ * container on the first incoming TCP connection or UDP packet.
+ *
+ * Two hand-off modes:
+ * - release: the port is freed right before the container starts so the game
+ *   can bind it itself; the first client is expected to retry/reconnect.
+ * - forward: the proxy keeps the port and relays traffic to the container
+ *   (container IP + target port) once tickOne sees the server answering.
+ */
+
+import net from 'net';
+import dgram from 'dgram';
+
+const UDP_QUEUE_MAX = 64;           // Packets buffered per client while waking
+const UDP_SESSION_IDLE_SEC = 120;   // Forwarded UDP sessions idle timeout
+const DEFAULT_WAKE_TIMEOUT_SEC = 300;
+
+export const WAKE_PROTOCOLS = ['tcp', 'udp', 'both'];
+export const WAKE_MODES = ['release', 'forward'];
+
+export class WakeProxy {
+  /**
+   * @param {Object} watcher - Watcher config (wakePort, wakeProtocol, wakeMode, ...)
+   * @param {Object} deps
+   * @param {Function} deps.startContainer - async () => void, starts the target container
+   * @param {Function} deps.resolveUpstream - async () => { host, port } | null
+   * @param {Function} deps.emitEvent - Event emitter function
+   */
+  constructor(watcher, { startContainer, resolveUpstream, emitEvent }) {
+    this.watcher = watcher;
+    this.port = Number(watcher.wakePort);
+    this.protocol = watcher.wakeProtocol ?? 'tcp';
+    this.mode = watcher.wakeMode ?? 'release';
+    this.wakeTimeoutSec = Number(watcher.wakeTimeoutSec ?? DEFAULT_WAKE_TIMEOUT_SEC);
+    this.startContainer = startContainer;
+    this.resolveUpstream = resolveUpstream;
+    this.emitEvent = emitEvent;
+
+    this.tcpServer = null;
+    this.udpServer = null;
+    this.ready = false;        // Game answers queries (set by tickOne)
+    this.running = false;      // Container is running (set by tickOne)
+    this.waking = false;       // Start requested, waiting for ready
+    this.wakeTimer = null;
+    this.pendingSockets = new Set();
+    this.udpSessions = new Map(); // "addr:port" -> { socket, queue, lastSeen }
+    this.sweepTimer = null;
+    this.closed = false;
+  }
+
+  get listening() {
+    return !!(this.tcpServer || this.udpServer);
+  }
+
+  // ==========================================================================
+  // STATE UPDATES (called from tickOne)
+  // ==========================================================================
+
+  /**
+   * Feed the latest container/query state observed by tickOne.
+   *
+   * @param {Object} status
+   * @param {boolean} status.running - Container is running
+   * @param {boolean} [status.ready] - Game server answered a query this tick
+   */
+  async update({ running, ready }) {
+    if (this.closed) return;
+
+    this.running = running;
+    if (!running) {
+      this.ready = false;
+    } else if (typeof ready === 'boolean') {
+      this.ready = ready;
+    }
+
+    if (this.mode === 'forward') {
+      if (!this.listening) {
+        await this.open();
+      }
+      if (this.ready) {
+        this.finishWake();
+        this.flushPending();
+      }
+      return;
+    }
+
+    // Release mode: hold the port only while the container is down
+    if (running) {
+      if (this.ready) {
+        this.finishWake();
+      }
+      if (this.listening) {
+        await this.closeListeners();
+      }
+    } else if (!this.waking && !this.listening) {
+      await this.open();
+    }
+  }
+
+  // ==========================================================================
+  // LISTENERS
+  // ==========================================================================
+
+  /**
+   * Bind the configured TCP and/or UDP listeners (idempotent).
+   */
+  async open() {
+    if (this.closed || this.listening) return;
+
+    try {
+      if (this.protocol === 'tcp' || this.protocol === 'both') {
+        this.tcpServer = await this.listenTcp();
+      }
+      if (this.protocol === 'udp' || this.protocol === 'both') {
+        this.udpServer = await this.listenUdp();
+      }
+      this.emitEvent({
+        type: 'info',
+        msg: `[${this.watcher.name}] wake-on-connect listening on ${this.protocol}/${this.port} (${this.mode})`
+      });
+    } catch (err) {
+      this.emitEvent({
+        type: 'error',
+        msg: `[${this.watcher.name}] wake-on-connect bind ${this.protocol}/${this.port} failed: ${err.message}`
+      });
+      await this.closeListeners();
+    }
+  }
+
+  listenTcp() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this.onTcpConnection(socket));
+      server.once('error', reject);
+      server.listen(this.port, () => {
+        server.off('error', reject);
+        server.on('error', (err) => {
+          this.emitEvent({ type: 'warn', msg: `[${this.watcher.name}] wake tcp error: ${err.message}` });
+        });
+        resolve(server);
+      });
+    });
+  }
+
+  listenUdp() {
+    return new Promise((resolve, reject) => {
+      const server = dgram.createSocket('udp4');
+      server.once('error', reject);
+      server.on('message', (msg, rinfo) => this.onUdpMessage(msg, rinfo));
+      server.bind(this.port, () => {
+        server.off('error', reject);
+        server.on('error', (err) => {
+          this.emitEvent({ type: 'warn', msg: `[${this.watcher.name}] wake udp error: ${err.message}` });
+        });
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Unbind listeners and drop any held client traffic.
+   */
+  async closeListeners() {
+    const tcp = this.tcpServer;
+    const udp = this.udpServer;
+    this.tcpServer = null;
+    this.udpServer = null;
+
+    this.dropPending();
+    for (const session of this.udpSessions.values()) {
+      session.socket.close();
+    }
+    this.udpSessions.clear();
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    if (tcp) {
+      await new Promise((resolve) => tcp.close(() => resolve()));
+    }
+    if (udp) {
+      await new Promise((resolve) => udp.close(() => resolve()));
+    }
+  }
+
+  /**
+   * Permanently shut the proxy down (watcher stopped/removed).
+   */
+  async close() {
+    this.closed = true;
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+    await this.closeListeners();
+  }
+
+  // ==========================================================================
+  // WAKE
+  // ==========================================================================
+
+  /**
+   * Start the target container once per wake cycle.
+   *
+   * @param {string} origin - Description of the triggering client (for logs)
+   */
+  async wake(origin) {
+    if (this.waking || this.running) return;
+    this.waking = true;
+
+    this.emitEvent({
+      type: 'info',
+      kind: 'wake',
+      watcherId: this.watcher.id,
+      msg: `[${this.watcher.name}] wake-on-connect: starting ${this.watcher.targetContainer} (${origin})`
+    });
+
+    // Armed first: it also ends a wake whose steps below throw
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      if (!this.waking) return;
+      this.emitEvent({
+        type: 'warn',
+        msg: `[${this.watcher.name}] wake-on-connect: server not ready after ${this.wakeTimeoutSec}s`
+      });
+      this.waking = false;
+      this.dropPending();
+    }, this.wakeTimeoutSec * 1000);
+
+    if (this.mode === 'release') {
+      // The game needs the port for itself
+      await this.closeListeners();
+    }
+
+    try {
+      await this.startContainer();
+    } catch (err) {
+      this.emitEvent({
+        type: 'error',
+        msg: `[${this.watcher.name}] wake-on-connect start failed: ${err.message}`
+      });
+      this.finishWake();
+      this.dropPending();
+      if (this.mode === 'release') {
+        await this.open();
+      }
+    }
+  }
+
+  finishWake() {
+    this.waking = false;
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+  }
+
+  /**
+   * Rejection handler for fire-and-forget tasks started from socket events:
+   * an unhandled rejection would stop the whole manager.
+   *
+   * @param {string} what - Task, for the warning
+   * @returns {Function} (err) => void
+   */
+  warnOnFailure(what) {
+    return (err) => this.emitEvent({
+      type: 'warn',
+      msg: `[${this.watcher.name}] wake-on-connect: ${what} failed: ${err.message}`
+    });
+  }
+
+  // ==========================================================================
+  // TCP
+  // ==========================================================================
+
+  onTcpConnection(socket) {
+    socket.on('error', () => {});
+    const origin = `tcp from ${socket.remoteAddress}`;
+
+    if (this.mode === 'release') {
+      socket.destroy();
+      this.wake(origin).catch(this.warnOnFailure('wake'));
+      return;
+    }
+
+    if (this.ready) {
+      this.forwardTcp(socket).catch(this.warnOnFailure('forward'));
+      return;
+    }
+
+    socket.pause();
+    this.pendingSockets.add(socket);
+    socket.once('close', () => this.pendingSockets.delete(socket));
+    this.wake(origin).catch(this.warnOnFailure('wake'));
+  }
+
+  async forwardTcp(socket) {
+    const upstream = await this.resolveUpstream().catch(() => null);
+    if (!upstream || socket.destroyed) {
+      socket.destroy();
+      return;
+    }
+
+    const remote = net.connect(upstream.port, upstream.host);
+    remote.on('error', () => socket.destroy());
+    socket.on('error', () => remote.destroy());
+    socket.on('close', () => remote.destroy());
+    remote.on('close', () => socket.destroy());
+    socket.pipe(remote);
+    remote.pipe(socket);
+  }
+
+  // ==========================================================================
+  // UDP
+  // ==========================================================================
+
+  onUdpMessage(msg, rinfo) {
+    const origin = `udp from ${rinfo.address}`;
+
+    if (this.mode === 'release') {
+      this.wake(origin).catch(this.warnOnFailure('wake'));
+      return;
+    }
+
+    const session = this.getUdpSession(rinfo);
+    session.lastSeen = Date.now();
+
+    if (this.ready && session.upstream) {
+      try {
+        session.socket.send(msg, session.upstream.port, session.upstream.host);
+      } catch (err) {
+        this.warnOnFailure('forward')(err);
+      }
+      return;
+    }
+
+    if (session.queue.length < UDP_QUEUE_MAX) {
+      session.queue.push(msg);
+    }
+    if (this.ready) {
+      this.flushUdpSession(session).catch(this.warnOnFailure('forward'));
+    } else {
+      this.wake(origin).catch(this.warnOnFailure('wake'));
+    }
+  }
+
+  getUdpSession(rinfo) {
+    const key = `${rinfo.address}:${rinfo.port}`;
+    let session = this.udpSessions.get(key);
+    if (session) return session;
+
+    const socket = dgram.createSocket('udp4');
+    socket.on('error', () => {});
+    socket.on('message', (reply) => {
+      this.udpServer?.send(reply, rinfo.port, rinfo.address);
+    });
+    session = { socket, queue: [], upstream: null, lastSeen: Date.now() };
+    this.udpSessions.set(key, session);
+
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweepUdpSessions(), 30000);
+    }
+    return session;
+  }
+
+  async flushUdpSession(session) {
+    if (!session.upstream) {
+      session.upstream = await this.resolveUpstream().catch(() => null);
+      if (!session.upstream) return;
+    }
+    const queue = session.queue;
+    session.queue = [];
+    for (const msg of queue) {
+      session.socket.send(msg, session.upstream.port, session.upstream.host);
+    }
+  }
+
+  sweepUdpSessions() {
+    const cutoff = Date.now() - UDP_SESSION_IDLE_SEC * 1000;
+    for (const [key, session] of this.udpSessions) {
+      if (session.lastSeen < cutoff) {
+        session.socket.close();
+        this.udpSessions.delete(key);
+      }
+    }
+  }
+
+  // ==========================================================================
+  // PENDING TRAFFIC
+  // ==========================================================================
+
+  flushPending() {
+    for (const socket of this.pendingSockets) {
+      this.pendingSockets.delete(socket);
+      this.forwardTcp(socket).catch(this.warnOnFailure('forward'));
+    }
+    for (const session of this.udpSessions.values()) {
+      if (session.queue.length) {
+        this.flushUdpSession(session).catch(this.warnOnFailure('forward'));
+      }
+    }
+  }
+
+  dropPending() {
+    for (const socket of this.pendingSockets) {
+      socket.destroy();
+    }
+    this.pendingSockets.clear();
+    for (const session of this.udpSessions.values()) {
+      session.queue = [];
+    }
+  }
+}
+
+/**
+ * Validate wake-on-connect fields of a watcher payload.
+ *
+ * @param {Object} input - Watcher payload
+ * @throws {Error} If wake settings are incomplete or invalid
+ */
+export function validateWakeConfig(input) {
+  if (!input.wakeOnConnect) {
+    return;
+  }
+  const port = Number(input.wakePort);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error('Invalid field: wakePort');
+  }
+  if (input.wakeProtocol && !WAKE_PROTOCOLS.includes(input.wakeProtocol)) {
+    throw new Error('Invalid field: wakeProtocol');
+  }
+  if (input.wakeMode && !WAKE_MODES.includes(input.wakeMode)) {
+    throw new Error('Invalid field: wakeMode');
+  }
+  if (input.wakeTargetPort != null) {
+    const target = Number(input.wakeTargetPort);
+    if (!Number.isInteger(target) || target < 1 || target > 65535) {
+      throw new Error('Invalid field: wakeTargetPort');
+    }
+  }
+  if (input.wakeTimeoutSec != null) {
+    const timeout = Number(input.wakeTimeoutSec);
+    if (!Number.isInteger(timeout) || timeout < 1) {
+      throw new Error('Invalid field: wakeTimeoutSec');
+    }
+  }
+}
@@ -4,28 +4,39 @@
  * Handles:
  * - Polling game servers for player count (tickOne)
  * - Managing polling intervals (startWatcher, stopWatcher)
- * - Graceful server shutdown after inactivity
- * - Type-specific queries (GameDig vs Satisfactory HTTPS API)
+ * - Graceful server shutdown after inactivity (with optional warning phase)
+ * - Type-specific queries through the provider registry (providers/)
+ * - Feeding container/query state to the wake-on-connect proxy
+ * - Resetting state on container stops seen by the Docker event stream
  */
 
-import Gamedig from 'gamedig';
-import { pollSatisfactory } from './satisfactory.js';
+import { getProvider, releaseProviders } from './providers/index.js';
+import { measureTraffic, isTrafficActive } from './providers/traffic.js';
+import { execInContainer } from './docker.js';
+import { scheduleStatus } from './schedule.js';
 
 /**
  * Poll a single watcher once and update its state.
  *
  * Handles:
  * - Stopping containers if inactivity reached
- * - Type-specific queries (GameDig vs Satisfactory)
+ * - Type-specific queries (provider registry)
  * - Graceful failure on query errors
  *
+ * Lifecycle events carry `kind` and `watcherId` so subscribers (history,
+ * notifications, ...) can react without parsing messages:
+ * container-missing, container-up, container-down, players, stopping-soon,
+ * stop-cancelled, auto-stop, scheduled-start, scheduled-stop, query-failed,
+ * query-alert, query-restart, query-recovered.
+ *
  * @param {Object} watcher - Watcher config (id, name, gamedigType, ...)
  * @param {Object} container - Docker container object or null
  * @param {Map} watchers - Runtime state map (id -> { timer, emptyMinutes, ... })
  * @param {Object} docker - Dockerode instance
  * @param {Function} resolveContainerIPWithCache - Function to resolve IP
- * @param {Function} stopGracefully - Function to stop container
+ * @param {Function} stopGracefully - Function to stop container (or its group)
  * @param {Function} emitEvent - Event emitter function
+ * @param {Function} [startContainer] - Function to start container (or its group)
  * @returns {Promise<void>}
  */
 export async function tickOne(
@@ -35,10 +46,26 @@ export async function tickOne(
   docker,
   resolveContainerIPWithCache,
   stopGracefully,
-  emitEvent
+  emitEvent,
+  startContainer = (c) => c.start()
 ) {
+  const state = watchers.get(watcher.id);
+  const watcherId = watcher.id;
+
   if (!container) {
-    emitEvent({ type: 'warn', msg: `[${watcher.name}] Container ${watcher.targetContainer} not found` });
+    if (state) {
+      state.missingTicks += 1;
+      state.containerRunning = false;
+      state.lastQueryOk = false;
+    }
+    emitEvent({
+      type: 'warn',
+      kind: 'container-missing',
+      watcherId,
+      ticks: state?.missingTicks ?? 1,
+      msg: `[${watcher.name}] Container ${watcher.targetContainer} not found`
+    });
+    await state?.proxy?.update({ running: false });
     return;
   }
 
@@ -51,26 +78,52 @@ export async function tickOne(
     isContainerRunning = false;
   }
 
-  const state = watchers.get(watcher.id);
+  state.missingTicks = 0;
+
+  // Report container up/down transitions (not the first observation)
+  const wasRunning = state.containerRunning;
+  state.containerRunning = isContainerRunning;
+  state.lastQueryOk = false;
+  state.lastQueryMs = null;
+  if (wasRunning !== null && wasRunning !== isContainerRunning) {
+    emitEvent({
+      type: 'info',
+      kind: isContainerRunning ? 'container-up' : 'container-down',
+      watcherId,
+      msg: `[${watcher.name}] container ${isContainerRunning ? 'started' : 'stopped'}`
+    });
+  }
+
+  // Time-based rules (keep-alive / start windows, hard stops)
+  let schedule = { keepAlive: false, startWindow: null, nextHardStop: null };
+  try {
+    schedule = scheduleStatus(watcher);
+  } catch (err) {
+    emitEvent({ type: 'warn', msg: `[${watcher.name}] schedule ignored: ${err.message}` });
+  }
+  if (await applySchedule(watcher, container, state, schedule, stopGracefully, emitEvent, startContainer)) {
+    return;
+  }
 
   if (!isContainerRunning) {
     // Reset counters if target is stopped
     state.emptyMinutes = 0;
     state.lastPlayers = -1;
+    state.queryFailures = 0;
+    state.warned = false;
+    await state.proxy?.update({ running: false });
     return;
   }
 
+  // Query player count through the game type's provider (only the query
+  // itself counts as a query failure, not what the poll does afterwards)
+  let queryStart = 0;
+  let result;
   try {
-    let players = 0;
-
-    // Query player count based on game type
-    if (watcher.gamedigType === 'satisfactory') {
-      // Satisfactory: use custom HTTPS API
-      const result = await pollSatisfactory(watcher);
-      players = result.players;
-    } else {
-      // Other games: use GameDig
-      const ip = await resolveContainerIPWithCache(watcher.targetContainer);
+    const provider = getProvider(watcher.gamedigType);
+    let ip = null;
+    if (provider.usesContainerIP(watcher)) {
+      ip = await resolveContainerIPWithCache(watcher.targetContainer);
       if (!ip) {
         emitEvent({
           type: 'warn',
@@ -78,42 +131,391 @@ export async function tickOne(
         });
         return;
       }
-      const result = await Gamedig.query({
-        type: watcher.gamedigType,
-        host: ip,
-        port: Number(watcher.queryPort)
-      });
-      players = Array.isArray(result.players)
-        ? result.players.length
-        : typeof result.numplayers === 'number'
-          ? result.numplayers
-          : 0;
     }
+    queryStart = Date.now();
+    result = await provider.query(watcher, { ip, container });
+  } catch (err) {
+    // Query failed: no penalty unless the failure policy says otherwise
+    if (queryStart) {
+      state.lastQueryMs = Date.now() - queryStart;
+    }
+    state.queryFailures += 1;
+    await state.proxy?.update({ running: true });
+    await handleQueryFailure(watcher, container, state, schedule, stopGracefully, emitEvent);
+    return;
+  }
+  const players = Number(result.players) || 0;
+
+  state.lastQueryOk = true;
+  state.lastQueryMs = Date.now() - queryStart;
+  if (state.queryFailures > 0) {
+    emitEvent({
+      type: 'info',
+      kind: 'query-recovered',
+      watcherId,
+      failures: state.queryFailures,
+      msg: `[${watcher.name}] query recovered after ${state.queryFailures} failure(s)`
+    });
+  }
+  state.queryFailures = 0;
+  state.serverState = result.state ?? null;
+  state.serverMetadata = result.metadata ?? {};
+
+  // Server answered: let the wake proxy hand traffic off
+  await state.proxy?.update({ running: true, ready: true });
+
+  // Log player count changes
+  if (players !== state.lastPlayers) {
+    emitEvent({
+      type: 'info',
+      kind: 'players',
+      watcherId,
+      players,
+      previous: state.lastPlayers,
+      msg: `[${watcher.name}] players: ${players}`
+    });
+    state.lastPlayers = players;
+  }
+
+  await trackInactivity(watcher, container, state, players === 0, 'player joined', schedule, stopGracefully, emitEvent);
+}
+
+/**
+ * Apply the watcher's query-failure policy for the current failure streak:
+ * - queryFailurePolicy.alertAfter: raise an error event (once per streak)
+ * - queryFailurePolicy.restartAfter: restart the container (once per streak)
+ * - trafficFallbackAfter: network traffic decides activity
+ * - queryFailurePolicy.emptyAfter: count failed polls as 0 players
+ *
+ * @param {Object} watcher - Watcher config
+ * @param {Object} container - Docker container object
+ * @param {Object} state - Runtime state (queryFailures already incremented)
+ * @param {Object} schedule - Result of scheduleStatus()
+ * @param {Function} stopGracefully - Function to stop container
+ * @param {Function} emitEvent - Event emitter function
+ * @returns {Promise<void>}
+ */
+async function handleQueryFailure(watcher, container, state, schedule, stopGracefully, emitEvent) {
+  const watcherId = watcher.id;
+  const failures = state.queryFailures;
+  const policy = watcher.queryFailurePolicy ?? {};
+  const reached = (n) => Number(n) > 0 && failures >= Number(n);
+
+  const useTraffic = reached(watcher.trafficFallbackAfter);
+  const countEmpty = reached(policy.emptyAfter);
+  let penalty = 'no penalty';
+  if (useTraffic) {
+    penalty = 'using network traffic';
+  } else if (countEmpty) {
+    penalty = 'counted as empty';
+  }
+  emitEvent({
+    type: 'warn',
+    kind: 'query-failed',
+    watcherId,
+    failures,
+    msg: `[${watcher.name}] query unavailable (${penalty})`
+  });
+
+  if (Number(policy.alertAfter) > 0 && failures === Number(policy.alertAfter)) {
+    emitEvent({
+      type: 'error',
+      kind: 'query-alert',
+      watcherId,
+      failures,
+      msg: `[${watcher.name}] ${failures} consecutive queries failed`
+    });
+  }
 
-    // Log player count changes
-    if (players !== state.lastPlayers) {
-      emitEvent({ type: 'info', msg: `[${watcher.name}] players: ${players}` });
-      state.lastPlayers = players;
+  if (Number(policy.restartAfter) > 0 && failures === Number(policy.restartAfter)) {
+    emitEvent({
+      type: 'warn',
+      kind: 'query-restart',
+      watcherId,
+      failures,
+      msg: `[${watcher.name}] restarting container after ${failures} failed queries`
+    });
+    try {
+      await container.restart({ t: Number(watcher.stopTimeoutSec ?? 60) });
+    } catch (err) {
+      emitEvent({ type: 'error', msg: `[${watcher.name}] restart failed: ${err.message}` });
+    }
+    return;
+  }
+
+  // Fallback signal: network traffic decides activity until queries recover
+  if (useTraffic) {
+    let bytesPerSec = null;
+    try {
+      bytesPerSec = await measureTraffic(watcherId, container);
+    } catch (err) {
+      emitEvent({
+        type: 'warn',
+        msg: `[${watcher.name}] network traffic unavailable: ${err.message}`
+      });
+    }
+    if (bytesPerSec !== null) {
+      const idle = !isTrafficActive(watcher, bytesPerSec);
+      await trackInactivity(watcher, container, state, idle, 'network activity', schedule, stopGracefully, emitEvent);
+      return;
     }
+  }
 
-    // Handle inactivity
-    if (players === 0) {
-      state.emptyMinutes += state.intervalSec / 60;
-      if (state.emptyMinutes >= watcher.inactivityMinutes) {
-        emitEvent({ type: 'info', msg: `[${watcher.name}] stopping (inactivity)` });
+  if (countEmpty) {
+    await trackInactivity(watcher, container, state, true, 'query recovered', schedule, stopGracefully, emitEvent);
+  }
+}
+
+/**
+ * Advance or reset the inactivity counter for one poll, warning before and
+ * performing the auto-stop. Inactivity is suspended during keep-alive/start windows.
+ * A failed stop is reported (not thrown) and retried next poll.
+ *
+ * @param {Object} watcher - Watcher config
+ * @param {Object} container - Docker container object
+ * @param {Object} state - Runtime state
+ * @param {boolean} idle - No activity this poll (0 players, or traffic below threshold)
+ * @param {string} activity - What cancels a pending stop (for logs)
+ * @param {Object} schedule - Result of scheduleStatus()
+ * @param {Function} stopGracefully - Function to stop container
+ * @param {Function} emitEvent - Event emitter function
+ * @returns {Promise<void>}
+ */
+async function trackInactivity(watcher, container, state, idle, activity, schedule, stopGracefully, emitEvent) {
+  const watcherId = watcher.id;
+
+  if (idle && !schedule.keepAlive) {
+    state.emptyMinutes += state.intervalSec / 60;
+    const limit = Number(watcher.inactivityMinutes);
+    const warningMinutes = Number(watcher.warningMinutes ?? 0);
+
+    if (warningMinutes > 0 && !state.warned && state.emptyMinutes >= limit - warningMinutes) {
+      // Warning phase: never stop without a full grace window
+      state.emptyMinutes = Math.min(state.emptyMinutes, limit - warningMinutes);
+      state.warned = true;
+      await warnStopping(watcher, container, warningMinutes, emitEvent);
+    } else if (state.emptyMinutes >= limit) {
+      // Optional save command; its failure policy may veto the stop (retried next poll)
+      if (!(await runPreStopExec(watcher, container, emitEvent))) {
+        return;
+      }
+      emitEvent({
+        type: 'info',
+        kind: 'auto-stop',
+        watcherId,
+        emptyMinutes: state.emptyMinutes,
+        msg: `[${watcher.name}] stopping (inactivity)`
+      });
+      try {
         await stopGracefully(container, watcher.stopTimeoutSec, emitEvent);
-        state.emptyMinutes = 0;
-        state.lastPlayers = -1;
+      } catch (err) {
+        emitEvent({ type: 'error', msg: `[${watcher.name}] auto-stop failed: ${err.message}` });
+        return;
       }
-    } else {
       state.emptyMinutes = 0;
+      state.lastPlayers = -1;
+      state.warned = false;
+      state.containerRunning = false;
+      await state.proxy?.update({ running: false });
+    }
+  } else {
+    if (state.warned) {
+      emitEvent({
+        type: 'info',
+        kind: 'stop-cancelled',
+        watcherId,
+        msg: `[${watcher.name}] stop cancelled (${idle ? 'keep-alive window' : activity})`
+      });
+      state.warned = false;
+    }
+    state.emptyMinutes = 0;
+  }
+}
+
+/**
+ * Apply schedule actions for this tick:
+ * - start the container once when a start window opens
+ * - warn before, then perform, scheduled hard stops (even with players online)
+ *
+ * @param {Object} watcher - Watcher config
+ * @param {Object} container - Docker container object
+ * @param {Object} state - Runtime state
+ * @param {Object} schedule - Result of scheduleStatus()
+ * @param {Function} stopGracefully - Function to stop container
+ * @param {Function} emitEvent - Event emitter function
+ * @param {Function} startContainer - Function to start container
+ * @returns {Promise<boolean>} True if the tick is done (container started/stopped)
+ */
+async function applySchedule(watcher, container, state, schedule, stopGracefully, emitEvent, startContainer) {
+  const now = Date.now();
+  const watcherId = watcher.id;
+
+  // Start window: bring the server up once per window occurrence
+  const window = schedule.startWindow;
+  if (window && !state.containerRunning && state.startWindowHandled !== window.start) {
+    state.startWindowHandled = window.start;
+    emitEvent({
+      type: 'info',
+      kind: 'scheduled-start',
+      watcherId,
+      msg: `[${watcher.name}] starting (scheduled window until ${new Date(window.end).toISOString()})`
+    });
+    try {
+      await startContainer(container);
+    } catch (err) {
+      emitEvent({ type: 'error', msg: `[${watcher.name}] scheduled start failed: ${err.message}` });
+    }
+    return true;
+  }
+
+  // Hard stop: remember the upcoming occurrence so it isn't skipped once passed
+  if (!state.hardStopAt) {
+    state.hardStopAt = schedule.nextHardStop?.at ?? null;
+    state.hardStopWarningMinutes = schedule.nextHardStop?.warningMinutes ?? 0;
+  }
+  if (!state.hardStopAt) {
+    return false;
+  }
+
+  if (!state.containerRunning) {
+    if (now >= state.hardStopAt) {
+      state.hardStopAt = null;  // Already down, nothing to do this time
     }
+    return false;
+  }
+
+  const msLeft = state.hardStopAt - now;
+  if (msLeft > 0) {
+    if (msLeft <= state.hardStopWarningMinutes * 60000 && state.hardStopWarned !== state.hardStopAt) {
+      state.hardStopWarned = state.hardStopAt;
+      await warnStopping(watcher, container, Math.ceil(msLeft / 60000), emitEvent, 'scheduled stop');
+    }
+    return false;
+  }
+
+  if (!(await runPreStopExec(watcher, container, emitEvent))) {
+    return true;  // Vetoed by the failure policy, retried next poll
+  }
+  emitEvent({
+    type: 'info',
+    kind: 'scheduled-stop',
+    watcherId,
+    msg: `[${watcher.name}] stopping (scheduled)`
+  });
+  try {
+    await stopGracefully(container, watcher.stopTimeoutSec, emitEvent);
+  } catch (err) {
+    // hardStopAt is kept: retried next poll
+    emitEvent({ type: 'error', msg: `[${watcher.name}] scheduled stop failed: ${err.message}` });
+    return true;
+  }
+  state.hardStopAt = null;
+  state.emptyMinutes = 0;
+  state.lastPlayers = -1;
+  state.warned = false;
+  state.containerRunning = false;
+  await state.proxy?.update({ running: false });
+  return true;
+}
+
+/**
+ * Announce an upcoming inactivity stop and run the optional in-game
+ * broadcast command (`warningExec`, `{minutes}` is substituted).
+ * Never throws: a failed broadcast must not block the stop.
+ *
+ * @param {Object} watcher - Watcher config
+ * @param {Object} container - Docker container object
+ * @param {number} minutes - Minutes left before the stop
+ * @param {Function} emitEvent - Event emitter function
+ * @param {string} [reason='no players'] - Why the server is stopping
+ * @returns {Promise<void>}
+ */
+async function warnStopping(watcher, container, minutes, emitEvent, reason = 'no players') {
+  emitEvent({
+    type: 'info',
+    kind: 'stopping-soon',
+    watcherId: watcher.id,
+    minutes,
+    reason,
+    msg: `[${watcher.name}] stopping in ${minutes} min (${reason})`
+  });
+
+  if (!watcher.warningExec) {
+    return;
+  }
+
+  const fill = (arg) => String(arg).replace(/\{minutes\}/g, String(minutes));
+  const cmd = Array.isArray(watcher.warningExec)
+    ? watcher.warningExec.map(fill)
+    : fill(watcher.warningExec);
+
+  try {
+    const { exitCode, output } = await execInContainer(container, cmd, { timeoutSec: 30 });
+    emitEvent({
+      type: exitCode === 0 ? 'info' : 'warn',
+      msg: `[${watcher.name}] warning command exited ${exitCode}${output ? `: ${output}` : ''}`
+    });
   } catch (err) {
-    // Query failed: log but don't penalize (keep inactivity counter unchanged)
-    emitEvent({ type: 'warn', msg: `[${watcher.name}] query unavailable (no penalty)` });
+    emitEvent({ type: 'warn', msg: `[${watcher.name}] warning command failed: ${err.message}` });
   }
 }
 
+/**
+ * Run the watcher's pre-stop command (`preStopExec`) inside the container,
+ * e.g. a world save, and decide whether the stop may proceed.
+ *
+ * preStopExec: { cmd, timeoutSec = 60, expectedExitCode = 0, onFailure = 'proceed' | 'abort' }
+ * Never throws: failures are reported as events and resolved by the policy.
+ *
+ * @param {Object} watcher - Watcher config
+ * @param {Object} container - Docker container object
+ * @param {Function} emitEvent - Event emitter function
+ * @returns {Promise<boolean>} True if the stop may proceed
+ */
+async function runPreStopExec(watcher, container, emitEvent) {
+  const pre = watcher.preStopExec;
+  if (!pre?.cmd || (Array.isArray(pre.cmd) && !pre.cmd.length)) {
+    return true;
+  }
+
+  const timeoutSec = Number(pre.timeoutSec ?? 60);
+  const expected = Number(pre.expectedExitCode ?? 0);
+  const abortOnFailure = pre.onFailure === 'abort';
+
+  emitEvent({ type: 'info', msg: `[${watcher.name}] running pre-stop command` });
+
+  let failure = null;
+  try {
+    const { exitCode, output } = await execInContainer(container, pre.cmd, { timeoutSec });
+    emitEvent({
+      type: exitCode === expected ? 'info' : 'warn',
+      kind: 'pre-stop-exec',
+      watcherId: watcher.id,
+      exitCode,
+      output,
+      msg: `[${watcher.name}] pre-stop command exited ${exitCode}${output ? `:\n${output}` : ''}`
+    });
+    if (exitCode !== expected) {
+      failure = `exit code ${exitCode} (expected ${expected})`;
+    }
+  } catch (err) {
+    failure = err.message;
+  }
+
+  if (!failure) {
+    return true;
+  }
+
+  emitEvent({
+    type: abortOnFailure ? 'error' : 'warn',
+    kind: 'pre-stop-failed',
+    watcherId: watcher.id,
+    aborted: abortOnFailure,
+    msg: `[${watcher.name}] pre-stop command failed (${failure}), ${abortOnFailure ? 'stop aborted' : 'stopping anyway'}`
+  });
+  return !abortOnFailure;
+}
+
 /**
  * Start periodic polling for a watcher.
  *
@@ -125,8 +527,13 @@ export async function tickOne(
  * @param {Object} docker - Dockerode instance
  * @param {Function} getContainer - Function to get container
  * @param {Function} resolveContainerIPWithCache - Function to resolve IP
- * @param {Function} stopGracefully - Function to stop container
+ * @param {Function} stopGracefully - Function to stop container (or its group)
  * @param {Function} emitEvent - Event emitter function
+ * @param {Object} [options]
+ * @param {WakeProxy} [options.proxy] - Wake-on-connect proxy
+ * @param {Object} [options.restored] - Checkpoint { emptyMinutes, lastPlayers, warned, updatedAt }
+ * @param {Function} [options.onTick] - Called with the runtime state after each poll
+ * @param {Function} [options.startContainer] - Start the container (or its group) on schedule
  * @returns {Promise<void>}
  */
 export async function startWatcher(
@@ -136,7 +543,8 @@ export async function startWatcher(
   getContainer,
   resolveContainerIPWithCache,
   stopGracefully,
-  emitEvent
+  emitEvent,
+  { proxy = null, restored = null, onTick = null, startContainer } = {}
 ) {
   const id = watcher.id;
 
@@ -150,9 +558,30 @@ export async function startWatcher(
     intervalSec,
     emptyMinutes: 0,
     lastPlayers: -1,
-    busy: false
+    containerRunning: null,  // Last observed container state (null = unknown)
+    lastQueryOk: false,      // Last query answered
+    lastQueryMs: null,       // Last query duration (null = no query this tick)
+    queryFailures: 0,        // Consecutive failed queries
+    serverState: null,       // Last state reported by the provider (playing, online, ...)
+    serverMetadata: {},      // Last provider metadata (server name, map, ...)
+    missingTicks: 0,         // Consecutive polls with the container missing
+    warned: false,           // Stop warning issued for the current empty streak
+    hardStopAt: null,        // Next scheduled hard stop (epoch ms)
+    hardStopWarningMinutes: 0,
+    hardStopWarned: null,    // Hard stop occurrence already announced
+    startWindowHandled: null, // Start window occurrence already acted on
+    busy: false,
+    proxy
   };
 
+  if (restored) {
+    restoreState(state, restored);
+    emitEvent({
+      type: 'info',
+      msg: `[${watcher.name}] state restored (players: ${state.lastPlayers}, empty: ${state.emptyMinutes.toFixed(1)}m)`
+    });
+  }
+
   const run = async () => {
     if (state.busy) return;
     state.busy = true;
@@ -165,8 +594,13 @@ export async function startWatcher(
         docker,
         resolveContainerIPWithCache,
         stopGracefully,
-        emitEvent
+        emitEvent,
+        startContainer
       );
+      onTick?.(state);
+    } catch (err) {
+      // Runs from setInterval: nothing may reject out of a poll
+      emitEvent({ type: 'error', msg: `[${watcher.name}] poll failed: ${err.message}` });
     } finally {
       state.busy = false;
     }
@@ -180,6 +614,58 @@ export async function startWatcher(
   await run();
 }
 
+/**
+ * Apply a checkpointed runtime state to a fresh watcher state.
+ *
+ * Time the manager itself was down counts as empty time when the server
+ * was empty at the last check; otherwise the counter resumes where it was.
+ *
+ * @param {Object} state - Fresh runtime state
+ * @param {Object} restored - Checkpoint { emptyMinutes, lastPlayers, warned, updatedAt }
+ */
+function restoreState(state, restored) {
+  state.lastPlayers = Number.isFinite(restored.lastPlayers) ? restored.lastPlayers : -1;
+  state.emptyMinutes = Number(restored.emptyMinutes) || 0;
+  state.warned = restored.warned === true;
+
+  if (state.lastPlayers === 0 && restored.updatedAt) {
+    const downtimeMin = (Date.now() - Number(restored.updatedAt)) / 60000;
+    state.emptyMinutes += Math.max(0, downtimeMin);
+  }
+}
+
+/**
+ * Reset a watcher's counters when its container stopped between polls
+ * (Docker "die" event), so the next start begins from a clean state.
+ * Ignored while a poll is running: stops it performs are accounted for there.
+ *
+ * @param {Object} watcher - Watcher config
+ * @param {Map} watchers - Runtime state map
+ * @param {Function} emitEvent - Event emitter function
+ * @returns {Promise<void>}
+ */
+export async function markContainerDown(watcher, watchers, emitEvent) {
+  const state = watchers.get(watcher.id);
+  if (!state || state.busy) {
+    return;
+  }
+  if (state.containerRunning === true) {
+    emitEvent({
+      type: 'info',
+      kind: 'container-down',
+      watcherId: watcher.id,
+      msg: `[${watcher.name}] container stopped`
+    });
+  }
+  state.containerRunning = false;
+  state.lastQueryOk = false;
+  state.emptyMinutes = 0;
+  state.lastPlayers = -1;
+  state.queryFailures = 0;
+  state.warned = false;
+  await state.proxy?.update({ running: false });
+}
+
 /**
  * Stop periodic polling for a watcher.
  *
@@ -194,6 +680,8 @@ export async function stopWatcher(id, watchers) {
   }
   clearInterval(state.timer);
   watchers.delete(id);
+  releaseProviders(id);
+  await state.proxy?.close();
 }
 
 /**
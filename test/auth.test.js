@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { TokenStore, hasRole, canAccessWatcher, validateToken } from '../src/auth.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gam-auth-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function store(opts = {}) {
+  return new TokenStore({ path: path.join(dir, `tokens-${Math.random().toString(36).slice(2)}.json`), ...opts });
+}
+
+test('hasRole follows viewer < operator < admin', () => {
+  assert.equal(hasRole({ role: 'admin' }, 'operator'), true);
+  assert.equal(hasRole({ role: 'operator' }, 'operator'), true);
+  assert.equal(hasRole({ role: 'viewer' }, 'operator'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('canAccessWatcher honours the watcher scope', () => {
+  assert.equal(canAccessWatcher({ watchers: null }, 'a'), true);
+  assert.equal(canAccessWatcher({ watchers: ['a'] }, 'a'), true);
+  assert.equal(canAccessWatcher({ watchers: ['a'] }, 'b'), false);
+});
+
+test('validateToken rejects bad names, roles and scopes', () => {
+  assert.throws(() => validateToken({ name: ' ', role: 'admin' }), /name/);
+  assert.throws(() => validateToken({ name: 'x', role: 'root' }), /role/);
+  assert.throws(() => validateToken({ name: 'x', role: 'viewer', watchers: 'a' }), /watchers/);
+  assert.throws(() => validateToken({ name: 'x', role: 'admin', watchers: ['a'] }), /Admin tokens/);
+});
+
+test('the API is open until a token exists, and the first one must be admin', async () => {
+  const tokens = store();
+  assert.equal(tokens.enabled, false);
+  await assert.rejects(tokens.create({ name: 'ci', role: 'viewer' }), /first token must be an admin/);
+  await tokens.create({ name: 'root', role: 'admin' });
+  assert.equal(tokens.enabled, true);
+});
+
+test('a created token authenticates once and is stored hashed', async () => {
+  const tokens = store();
+  await tokens.create({ name: 'root', role: 'admin' });
+  const created = await tokens.create({ name: 'ci', role: 'operator', watchers: ['valheim'] });
+
+  const principal = tokens.authenticate(`Bearer ${created.token}`);
+  assert.deepEqual(principal, { id: created.id, kind: 'token', name: 'ci', role: 'operator', watchers: ['valheim'] });
+  assert.equal(tokens.authenticate('Bearer gam_wrong'), null);
+  assert.equal(tokens.authenticate(created.token), null);
+
+  const file = await fs.readFile(tokens.path, 'utf8');
+  assert.ok(!file.includes(created.token));
+  assert.ok(tokens.list().every((t) => !('hash' in t)));
+
+  const reloaded = new TokenStore({ path: tokens.path });
+  await reloaded.load();
+  assert.equal(reloaded.authenticate(`Bearer ${created.token}`)?.id, created.id);
+  clearTimeout(tokens.saveTimer);
+  clearTimeout(reloaded.saveTimer);
+});
+
+test('ADMIN_TOKEN authenticates as an unscoped admin', () => {
+  const tokens = store({ adminToken: 'secret-value' });
+  assert.equal(tokens.enabled, true);
+  assert.deepEqual(tokens.authenticate('Bearer secret-value'), {
+    id: 'env', kind: 'token', name: 'ADMIN_TOKEN', role: 'admin', watchers: null
+  });
+  assert.equal(tokens.authenticate('Bearer secret-valuf'), null);
+});
+
+test('the last admin token cannot be demoted or removed', async () => {
+  const tokens = store();
+  const admin = await tokens.create({ name: 'root', role: 'admin' });
+  await tokens.create({ name: 'ci', role: 'viewer' });
+
+  await assert.rejects(tokens.update(admin.id, { role: 'viewer' }), /admin token is required/);
+  await assert.rejects(tokens.remove(admin.id), /admin token is required/);
+
+  const second = await tokens.create({ name: 'root2', role: 'admin' });
+  await tokens.update(admin.id, { role: 'viewer' });
+  await assert.rejects(tokens.remove(second.id), /admin token is required/);
+});
+
+test('an admin user lets the last admin token go', async () => {
+  const tokens = store({ otherAdmins: () => true });
+  const admin = await tokens.create({ name: 'root', role: 'admin' });
+  await tokens.create({ name: 'ci', role: 'viewer' });
+  await tokens.remove(admin.id);
+  assert.equal(tokens.hasAdmin(), false);
+});
+
+test('a corrupt tokens file fails to load', async () => {
+  const file = path.join(dir, 'corrupt.json');
+  await fs.writeFile(file, '{"tokens": [');
+  await assert.rejects(new TokenStore({ path: file }).load());
+});
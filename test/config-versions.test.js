@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { ConfigVersions, diffConfigs, changedWatcherIds } from '../src/config-versions.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gam-versions-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function versions(opts = {}) {
+  const store = new ConfigVersions({ dir: await fs.mkdtemp(path.join(dir, 'v-')), ...opts });
+  await store.load();
+  return store;
+}
+
+const valheim = { id: 'valheim', name: 'Valheim', inactivityMinutes: 10 };
+const mc = { id: 'mc', name: 'Minecraft', inactivityMinutes: 15, rconPassword: 'hunter2' };
+const hook = { id: 'h1', name: 'Discord', url: 'https://discord.com/api/webhooks/1/abcdef' };
+
+test('diffConfigs lists added, removed and changed entries', () => {
+  const before = { watchers: [valheim, mc], webhooks: [] };
+  const after = {
+    watchers: [{ ...valheim, inactivityMinutes: 20 }, { id: 'ark', name: 'ARK' }],
+    webhooks: [hook]
+  };
+  assert.deepEqual(diffConfigs(before, after), {
+    watchers: {
+      added: [{ id: 'ark', name: 'ARK' }],
+      removed: [{ id: 'mc', name: 'Minecraft' }],
+      changed: [{ id: 'valheim', name: 'Valheim', changes: { inactivityMinutes: { before: 10, after: 20 } } }]
+    },
+    webhooks: { added: [{ id: 'h1', name: 'Discord' }], removed: [], changed: [] },
+    archivedWatchers: { added: [], removed: [], changed: [] }
+  });
+});
+
+test('diffConfigs masks secrets and webhook URLs', () => {
+  const diff = diffConfigs(
+    { watchers: [mc], webhooks: [hook] },
+    { watchers: [{ ...mc, rconPassword: 'hunter3' }], webhooks: [{ ...hook, url: 'https://discord.com/api/webhooks/1/ghijkl' }] }
+  );
+  assert.deepEqual(diff.watchers.changed[0].changes, { rconPassword: { before: '***', after: '***' } });
+  assert.deepEqual(diff.webhooks.changed[0].changes, {
+    url: { before: 'https://discord.com/***', after: 'https://discord.com/***' }
+  });
+  assert.ok(!JSON.stringify(diff).includes('abcdef'));
+});
+
+test('changedWatcherIds lists watchers added, removed or modified', () => {
+  const ids = changedWatcherIds(
+    { watchers: [valheim, mc] },
+    { watchers: [valheim, { ...mc, inactivityMinutes: 30 }, { id: 'ark', name: 'ARK' }] }
+  );
+  assert.deepEqual(ids.sort(), ['ark', 'mc']);
+  assert.deepEqual(changedWatcherIds({ watchers: [valheim] }, { watchers: [valheim] }), []);
+});
+
+test('record numbers snapshots and skips unchanged configs', async () => {
+  const store = await versions();
+  assert.equal(store.latest, null);
+  assert.equal(await store.record({ watchers: [valheim] }, 'startup'), 1);
+  assert.equal(await store.record({ watchers: [valheim] }), null);
+  assert.equal(await store.record({ watchers: [valheim, mc] }), 2);
+  assert.equal(store.latest, 2);
+
+  const snapshot = await store.get(1);
+  assert.equal(snapshot.note, 'startup');
+  assert.deepEqual(snapshot.config, { watchers: [valheim] });
+  assert.equal(await store.get(99), null);
+});
+
+test('record keeps only the most recent snapshots', async () => {
+  const store = await versions({ retention: 2 });
+  for (let i = 1; i <= 4; i++) {
+    await store.record({ watchers: [{ ...valheim, inactivityMinutes: i }] });
+  }
+  assert.deepEqual(store.versions, [3, 4]);
+  assert.deepEqual((await fs.readdir(store.dir)).sort(), ['3.json', '4.json']);
+});
+
+test('list returns versions newest first with their changes', async () => {
+  const store = await versions();
+  await store.record({ watchers: [valheim] }, 'startup');
+  await store.record({ watchers: [valheim, mc] }, 'api');
+
+  const list = await store.list();
+  assert.deepEqual(list.map((v) => [v.version, v.note, v.current]), [[2, 'api', true], [1, 'startup', false]]);
+  assert.deepEqual(list[0].changes.watchers.added, [{ id: 'mc', name: 'Minecraft' }]);
+  assert.equal(list[1].changes, null);
+});
+
+test('load picks up existing snapshots', async () => {
+  const store = await versions();
+  await store.record({ watchers: [valheim] });
+  await store.record({ watchers: [mc] });
+
+  const reloaded = new ConfigVersions({ dir: store.dir });
+  await reloaded.load();
+  assert.equal(reloaded.latest, 2);
+  assert.equal(await reloaded.record({ watchers: [mc] }), null);
+  assert.equal(await reloaded.record({ watchers: [valheim] }), 3);
+});
@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+
+import { DockerHosts, parseDockerHosts } from '../src/docker-hosts.js';
+import { WatchManager } from '../src/manager.js';
+
+const LABELS = {
+  'autostop.enabled': 'true',
+  'autostop.gamedig_type': 'rcon',
+  'autostop.rcon_port': '25575',
+  'autostop.autostart': 'false'
+};
+
+/**
+ * Minimal Docker Engine API: GET /version and GET /containers/json.
+ *
+ * @param {string} version - Reported Docker version
+ * @param {Array<Object>} containers - { name, labels } of the listed containers
+ */
+async function dockerStub(version, containers) {
+  const server = http.createServer((req, res) => {
+    const route = new URL(req.url, 'http://docker').pathname.replace(/^\/v[\d.]+/, '');
+    const body = {
+      '/version': { Version: version, ApiVersion: '1.43' },
+      '/containers/json': containers.map((c, i) => ({
+        Id: `${version.replace(/\D/g, '')}${i}`.padEnd(64, '0'),
+        Names: [`/${c.name}`],
+        Image: `${c.name}:latest`,
+        State: 'exited',
+        Status: 'Exited (0) 1 hour ago',
+        Labels: c.labels ?? {}
+      }))
+    }[route];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { message: 'page not found' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/** A port nothing listens on */
+function closedPort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+let dir;
+let stubs;
+let configs;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gam-hosts-'));
+  stubs = [
+    await dockerStub('24.0.7', [{ name: 'valheim', labels: LABELS }, { name: 'postgres' }]),
+    await dockerStub('25.0.3', [{ name: 'valheim', labels: LABELS }])
+  ];
+  configs = [
+    { id: 'local', host: '127.0.0.1', port: stubs[0].address().port },
+    { id: 'box2', host: '127.0.0.1', port: stubs[1].address().port, label: 'Second box' },
+    { id: 'down', host: '127.0.0.1', port: await closedPort() }
+  ];
+});
+
+after(async () => {
+  await Promise.all(stubs.map((s) => new Promise((resolve) => s.close(resolve))));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/** WatchManager on the stub hosts (DOCKER_HOSTS is read by the constructor) */
+async function managerOnStubs() {
+  process.env.DOCKER_HOSTS = JSON.stringify(configs);
+  try {
+    return new WatchManager({ dataDir: await fs.mkdtemp(path.join(dir, 'm-')) });
+  } finally {
+    delete process.env.DOCKER_HOSTS;
+  }
+}
+
+test('parseDockerHosts defaults to the local socket and rejects bad entries', () => {
+  assert.deepEqual(parseDockerHosts('', '/run/docker.sock'), [{ id: 'local', socketPath: '/run/docker.sock' }]);
+  assert.throws(() => parseDockerHosts('[{"id":"a","host":"x"},{"id":"a","host":"y"}]'), /duplicate host id a/);
+  assert.throws(() => parseDockerHosts('[{"id":"a"}]'), /needs socketPath or host/);
+  assert.throws(() => parseDockerHosts('[{"id":"a","host":"x","protocol":"ftp"}]'), /invalid protocol/);
+});
+
+test('checkHealth reports each host, unreachable ones included', async () => {
+  const hosts = await new DockerHosts(configs).checkHealth();
+  assert.deepEqual(hosts.map((h) => [h.id, h.label, h.default, h.healthy, h.version]), [
+    ['local', 'local', true, true, '24.0.7'],
+    ['box2', 'Second box', false, true, '25.0.3'],
+    ['down', 'down', false, false, null]
+  ]);
+  assert.equal(hosts[0].endpoint, `tcp://127.0.0.1:${configs[0].port}`);
+  assert.match(hosts[2].lastError, /ECONNREFUSED/);
+  assert.ok(hosts.every((h) => h.checkedAt));
+});
+
+test('label sync creates one watcher per host and skips unreachable hosts', async () => {
+  const manager = await managerOnStubs();
+  const warnings = [];
+  manager.subscribe((e) => e.type === 'warn' && warnings.push(e.msg));
+
+  await manager.syncFromDockerLabels();
+  assert.deepEqual(manager.list().map((w) => [w.id, w.targetContainer, w.dockerHost]), [
+    ['valheim', 'valheim', undefined],
+    ['box2-valheim', 'valheim', 'box2']
+  ]);
+  assert.ok(warnings.some((msg) => /host down unreachable/.test(msg)));
+  assert.equal(manager.hosts.get('down').healthy, false);
+});
+
+test('listContainers lists every reachable host with its own watchers', async () => {
+  const manager = await managerOnStubs();
+  await manager.syncFromDockerLabels();
+
+  const containers = await manager.listContainers();
+  assert.deepEqual(containers.map((c) => [c.host, c.name, c.labeled, c.watcherIds]), [
+    ['local', 'valheim', true, ['valheim']],
+    ['local', 'postgres', false, []],
+    ['box2', 'valheim', true, ['box2-valheim']]
+  ]);
+  assert.equal(manager.hosts.get('down').healthy, false);
+});
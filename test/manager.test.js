@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { WatchManager } from '../src/manager.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gam-manager-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function managerWith(watcher) {
+  const manager = new WatchManager({ dataDir: await fs.mkdtemp(path.join(dir, 'm-')) });
+  const w = await manager.create({
+    name: 'Valheim',
+    targetContainer: 'valheim',
+    gamedigType: 'valheim',
+    queryHost: '127.0.0.1',
+    queryPort: 2457,
+    inactivityMinutes: 10,
+    warningMinutes: 5,
+    autostart: false,
+    ...watcher
+  });
+  return { manager, w };
+}
+
+test('update checks the warning phase against the merged watcher', async () => {
+  const { manager, w } = await managerWith();
+  await assert.rejects(manager.update(w.id, { inactivityMinutes: 5 }), /warningMinutes must be lower/);
+  await assert.rejects(manager.update(w.id, { warningMinutes: 12 }), /warningMinutes must be lower/);
+  assert.equal(manager.getWatcher(w.id).inactivityMinutes, 10);
+
+  await manager.update(w.id, { warningMinutes: 8 });
+  assert.equal(manager.getWatcher(w.id).warningMinutes, 8);
+});
+
+test('update validates the new provider\'s required fields', async () => {
+  const { manager, w } = await managerWith();
+  await assert.rejects(manager.update(w.id, { gamedigType: 'rcon' }), /Missing field: rconPort/);
+  await manager.update(w.id, { gamedigType: 'rcon', rconPort: 2458 });
+  assert.equal(manager.getWatcher(w.id).gamedigType, 'rcon');
+});
+
+test('list hides provider secrets on request', async () => {
+  const { manager } = await managerWith({ gamedigType: 'rcon', rconPort: 2458, rconPassword: 'hunter2' });
+  assert.equal(manager.list()[0].rconPassword, 'hunter2');
+  assert.equal('rconPassword' in manager.list({ secrets: false })[0], false);
+});
+
+test('list shows the next scheduled action', async () => {
+  const { manager, w } = await managerWith({ schedules: [{ type: 'hard-stop', cron: '0 4 * * *' }] });
+  const { nextScheduledAction } = manager.list()[0];
+  assert.equal(nextScheduledAction.type, 'hard-stop');
+  assert.ok(Date.parse(nextScheduledAction.at) > Date.now());
+
+  await manager.update(w.id, { schedules: [] });
+  assert.equal(manager.list()[0].nextScheduledAction, null);
+});
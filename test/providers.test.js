@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { stripSecrets, validateProviderConfig } from '../src/providers/index.js';
+
+test('stripSecrets drops every provider password field', () => {
+  const watcher = {
+    id: 'mc',
+    gamedigType: 'rcon',
+    rconPort: 25575,
+    rconPassword: 'hunter2',
+    apiToken: 'satisfactory-token',
+    adminPassword: 'legacy'
+  };
+  assert.deepEqual(stripSecrets(watcher), { id: 'mc', gamedigType: 'rcon', rconPort: 25575 });
+  assert.equal(watcher.rconPassword, 'hunter2');
+});
+
+test('validateProviderConfig enforces required fields unless updating', () => {
+  assert.throws(() => validateProviderConfig({ gamedigType: 'rcon' }), /Missing field: rconPort/);
+  assert.doesNotThrow(() => validateProviderConfig({ gamedigType: 'rcon' }, true));
+  assert.doesNotThrow(() => validateProviderConfig({ gamedigType: 'rcon', rconPort: 25575 }));
+});
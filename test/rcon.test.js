@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+
+import { rconCommand, RCON_PARSERS } from '../src/providers/rcon.js';
+
+function packet(id, type, body) {
+  const payload = Buffer.from(body, 'utf8');
+  const buf = Buffer.alloc(14 + payload.length);
+  buf.writeInt32LE(10 + payload.length, 0);
+  buf.writeInt32LE(id, 4);
+  buf.writeInt32LE(type, 8);
+  payload.copy(buf, 12);
+  return buf;
+}
+
+/**
+ * Local RCON server: `reply(socket, { id, type, body })` answers each packet.
+ */
+async function withServer(reply, fn) {
+  const server = net.createServer((socket) => {
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      reply(socket, { id: chunk.readInt32LE(4), type: chunk.readInt32LE(8), body: chunk.toString('utf8', 12, chunk.length - 2) });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(server.address().port);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const query = (port, password = 'pw') => rconCommand({ host: '127.0.0.1', port, password, command: 'list', timeoutMs: 2000 });
+
+test('rconCommand authenticates and returns the reply', async () => {
+  const reply = await withServer((socket, p) => {
+    if (p.type === 3) {
+      socket.write(packet(p.body === 'pw' ? p.id : -1, 2, ''));
+    } else {
+      socket.write(packet(p.id, 0, `There are 3 of a max of 20 players online (${p.body})`));
+    }
+  }, (port) => query(port));
+  assert.equal(reply, 'There are 3 of a max of 20 players online (list)');
+  assert.equal(RCON_PARSERS.minecraft.parse(reply), 3);
+});
+
+test('rconCommand reports a rejected password', async () => {
+  await withServer((socket, p) => socket.write(packet(-1, 2, '')), async (port) => {
+    await assert.rejects(query(port, 'wrong'), /authentication failed/);
+  });
+});
+
+test('rconCommand rejects packets with an impossible size', async () => {
+  for (const size of [-4, 0, 9, 4107]) {
+    await withServer((socket) => {
+      const bogus = Buffer.alloc(14);
+      bogus.writeInt32LE(size, 0);
+      socket.write(bogus);
+    }, async (port) => {
+      await assert.rejects(query(port), new RegExp(`invalid RCON packet size ${size}`));
+    });
+  }
+});
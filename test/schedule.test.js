@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCron, nextCronTime, scheduleStatus, validateSchedules } from '../src/schedule.js';
+
+const TZ = 'Europe/Paris';
+
+/** Local wall-clock time of an instant, "YYYY-MM-DD HH:MM" */
+function local(t, timeZone = TZ) {
+  return new Date(t).toLocaleString('sv-SE', { timeZone }).slice(0, 16);
+}
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const cron = parseCron('*/15 8-10 * JAN,MAR MON-FRI');
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [8, 9, 10]);
+  assert.deepEqual([...cron.month], [1, 3]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.domAny, true);
+  assert.equal(cron.dowAny, false);
+});
+
+test('parseCron treats 7 as Sunday', () => {
+  assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /bad minute/);
+  assert.throws(() => parseCron('*/0 * * * *'), /bad step/);
+  assert.throws(() => parseCron('0 10-8 * * *'), /bad range/);
+});
+
+test('nextCronTime returns the first matching minute in the timezone', () => {
+  const from = Date.parse('2026-06-10T08:00:00Z');  // Wednesday 10:00 in Paris
+  assert.equal(local(nextCronTime(parseCron('0 18 * * FRI'), from, TZ)), '2026-06-12 18:00');
+  assert.equal(local(nextCronTime(parseCron('0 10 * * *'), from, TZ)), '2026-06-10 10:00');
+  assert.equal(local(nextCronTime(parseCron('30 9 * * *'), from, TZ)), '2026-06-11 09:30');
+});
+
+test('nextCronTime matches either day field when both are restricted', () => {
+  const from = Date.parse('2026-06-10T08:00:00Z');
+  // 15th of the month or any Friday: Friday the 12th comes first
+  assert.equal(local(nextCronTime(parseCron('0 12 15 * FRI'), from, TZ)), '2026-06-12 12:00');
+});
+
+test('nextCronTime returns null when nothing matches within a year', () => {
+  assert.equal(nextCronTime(parseCron('0 0 31 2 *'), Date.parse('2026-01-01T00:00:00Z'), TZ), null);
+});
+
+test('nextCronTime rolls a time skipped by DST forward to the first valid instant', () => {
+  // 2026-03-29 in Paris: 02:00 -> 03:00
+  const from = Date.parse('2026-03-28T12:00:00Z');
+  const t = nextCronTime(parseCron('30 2 * * *'), from, TZ);
+  assert.equal(local(t), '2026-03-29 03:00');
+  assert.equal(local(nextCronTime(parseCron('30 2 * * *'), t + 1, TZ)), '2026-03-30 02:30');
+});
+
+test('nextCronTime does not skip midnight after a 23-hour day', () => {
+  const from = Date.parse('2026-03-28T23:00:00Z');  // Sunday 00:00, DST day
+  assert.equal(local(nextCronTime(parseCron('30 0 * * MON'), from, TZ)), '2026-03-30 00:30');
+});
+
+test('nextCronTime fires once on a DST fall-back day', () => {
+  // 2026-10-25 in Paris: 03:00 -> 02:00, 02:30 happens twice
+  const from = Date.parse('2026-10-24T12:00:00Z');
+  const cron = parseCron('30 2 * * *');
+  const t = nextCronTime(cron, from, TZ);
+  assert.equal(new Date(t).toISOString(), '2026-10-25T00:30:00.000Z');
+  assert.equal(local(nextCronTime(cron, t + 1, TZ)), '2026-10-26 02:30');
+});
+
+test('nextCronTime keeps hourly rules in the repeated hour', () => {
+  const t = nextCronTime(parseCron('30 * * * *'), Date.parse('2026-10-25T00:45:00Z'), TZ);
+  assert.equal(new Date(t).toISOString(), '2026-10-25T01:30:00.000Z');
+});
+
+test('nextCronTime does not reopen a window in the repeated hour', () => {
+  const watcher = { timezone: TZ, schedules: [{ type: 'start', cron: '30 2 * * *', durationMinutes: 30 }] };
+  // 02:45 the second time (01:45Z): the window closed at 03:00 the first time
+  const status = scheduleStatus(watcher, Date.parse('2026-10-25T01:45:00Z'));
+  assert.equal(status.startWindow, null);
+});
+
+test('scheduleStatus reports an active keep-alive window and its end', () => {
+  const watcher = {
+    timezone: TZ,
+    schedules: [{ type: 'keep-alive', cron: '0 18 * * FRI', durationMinutes: 120 }]
+  };
+  const now = Date.parse('2026-06-12T17:00:00Z');  // Friday 19:00
+  const status = scheduleStatus(watcher, now);
+  assert.equal(status.keepAlive, true);
+  assert.equal(status.nextAction.type, 'keep-alive-end');
+  assert.equal(local(status.nextAction.at), '2026-06-12 20:00');
+});
+
+test('scheduleStatus keeps a window open across days', () => {
+  // Friday 18:00 -> Sunday 23:00
+  const watcher = {
+    timezone: TZ,
+    schedules: [{ type: 'keep-alive', cron: '0 18 * * FRI', durationMinutes: 3180 }]
+  };
+  const saturday = scheduleStatus(watcher, Date.parse('2026-06-13T10:00:00Z'));
+  assert.equal(saturday.keepAlive, true);
+  assert.equal(local(saturday.nextAction.at), '2026-06-14 23:00');
+
+  const monday = scheduleStatus(watcher, Date.parse('2026-06-15T10:00:00Z'));
+  assert.equal(monday.keepAlive, false);
+  assert.equal(local(monday.nextAction.at), '2026-06-19 18:00');
+});
+
+test('scheduleStatus evaluates a rule in its own timezone', () => {
+  const rule = { type: 'keep-alive', cron: '0 18 * * FRI', durationMinutes: 120 };
+  const now = Date.parse('2026-06-12T17:00:00Z');  // 19:00 in Paris, 13:00 in New York
+  assert.equal(scheduleStatus({ timezone: TZ, schedules: [rule] }, now).keepAlive, true);
+  assert.equal(scheduleStatus({ timezone: TZ, schedules: [{ ...rule, timezone: 'America/New_York' }] }, now).keepAlive, false);
+});
+
+test('scheduleStatus reports the start window and the next hard stop', () => {
+  const watcher = {
+    timezone: TZ,
+    warningMinutes: 3,
+    schedules: [
+      { type: 'start', cron: '0 18 * * *', durationMinutes: 60 },
+      { type: 'hard-stop', cron: '0 4 * * *' },
+      { type: 'hard-stop', cron: '0 2 * * *', enabled: false }
+    ]
+  };
+  const now = Date.parse('2026-06-12T16:30:00Z');  // 18:30
+  const status = scheduleStatus(watcher, now);
+  assert.equal(local(status.startWindow.start), '2026-06-12 18:00');
+  assert.equal(local(status.nextHardStop.at), '2026-06-13 04:00');
+  assert.equal(status.nextHardStop.warningMinutes, 3);
+  assert.equal(status.nextAction.type, 'start-end');
+});
+
+test('scheduleStatus is inactive without rules', () => {
+  assert.deepEqual(scheduleStatus({}, Date.now()), {
+    keepAlive: false, startWindow: null, nextHardStop: null, nextAction: null
+  });
+});
+
+test('validateSchedules rejects bad rules and timezones', () => {
+  assert.doesNotThrow(() => validateSchedules({ schedules: [{ type: 'hard-stop', cron: '0 4 * * *' }] }));
+  assert.throws(() => validateSchedules({ timezone: 'Mars/Olympus' }), /timezone/);
+  assert.throws(() => validateSchedules({ schedules: {} }), /schedules/);
+  assert.throws(() => validateSchedules({ schedules: [{ type: 'nap', cron: '* * * * *' }] }), /schedule type/);
+  assert.throws(() => validateSchedules({ schedules: [{ type: 'start', cron: '0 18 * * *' }] }), /durationMinutes/);
+});
@@ -0,0 +1,307 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run server.js on a fresh data directory (no Docker daemon) until stop().
+ *
+ * @param {Object} env - Extra environment (ADMIN_TOKEN, AUTH_PROXY_IPS...)
+ * @returns {Promise<Object>} { base, request(path, opts), stop() }
+ */
+async function startServer(env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gam-server-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      PATH: process.env.PATH,
+      DATA_DIR: dataDir,
+      PORT: String(port),
+      DOCKER_SOCK: path.join(dataDir, 'no-docker.sock'),
+      DOCKER_EVENTS: 'false',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  const base = `http://127.0.0.1:${port}`;
+
+  const request = async (urlPath, { method = 'GET', token, cookie, csrf, headers = {}, body } = {}) => {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...(csrf ? { 'X-CSRF-Token': csrf } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = text;
+    }
+    return { status: res.status, data, cookies: res.headers.getSetCookie() };
+  };
+
+  const deadline = Date.now() + 15000;
+  for (;;) {
+    try {
+      if ((await fetch(`${base}/health`)).ok) break;
+    } catch {
+      // Not listening yet
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      throw new Error('server did not start');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+  return { base, request, stop };
+}
+
+const watcherPayload = (name) => ({
+  name,
+  targetContainer: name,
+  gamedigType: 'rcon',
+  rconPort: 25575,
+  rconPassword: 'hunter2',
+  inactivityMinutes: 10,
+  autostart: false
+});
+
+// ============================================================================
+// ROLES AND SCOPED TOKENS
+// ============================================================================
+
+describe('API tokens', () => {
+  const ADMIN = 'env-admin-secret';
+  let server;
+  let valheim;
+  let ark;
+  let viewerToken;
+  let scopedToken;
+
+  before(async () => {
+    server = await startServer({ ADMIN_TOKEN: ADMIN });
+    valheim = (await server.request('/api/watchers', { method: 'POST', token: ADMIN, body: watcherPayload('valheim') })).data;
+    ark = (await server.request('/api/watchers', { method: 'POST', token: ADMIN, body: watcherPayload('ark') })).data;
+    viewerToken = (await server.request('/api/tokens', { method: 'POST', token: ADMIN, body: { name: 'dash', role: 'viewer' } })).data.token;
+    scopedToken = (await server.request('/api/tokens', {
+      method: 'POST', token: ADMIN, body: { name: 'friend', role: 'operator', watchers: [ark.id] }
+    })).data.token;
+  });
+
+  after(() => server.stop());
+
+  test('requests without a valid token are rejected', async () => {
+    assert.equal((await server.request('/api/watchers')).status, 401);
+    assert.equal((await server.request('/api/watchers', { token: 'gam_nope' })).status, 401);
+  });
+
+  test('viewers read watchers without their secrets and cannot act', async () => {
+    const list = await server.request('/api/watchers', { token: viewerToken });
+    assert.equal(list.status, 200);
+    assert.equal(list.data.length, 2);
+    assert.ok(list.data.every((w) => !('rconPassword' in w)));
+    assert.equal((await server.request('/api/watchers', { token: ADMIN })).data[0].rconPassword, 'hunter2');
+
+    assert.equal((await server.request(`/api/watchers/${valheim.id}/stop`, { method: 'POST', token: viewerToken })).status, 403);
+    assert.equal((await server.request('/api/watchers', { method: 'POST', token: viewerToken, body: watcherPayload('x') })).status, 403);
+  });
+
+  test('scoped tokens only see and act on their watchers', async () => {
+    const list = await server.request('/api/watchers', { token: scopedToken });
+    assert.deepEqual(list.data.map((w) => w.id), [ark.id]);
+    assert.equal((await server.request(`/api/watchers/${valheim.id}/stop`, { method: 'POST', token: scopedToken })).status, 403);
+    assert.equal((await server.request('/api/tokens', { token: scopedToken })).status, 403);
+  });
+});
+
+// ============================================================================
+// LOCAL USERS AND SESSIONS
+// ============================================================================
+
+describe('local users', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  test('first-run setup creates an admin session once', async () => {
+    assert.equal((await server.request('/api/auth/status')).data.setupRequired, true);
+
+    const setup = await server.request('/api/auth/setup', { method: 'POST', body: { username: 'root', password: 'longenough' } });
+    assert.equal(setup.status, 201);
+    assert.equal(setup.data.role, 'admin');
+    assert.match(setup.cookies[0], /^gam_session=[^;]+; Path=\/; HttpOnly; SameSite=Strict/);
+
+    const again = await server.request('/api/auth/setup', { method: 'POST', body: { username: 'evil', password: 'longenough' } });
+    assert.equal(again.status, 409);
+    assert.equal((await server.request('/api/watchers')).status, 401);
+  });
+
+  test('sessions need the CSRF token to change anything, bearer tokens do not', async () => {
+    const login = await server.request('/api/auth/login', { method: 'POST', body: { username: 'root', password: 'longenough' } });
+    assert.equal(login.status, 200);
+    const cookie = login.cookies[0].split(';')[0];
+
+    assert.equal((await server.request('/api/auth/me', { cookie })).data.name, 'root');
+    const noCsrf = await server.request('/api/tokens', { method: 'POST', cookie, body: { name: 'ci', role: 'admin' } });
+    assert.equal(noCsrf.status, 403);
+
+    const created = await server.request('/api/tokens', { method: 'POST', cookie, csrf: login.data.csrf, body: { name: 'ci', role: 'admin' } });
+    assert.equal(created.status, 201);
+    assert.equal((await server.request('/api/tokens', { token: created.data.token })).status, 200);
+
+    assert.equal((await server.request('/api/auth/logout', { method: 'POST', cookie, csrf: login.data.csrf })).status, 204);
+    assert.equal((await server.request('/api/auth/me', { cookie })).status, 401);
+  });
+
+  test('bad passwords are rejected', async () => {
+    const res = await server.request('/api/auth/login', { method: 'POST', body: { username: 'root', password: 'wrongpass' } });
+    assert.equal(res.status, 401);
+  });
+});
+
+// ============================================================================
+// REVERSE-PROXY HEADERS
+// ============================================================================
+
+describe('reverse-proxy authentication', () => {
+  let server;
+  const as = (user, groups) => ({ 'Remote-User': user, 'Remote-Groups': groups });
+
+  before(async () => {
+    server = await startServer({ AUTH_PROXY_IPS: '127.0.0.1', AUTH_GROUP_ROLES: 'admins=admin,gamers=viewer' });
+  });
+
+  after(() => server.stop());
+
+  test('the user header maps groups to roles', async () => {
+    assert.equal((await server.request('/api/watchers')).status, 401);
+    assert.equal((await server.request('/api/watchers', { headers: as('bob', 'gamers') })).status, 200);
+    assert.equal((await server.request('/api/tokens', { headers: as('bob', 'gamers') })).status, 403);
+    assert.equal((await server.request('/api/watchers', { headers: as('eve', 'strangers') })).status, 403);
+    assert.equal((await server.request('/api/auth/me', { headers: as('ann', 'admins') })).data.role, 'admin');
+  });
+
+  test('first-run setup is refused', async () => {
+    assert.equal((await server.request('/api/auth/status')).data.setupRequired, false);
+    const res = await server.request('/api/auth/setup', { method: 'POST', body: { username: 'evil', password: 'longenough' } });
+    assert.equal(res.status, 409);
+    assert.equal((await server.request('/api/users', { headers: as('ann', 'admins') })).data.length, 0);
+  });
+
+  test('cross-site writes are rejected', async () => {
+    const res = await server.request('/api/tokens', {
+      method: 'POST',
+      headers: { ...as('ann', 'admins'), Origin: 'https://evil.example' },
+      body: { name: 'x', role: 'admin' }
+    });
+    assert.equal(res.status, 403);
+  });
+});
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+describe('audit log', () => {
+  const ADMIN = 'env-admin-secret';
+  let server;
+
+  before(async () => {
+    server = await startServer({ ADMIN_TOKEN: ADMIN });
+  });
+
+  after(() => server.stop());
+
+  test('records who did what with redacted secrets, denials included', async () => {
+    const w = (await server.request('/api/watchers', { method: 'POST', token: ADMIN, body: watcherPayload('valheim') })).data;
+    const viewer = (await server.request('/api/tokens', { method: 'POST', token: ADMIN, body: { name: 'dash', role: 'viewer' } })).data.token;
+    assert.equal((await server.request(`/api/watchers/${w.id}/stop`, { method: 'POST', token: viewer })).status, 403);
+
+    const created = await server.request('/api/audit?action=watcher.create', { token: ADMIN });
+    assert.equal(created.data.length, 1);
+    assert.equal(created.data[0].actor.name, 'ADMIN_TOKEN');
+    assert.equal(created.data[0].changes.rconPassword.after, '***');
+
+    const denied = await server.request('/api/audit?action=access.denied', { token: ADMIN });
+    assert.ok(denied.data.some((e) => e.actor?.name === 'dash' && e.target === `POST /api/watchers/${w.id}/stop`));
+    assert.equal((await server.request('/api/audit', { token: viewer })).status, 403);
+  });
+});
+
+// ============================================================================
+// CONFIG VERSIONS AND ROLLBACK
+// ============================================================================
+
+describe('config rollback', () => {
+  const ADMIN = 'env-admin-secret';
+  let server;
+
+  before(async () => {
+    server = await startServer({ ADMIN_TOKEN: ADMIN });
+  });
+
+  after(() => server.stop());
+
+  test('a rollback restores a version, saves it as a new one and is audited', async () => {
+    const w = (await server.request('/api/watchers', { method: 'POST', token: ADMIN, body: watcherPayload('valheim') })).data;
+    const good = (await server.request('/api/config/versions', { token: ADMIN })).data[0].version;
+    await server.request(`/api/watchers/${w.id}`, { method: 'PUT', token: ADMIN, body: { inactivityMinutes: 60 } });
+    await server.request('/api/watchers', { method: 'POST', token: ADMIN, body: watcherPayload('ark') });
+
+    const versions = (await server.request('/api/config/versions', { token: ADMIN })).data;
+    assert.equal(versions[0].version, good + 2);
+    assert.deepEqual(versions[0].changes.watchers.added.map((e) => e.name), ['ark']);
+
+    const rollback = await server.request(`/api/config/rollback/${good}`, { method: 'POST', token: ADMIN });
+    assert.equal(rollback.status, 200);
+    assert.deepEqual(rollback.data.changes.watchers.removed.map((e) => e.name), ['ark']);
+
+    const list = (await server.request('/api/watchers', { token: ADMIN })).data;
+    assert.deepEqual(list.map((x) => [x.name, x.inactivityMinutes]), [['valheim', 10]]);
+    assert.equal((await server.request('/api/config/versions', { token: ADMIN })).data[0].version, good + 3);
+
+    const audit = (await server.request('/api/audit?action=config.rollback', { token: ADMIN })).data;
+    assert.equal(audit[0].target, String(good));
+    assert.equal(audit[0].changes.watchers.removed[0].name, 'ark');
+
+    assert.equal((await server.request('/api/config/rollback/9999', { method: 'POST', token: ADMIN })).status, 400);
+  });
+});
@@ -0,0 +1,232 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+import { parseGroupRoles, roleForGroups, ProxyAuth, OidcClient, isSameOrigin } from '../src/sso.js';
+
+const groupRoles = parseGroupRoles('admins=admin, gamers=operator, *=viewer');
+
+test('parseGroupRoles reads group=role pairs', () => {
+  assert.deepEqual([...groupRoles], [['admins', 'admin'], ['gamers', 'operator'], ['*', 'viewer']]);
+  assert.equal(parseGroupRoles('').size, 0);
+  assert.throws(() => parseGroupRoles('admins=root'), /invalid role for admins/);
+});
+
+test('roleForGroups grants the highest mapped role', () => {
+  assert.equal(roleForGroups(groupRoles, ['gamers', 'admins']), 'admin');
+  assert.equal(roleForGroups(groupRoles, ['gamers']), 'operator');
+  assert.equal(roleForGroups(groupRoles, []), 'viewer');
+  assert.equal(roleForGroups(parseGroupRoles('admins=admin'), ['gamers']), null);
+});
+
+// ============================================================================
+// REVERSE-PROXY HEADERS
+// ============================================================================
+
+function proxyRequest(remoteAddress, headers) {
+  return { socket: { remoteAddress }, headers };
+}
+
+test('ProxyAuth is disabled without trusted addresses', () => {
+  const proxy = new ProxyAuth({ groupRoles });
+  assert.equal(proxy.enabled, false);
+  assert.equal(proxy.authenticate(proxyRequest('10.0.0.1', { 'remote-user': 'alice' })), null);
+});
+
+test('ProxyAuth trusts the user header from configured proxies only', () => {
+  const proxy = new ProxyAuth({ trustedIps: '172.18.0.0/16, ::1', groupRoles });
+  const headers = { 'remote-user': 'alice', 'remote-groups': 'gamers,other' };
+
+  assert.deepEqual(proxy.authenticate(proxyRequest('172.18.0.5', headers)), {
+    id: 'proxy:alice', kind: 'proxy', name: 'alice', role: 'operator', watchers: null
+  });
+  assert.equal(proxy.authenticate(proxyRequest('::1', headers)).name, 'alice');
+  assert.equal(proxy.authenticate(proxyRequest('10.0.0.1', headers)), null);
+  assert.equal(proxy.authenticate(proxyRequest('172.18.0.5', {})), null);
+});
+
+test('ProxyAuth rejects invalid addresses', () => {
+  assert.throws(() => new ProxyAuth({ trustedIps: 'proxy.local', groupRoles }), /AUTH_PROXY_IPS/);
+});
+
+test('isSameOrigin rejects cross-site requests', () => {
+  assert.equal(isSameOrigin({ headers: { host: 'gam.local' } }), true);
+  assert.equal(isSameOrigin({ headers: { host: 'gam.local', origin: 'https://gam.local' } }), true);
+  assert.equal(isSameOrigin({ headers: { host: 'gam.local', origin: 'https://evil.example' } }), false);
+  assert.equal(isSameOrigin({ headers: { host: 'gam.local', 'sec-fetch-site': 'cross-site' } }), false);
+  assert.equal(isSameOrigin({ headers: { 'x-forwarded-host': 'gam.example', host: 'gam:8090', origin: 'https://gam.example' } }), true);
+});
+
+// ============================================================================
+// OPENID CONNECT (against a local provider)
+// ============================================================================
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' };
+
+let server;
+let issuer;
+let idTokenClaims;       // Claims of the next ID token (nonce filled by the test)
+let lastTokenRequest;
+let signingKey = privateKey;  // Key the provider signs ID tokens with
+
+function signJwt(claims, key = privateKey) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', kid: 'k1' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const sig = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${sig}`;
+}
+
+function sendJson(res, data) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/.well-known/openid-configuration') {
+      return sendJson(res, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+    if (req.url === '/impostor/.well-known/openid-configuration') {
+      return sendJson(res, { issuer, authorization_endpoint: `${issuer}/authorize` });
+    }
+    if (req.url === '/jwks') {
+      return sendJson(res, { keys: [jwk] });
+    }
+    if (req.url === '/userinfo') {
+      return sendJson(res, { groups: ['admins'] });
+    }
+    if (req.url === '/token') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        lastTokenRequest = { headers: req.headers, params: new URLSearchParams(body) };
+        sendJson(res, { access_token: 'at', id_token: signJwt(idTokenClaims, signingKey) });
+      });
+      return;
+    }
+    res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function client() {
+  return new OidcClient({
+    issuer: `${issuer}/`,
+    clientId: 'gam',
+    clientSecret: 's3cret',
+    redirectUri: 'https://gam.local/api/auth/oidc/callback',
+    groupRoles
+  });
+}
+
+/** Start a login and return its state and nonce */
+async function startLogin(oidc) {
+  const { url: href, state } = await oidc.authorizationUrl();
+  const url = new URL(href);
+  assert.equal(url.searchParams.get('state'), state);
+  return { state, nonce: url.searchParams.get('nonce'), url };
+}
+
+function claims(nonce, extra = {}) {
+  return { iss: issuer, aud: 'gam', sub: '42', exp: Math.floor(Date.now() / 1000) + 300, nonce, preferred_username: 'alice', ...extra };
+}
+
+test('OidcClient requires a client ID and redirect URI', () => {
+  assert.equal(new OidcClient({ groupRoles }).enabled, false);
+  assert.throws(() => new OidcClient({ issuer: 'https://idp.example', groupRoles }), /OIDC_CLIENT_ID/);
+});
+
+test('authorizationUrl uses the code flow with PKCE', async () => {
+  const { url } = await startLogin(client());
+  assert.equal(url.origin + url.pathname, `${issuer}/authorize`);
+  assert.equal(url.searchParams.get('response_type'), 'code');
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.ok(url.searchParams.get('code_challenge'));
+});
+
+test('callback exchanges the code and maps groups to a role', async () => {
+  const oidc = client();
+  const { state, nonce, url } = await startLogin(oidc);
+  idTokenClaims = claims(nonce, { groups: ['gamers'] });
+
+  const principal = await oidc.callback({ code: 'abc', state }, state);
+  assert.deepEqual(principal, { id: 'oidc:42', kind: 'oidc', name: 'alice', role: 'operator', watchers: null });
+  assert.equal(lastTokenRequest.params.get('code'), 'abc');
+  const verifier = lastTokenRequest.params.get('code_verifier');
+  assert.equal(crypto.createHash('sha256').update(verifier).digest('base64url'), url.searchParams.get('code_challenge'));
+  assert.equal(lastTokenRequest.headers.authorization, `Basic ${Buffer.from('gam:s3cret').toString('base64')}`);
+
+  // A state works once
+  await assert.rejects(oidc.callback({ code: 'abc', state }, state), /expired or unknown/);
+});
+
+test('callback falls back to userinfo for groups', async () => {
+  const oidc = client();
+  const { state, nonce } = await startLogin(oidc);
+  idTokenClaims = claims(nonce);
+  assert.equal((await oidc.callback({ code: 'abc', state }, state)).role, 'admin');
+});
+
+test('callback rejects invalid ID tokens', async () => {
+  const cases = [
+    [(nonce) => claims(nonce, { iss: 'https://other.example' }), /issuer mismatch/],
+    [(nonce) => claims(nonce, { aud: 'someone-else' }), /audience mismatch/],
+    [(nonce) => claims(nonce, { exp: Math.floor(Date.now() / 1000) - 3600 }), /expired/],
+    [() => claims('wrong-nonce'), /nonce mismatch/]
+  ];
+  for (const [make, error] of cases) {
+    const oidc = client();
+    const { state, nonce } = await startLogin(oidc);
+    idTokenClaims = make(nonce);
+    await assert.rejects(oidc.callback({ code: 'abc', state }, state), error);
+  }
+});
+
+test('callback rejects a token signed with another key', async () => {
+  const oidc = client();
+  const { state, nonce } = await startLogin(oidc);
+  idTokenClaims = claims(nonce);
+  signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  try {
+    await assert.rejects(oidc.callback({ code: 'abc', state }, state), /invalid ID token signature/);
+  } finally {
+    signingKey = privateKey;
+  }
+});
+
+test('callback rejects a state started by another browser', async () => {
+  const oidc = client();
+  const attacker = await startLogin(oidc);
+  const victim = await startLogin(oidc);
+  idTokenClaims = claims(attacker.nonce);
+  await assert.rejects(oidc.callback({ code: 'abc', state: attacker.state }, victim.state), /not started by this browser/);
+  await assert.rejects(oidc.callback({ code: 'abc', state: attacker.state }), /not started by this browser/);
+});
+
+test('pending logins are capped', async () => {
+  const oidc = client();
+  for (let i = 0; i < 1005; i++) {
+    await oidc.authorizationUrl();
+  }
+  assert.equal(oidc.pending.size, 1000);
+});
+
+test('discovery must announce the configured issuer', async () => {
+  const oidc = new OidcClient({ issuer: `${issuer}/impostor`, clientId: 'gam', redirectUri: 'https://gam.local/cb', groupRoles });
+  await assert.rejects(oidc.authorizationUrl(), /discovery issuer mismatch/);
+});
+
+test('callback reports provider errors', async () => {
+  await assert.rejects(client().callback({ error: 'access_denied', error_description: 'denied by user' }), /provider error: denied by user/);
+});
@@ -0,0 +1,137 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { UserStore, SESSION_COOKIE, hashPassword, verifyPassword, validateUser, readCookie } from '../src/users.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gam-users-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function store(opts = {}) {
+  return new UserStore({ path: path.join(dir, `users-${Math.random().toString(36).slice(2)}.json`), ...opts });
+}
+
+const cookie = (sid) => `theme=dark; ${SESSION_COOKIE}=${sid}`;
+
+test('hashPassword and verifyPassword round-trip', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$16384\$8\$1\$/);
+  assert.equal(await verifyPassword('correct horse', stored), true);
+  assert.equal(await verifyPassword('wrong horse', stored), false);
+  assert.equal(await verifyPassword('correct horse', 'plain'), false);
+});
+
+test('validateUser checks username, role, scope and password', () => {
+  assert.doesNotThrow(() => validateUser({ username: 'alice', role: 'viewer', password: 'longenough' }, true));
+  assert.throws(() => validateUser({ username: 'a b', role: 'viewer', password: 'longenough' }, true), /username/);
+  assert.throws(() => validateUser({ username: 'alice', role: 'root', password: 'longenough' }, true), /role/);
+  assert.throws(() => validateUser({ username: 'alice', role: 'admin', watchers: ['x'], password: 'longenough' }, true), /Admin users/);
+  assert.throws(() => validateUser({ username: 'alice', role: 'viewer', password: 'short' }, true), /at least 8/);
+  assert.doesNotThrow(() => validateUser({ username: 'alice', role: 'viewer' }, false));
+});
+
+test('readCookie finds one cookie in a header', () => {
+  assert.equal(readCookie('a=1; gam_session=abc; b=2', 'gam_session'), 'abc');
+  assert.equal(readCookie('a=1', 'gam_session'), null);
+  assert.equal(readCookie(undefined, 'gam_session'), null);
+});
+
+test('login opens a session readable from the cookie, logout closes it', async () => {
+  const users = store();
+  const user = await users.create({ username: 'alice', password: 'longenough', role: 'operator', watchers: ['valheim'] });
+  assert.equal(users.list()[0].passwordHash, undefined);
+
+  const { sid, csrf, principal } = await users.login('alice', 'longenough', '10.0.0.1');
+  assert.deepEqual(principal, { id: user.id, kind: 'user', name: 'alice', role: 'operator', watchers: ['valheim'] });
+  assert.deepEqual(users.session(cookie(sid)), { sid, csrf, principal });
+  assert.ok(users.users[0].lastLoginAt);
+
+  users.logout(sid);
+  assert.equal(users.session(cookie(sid)), null);
+});
+
+test('bad credentials are rejected with status 401', async () => {
+  const users = store();
+  await users.create({ username: 'alice', password: 'longenough', role: 'admin' });
+  await assert.rejects(users.login('alice', 'wrongpass', '10.0.0.1'), { status: 401 });
+  await assert.rejects(users.login('bob', 'longenough', '10.0.0.1'), { status: 401 });
+  await assert.rejects(users.login('alice', undefined, '10.0.0.1'), { status: 401 });
+});
+
+test('failed logins are throttled per username and IP', async () => {
+  const users = store();
+  await users.create({ username: 'alice', password: 'longenough', role: 'admin' });
+  await users.create({ username: 'bob', password: 'longenough', role: 'viewer' });
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(users.login('alice', 'wrongpass', '10.0.0.1'), { status: 401 });
+  }
+  await assert.rejects(users.login('alice', 'longenough', '10.0.0.1'), { status: 429 });
+
+  // Other users behind the same address, and the same user elsewhere, still get in
+  await users.login('bob', 'longenough', '10.0.0.1');
+  await users.login('alice', 'longenough', '10.0.0.2');
+});
+
+test('expired sessions are dropped', async () => {
+  const users = store({ sessionTtlHours: -1 });
+  const user = await users.create({ username: 'alice', password: 'longenough', role: 'admin' });
+  const { sid } = users.openSession(user);
+  assert.equal(users.session(cookie(sid)), null);
+  assert.equal(users.sessions.size, 0);
+});
+
+test('external sessions carry their own principal', () => {
+  const users = store();
+  const principal = { id: 'oidc:42', kind: 'oidc', name: 'carol', role: 'viewer', watchers: null };
+  const { sid } = users.openExternalSession(principal);
+  assert.deepEqual(users.session(cookie(sid)).principal, principal);
+});
+
+test('a password change closes the user\'s sessions, a role change applies at once', async () => {
+  const users = store();
+  await users.create({ username: 'root', password: 'longenough', role: 'admin' });
+  const alice = await users.create({ username: 'alice', password: 'longenough', role: 'viewer' });
+
+  const { sid } = users.openSession(alice);
+  await users.update(alice.id, { role: 'operator' });
+  assert.equal(users.session(cookie(sid)).principal.role, 'operator');
+
+  await users.update(alice.id, { password: 'evenlonger' });
+  assert.equal(users.session(cookie(sid)), null);
+  await assert.rejects(users.update(alice.id, { username: 'alicia' }), /cannot be changed/);
+});
+
+test('the last admin user cannot be demoted or removed', async () => {
+  const users = store();
+  const root = await users.create({ username: 'root', password: 'longenough', role: 'admin' });
+  await assert.rejects(users.create({ username: 'root', password: 'longenough', role: 'admin' }), /already exists/);
+  await assert.rejects(users.update(root.id, { role: 'viewer' }), /admin user is required/);
+  await assert.rejects(users.remove(root.id), /admin user is required/);
+
+  const withToken = store({ otherAdmins: () => true });
+  const other = await withToken.create({ username: 'root', password: 'longenough', role: 'admin' });
+  await withToken.remove(other.id);
+  assert.equal(withToken.enabled, false);
+});
+
+test('users survive a reload, a corrupt file fails to load', async () => {
+  const users = store();
+  await users.create({ username: 'alice', password: 'longenough', role: 'admin' });
+  const reloaded = new UserStore({ path: users.path });
+  await reloaded.load();
+  assert.equal(reloaded.users[0].username, 'alice');
+  await reloaded.login('alice', 'longenough', '10.0.0.1');
+
+  await fs.writeFile(users.path, '{"users": ');
+  await assert.rejects(new UserStore({ path: users.path }).load());
+});